@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { crearCacheMemoria } = require('./cache');
+const { leerCookie } = require('./cookies');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * @typedef {object} OpcionesLogin
+ * @property {string} urlCallback - URL pública de `GET /callback` registrada en el servicio OAuth (`redirect_uri`).
+ * @property {string} [urlAutorizacion] - URL de autorización del servicio OAuth. Por defecto, `${url}/autorizar`.
+ * @property {string} [urlRetorno='/'] - A dónde redirigir al terminar el login, si no se indica `retorno`.
+ * @property {string} [urlError] - A dónde redirigir si el login falla. Por defecto, `urlRetorno`.
+ * @property {Object<string, string>} [parametros] - Parámetros adicionales para la URL de autorización.
+ * @property {import('./cache').AlmacenCache} [almacen] - Almacén de los `state` pendientes. Por defecto, en memoria;
+ *   con varias instancias detrás de un balanceador debe ser compartido.
+ * @property {number} [ttl=600000] - Milisegundos que se espera el regreso desde el servicio OAuth.
+ * @property {string} [cookie='mbcj_login'] - Nombre de la cookie HttpOnly que vincula el `state` con el navegador
+ *   que inició el login.
+ * @property {boolean} [secure=true] - Atributo `Secure` de esa cookie.
+ */
+
+/**
+ * Genera un valor aleatorio apto para `state` y `code_verifier`.
+ * @returns {string} 32 bytes aleatorios en base64url (43 caracteres).
+ */
+function generarAleatorio() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Calcula el `code_challenge` S256 de un `code_verifier` (RFC 7636).
+ * @param {string} verificador - El `code_verifier`.
+ * @returns {string} El `code_challenge`.
+ */
+function calcularDesafio(verificador) {
+  return crypto.createHash('sha256').update(verificador).digest('base64url');
+}
+
+/**
+ * Calcula el valor de la cookie de login: el hash del `state`, para no exponerlo
+ * dos veces en el navegador.
+ * @param {string} state - El `state`.
+ * @returns {string} El hash SHA-256 en base64url.
+ */
+function hashState(state) {
+  return crypto.createHash('sha256').update(state).digest('base64url');
+}
+
+/**
+ * Ruta de la cookie de login: la de `urlCallback`, para que solo viaje en el regreso.
+ * @param {string} urlCallback - La URL de `GET /callback`.
+ * @returns {string} La ruta.
+ */
+function rutaCallback(urlCallback) {
+  try {
+    return new URL(urlCallback).pathname;
+  } catch (error) {
+    return '/';
+  }
+}
+
+/**
+ * Indica si una URL de retorno pedida por el cliente es segura: solo se aceptan
+ * rutas relativas al mismo sitio, para evitar redirecciones abiertas.
+ * @param {*} retorno - La URL pedida.
+ * @returns {boolean}
+ */
+function esRetornoSeguro(retorno) {
+  return typeof retorno === 'string' && /^\/(?![/\\])/.test(retorno);
+}
+
+/**
+ * Agrega parámetros al fragmento (`#`) de una URL. Se usa el fragmento para
+ * que los tokens no lleguen a los servidores ni queden en sus logs.
+ * @param {string} url - La URL base.
+ * @param {Object<string, string>} parametros - Los parámetros a agregar.
+ * @returns {string} La URL resultante.
+ */
+function agregarFragmento(url, parametros) {
+  const fragmento = new URLSearchParams(parametros).toString();
+  return `${url}${url.includes('#') ? '&' : '#'}${fragmento}`;
+}
+
+/**
+ * Crea el gestor del inicio del flujo de autorización (`state` y PKCE).
+ *
+ * El `state` se vincula al navegador que inició el login con una cookie
+ * HttpOnly (`SameSite=Lax`, para que viaje en la redirección desde el servicio
+ * OAuth): sin ella, un atacante podría hacer que la víctima abra su propia URL de
+ * `/callback` y quede con la sesión del atacante (login CSRF).
+ * @param {OpcionesLogin} opciones - Las opciones de login.
+ * @param {import('./config').OAuthConfig} config - La configuración de la instancia.
+ * @returns {{iniciar: function(Response, string=): Promise<string>,
+ *   completar: function(Request, Response, string): Promise<{verificador: string, retorno: string}|null>}}
+ *   `iniciar` guarda un `state` nuevo, lo vincula al navegador y devuelve la URL de autorización; `completar`
+ *   consume un `state` (de un solo uso) si coincide con el del navegador y devuelve sus datos, o `null` si no
+ *   existe, venció o pertenece a otro navegador.
+ */
+function crearFlujoAutorizacion(opciones, config) {
+  const {
+    urlAutorizacion = `${config.url}/autorizar`,
+    urlRetorno = '/',
+    parametros = {},
+    ttl = 10 * 60 * 1000,
+    almacen = crearCacheMemoria({ ttl }),
+    cookie = 'mbcj_login',
+    secure = true,
+  } = opciones;
+  const atributosCookie = { httpOnly: true, secure, sameSite: 'lax', path: rutaCallback(opciones.urlCallback) };
+
+  /**
+   * Indica si el `state` recibido es el que se vinculó a este navegador. La comparación es en tiempo constante.
+   * @param {Request} req - La solicitud de `/callback`.
+   * @param {string} state - El `state` recibido.
+   * @returns {boolean}
+   */
+  function esDelNavegador(req, state) {
+    const vinculado = leerCookie(req, cookie);
+    if (!vinculado) return false;
+    const a = Buffer.from(vinculado);
+    const b = Buffer.from(hashState(state));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  return {
+    iniciar(res, retorno) {
+      const state = generarAleatorio();
+      const verificador = generarAleatorio();
+      const destino = esRetornoSeguro(retorno) ? retorno : urlRetorno;
+      return almacen.guardar(`login:${state}`, { verificador, retorno: destino }, ttl).then(() => {
+        res.cookie(cookie, hashState(state), { ...atributosCookie, maxAge: ttl });
+        const url = new URL(urlAutorizacion);
+        const consulta = {
+          ...parametros,
+          response_type: 'code',
+          cliente_id: config.clienteId,
+          redirect_uri: opciones.urlCallback,
+          state,
+          code_challenge: calcularDesafio(verificador),
+          code_challenge_method: 'S256',
+        };
+        Object.keys(consulta).forEach((nombre) => url.searchParams.set(nombre, consulta[nombre]));
+        return url.toString();
+      });
+    },
+    completar(req, res, state) {
+      const vinculado = esDelNavegador(req, state);
+      res.clearCookie(cookie, atributosCookie);
+      // Un state de otro navegador no se consume: sigue disponible para quien inició el login.
+      if (!vinculado) return Promise.resolve(null);
+      const clave = `login:${state}`;
+      return almacen.obtener(clave).then((pendiente) => {
+        if (!pendiente) return null;
+        return almacen.eliminar(clave).then(() => pendiente);
+      });
+    },
+  };
+}
+
+module.exports = { crearFlujoAutorizacion, calcularDesafio, esRetornoSeguro, agregarFragmento };
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+const path = require('path');
+const { parseArgs } = require('util');
+const { descargarClave, verificarClave } = require('../obtenerClave');
+
+const AYUDA = `Uso: mbcj-oauth-clave <comando> [opciones] [archivo]
+
+Comandos:
+  descargar   Descarga la clave pública, la valida y la guarda si cambió.
+  verificar   Valida el archivo de la clave pública.
+  huella      Muestra la huella (SHA-256) de la clave pública guardada.
+
+Opciones:
+  --url <url>          URL de la clave pública (OAUTH_CLAVE_URL).
+  --dir <ruta>         Directorio de la clave (OAUTH_CLAVE_DIR).
+  --archivo <nombre>   Nombre del archivo de la clave (OAUTH_CLAVE_FILE).
+  --huella <sha256>    Huella esperada; si no coincide, falla (OAUTH_CLAVE_HUELLA).
+  --modo <octal>       Permisos del archivo guardado (por defecto, 644).
+  --timeout <ms>       Tiempo máximo de espera de la descarga.
+  --reintentos <n>     Reintentos de la descarga.
+  --json               Informa el resultado en JSON.
+  -h, --help           Muestra esta ayuda.
+
+En lugar de --dir y --archivo puede indicarse la ruta del archivo.
+Sale con código 0 si todo funcionó, 1 si falló y 2 si los argumentos no son válidos.
+`;
+
+/**
+ * Error de uso de la línea de comandos (sale con código 2).
+ */
+class ErrorUso extends Error {}
+
+/**
+ * Interpreta los argumentos, con las variables de entorno como respaldo.
+ * @param {string[]} argumentos - Los argumentos, sin `node` ni el script.
+ * @param {object} env - Las variables de entorno.
+ * @returns {{comando: string, ayuda: boolean, json: boolean, url?: string, ruta?: string, huella?: string, modo?: number, http: object}}
+ * @throws {ErrorUso} Si los argumentos no son válidos.
+ */
+function interpretarArgumentos(argumentos, env) {
+  let valores;
+  let posicionales;
+  try {
+    ({ values: valores, positionals: posicionales } = parseArgs({
+      args: argumentos,
+      allowPositionals: true,
+      options: {
+        url: { type: 'string' },
+        dir: { type: 'string' },
+        archivo: { type: 'string' },
+        huella: { type: 'string' },
+        modo: { type: 'string' },
+        timeout: { type: 'string' },
+        reintentos: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    throw new ErrorUso(error.message);
+  }
+
+  const [comando, archivo] = posicionales;
+  const dir = valores.dir || env.OAUTH_CLAVE_DIR;
+  const nombre = valores.archivo || env.OAUTH_CLAVE_FILE;
+  const http = {};
+  if (valores.timeout !== undefined) http.timeout = leerEntero(valores.timeout, '--timeout');
+  if (valores.reintentos !== undefined) http.reintentos = leerEntero(valores.reintentos, '--reintentos');
+
+  let modo;
+  if (valores.modo !== undefined) {
+    if (!/^[0-7]{3,4}$/.test(valores.modo)) throw new ErrorUso(`--modo debe ser un valor octal (por ejemplo, 644), no '${valores.modo}'`);
+    modo = parseInt(valores.modo, 8);
+  }
+
+  return {
+    comando,
+    ayuda: valores.help,
+    json: valores.json,
+    url: valores.url || env.OAUTH_CLAVE_URL,
+    ruta: archivo || (dir && nombre ? path.join(dir, nombre) : undefined),
+    huella: valores.huella || env.OAUTH_CLAVE_HUELLA,
+    modo,
+    http,
+  };
+}
+
+/**
+ * Convierte el valor de una opción a un entero no negativo.
+ * @param {string} valor - El valor.
+ * @param {string} opcion - El nombre de la opción, para el mensaje de error.
+ * @returns {number}
+ * @throws {ErrorUso} Si no es un entero no negativo.
+ */
+function leerEntero(valor, opcion) {
+  if (!/^\d+$/.test(valor)) throw new ErrorUso(`${opcion} debe ser un número entero, no '${valor}'`);
+  return Number(valor);
+}
+
+/**
+ * Ejecuta un comando.
+ * @param {ReturnType<typeof interpretarArgumentos>} argumentos - Los argumentos interpretados.
+ * @returns {Promise<import('../obtenerClave').ResultadoClave>} El resultado.
+ */
+function ejecutar(argumentos) {
+  const { comando, url, ruta, huella, modo, http } = argumentos;
+  if (!ruta) {
+    return Promise.reject(new ErrorUso('Falta la ruta de la clave: indique el archivo, o --dir y --archivo (OAUTH_CLAVE_DIR, OAUTH_CLAVE_FILE)'));
+  }
+  if (comando === 'descargar') {
+    if (!url) return Promise.reject(new ErrorUso('Falta --url (OAUTH_CLAVE_URL)'));
+    return descargarClave(url, ruta, { http, huella, modo });
+  }
+  if (comando === 'verificar') return verificarClave(ruta, { huella });
+  return verificarClave(ruta);
+}
+
+/**
+ * Describe el resultado de un comando para la consola.
+ * @param {string} comando - El comando.
+ * @param {import('../obtenerClave').ResultadoClave} resultado - El resultado.
+ * @returns {string}
+ */
+function describirResultado(comando, resultado) {
+  if (comando === 'huella') return resultado.huella;
+  if (comando === 'verificar') return `Clave válida: ${resultado.ruta}\nHuella: ${resultado.huella}`;
+  const estado = resultado.actualizada ? 'Clave guardada' : 'Clave sin cambios';
+  return `${estado}: ${resultado.ruta}\nHuella: ${resultado.huella}`;
+}
+
+function main() {
+  let argumentos;
+  try {
+    argumentos = interpretarArgumentos(process.argv.slice(2), process.env);
+  } catch (error) {
+    console.error(`${error.message}\n\n${AYUDA}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (argumentos.ayuda) {
+    console.log(AYUDA);
+    return;
+  }
+  if (!['descargar', 'verificar', 'huella'].includes(argumentos.comando)) {
+    console.error(`${argumentos.comando ? `Comando desconocido: '${argumentos.comando}'` : 'Falta el comando'}\n\n${AYUDA}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  ejecutar(argumentos)
+    .then((resultado) => {
+      console.log(argumentos.json ? JSON.stringify(resultado) : describirResultado(argumentos.comando, resultado));
+    })
+    .catch((error) => {
+      if (argumentos.json) console.error(JSON.stringify({ error: error.message }));
+      else console.error(`Error: ${error.message}`);
+      process.exitCode = error instanceof ErrorUso ? 2 : 1;
+    });
+}
+
+main();
@@ -0,0 +1,79 @@
+/**
+ * @typedef {object} AlmacenCache
+ * Interfaz de almacenamiento clave/valor con vencimiento. Puede implementarse
+ * sobre Redis u otro almacenamiento compartido entre procesos; los valores
+ * deben poder serializarse como JSON.
+ * @property {function(string): Promise<*>} obtener - Devuelve el valor guardado o `undefined` si no existe o venció.
+ * @property {function(string, *, number=): Promise<void>} guardar - Guarda un valor con un TTL opcional en milisegundos.
+ * @property {function(string): Promise<void>} eliminar - Elimina un valor.
+ * @property {function(string, *, number=): Promise<boolean>} [guardarSiNoExiste] - Guarda un valor solo si la clave
+ *   no existe (o venció), como una operación atómica (`SET NX` en Redis), e indica si lo guardó. Lo exigen los
+ *   refresh tokens, para que un mismo token no pueda canjearse dos veces en paralelo.
+ */
+
+/**
+ * Crea un almacén en memoria con política LRU y vencimiento por TTL.
+ * @param {object} [opciones={}]
+ * @param {number} [opciones.maximo=1000] - Cantidad máxima de entradas; al superarla se descarta la menos usada.
+ * @param {number} [opciones.ttl=60000] - TTL por defecto de las entradas, en milisegundos.
+ * @returns {AlmacenCache} El almacén.
+ */
+function crearCacheMemoria(opciones = {}) {
+  const { maximo = 1000, ttl = 60 * 1000 } = opciones;
+  /** @type {Map<string, {valor: *, vence: number}>} */
+  const entradas = new Map();
+
+  function guardar(clave, valor, ttlEntrada = ttl) {
+    const ahora = Date.now();
+    entradas.delete(clave);
+    entradas.set(clave, { valor, vence: ahora + ttlEntrada });
+    while (entradas.size > maximo) entradas.delete(entradas.keys().next().value);
+    // Purga incremental: se descartan las entradas más antiguas ya vencidas.
+    for (const [claveAntigua, entrada] of entradas) {
+      if (entrada.vence > ahora) break;
+      entradas.delete(claveAntigua);
+    }
+  }
+
+  return {
+    obtener(clave) {
+      const entrada = entradas.get(clave);
+      if (!entrada) return Promise.resolve(undefined);
+      entradas.delete(clave);
+      if (entrada.vence <= Date.now()) return Promise.resolve(undefined);
+      // Se reinserta para que el orden del Map refleje el uso más reciente.
+      entradas.set(clave, entrada);
+      return Promise.resolve(entrada.valor);
+    },
+    guardar(clave, valor, ttlEntrada) {
+      guardar(clave, valor, ttlEntrada);
+      return Promise.resolve();
+    },
+    eliminar(clave) {
+      entradas.delete(clave);
+      return Promise.resolve();
+    },
+    guardarSiNoExiste(clave, valor, ttlEntrada) {
+      // La consulta y el guardado son sincrónicos: ninguna otra operación puede intercalarse.
+      const entrada = entradas.get(clave);
+      if (entrada && entrada.vence > Date.now()) return Promise.resolve(false);
+      guardar(clave, valor, ttlEntrada);
+      return Promise.resolve(true);
+    },
+  };
+}
+
+/**
+ * Obtiene el almacén a partir de una opción de configuración.
+ * @param {boolean|object|AlmacenCache} [opcion] - `true` para un almacén en memoria con valores por defecto,
+ *   un objeto con opciones de {@link crearCacheMemoria}, o un almacén propio.
+ * @returns {AlmacenCache|null} El almacén, o `null` si la opción está vacía o es `false`.
+ */
+function resolverCache(opcion) {
+  if (!opcion) return null;
+  if (opcion === true) return crearCacheMemoria();
+  if (typeof opcion.obtener === 'function') return opcion;
+  return crearCacheMemoria(opcion);
+}
+
+module.exports = { crearCacheMemoria, resolverCache };
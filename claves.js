@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { crearClienteHttp } = require('./clienteHttp');
+
+/**
+ * @typedef {object} ClaveAlmacenada
+ * @property {string} [kid] - Identificador de la clave (`kid`), si el origen lo informa.
+ * @property {crypto.KeyObject} clave - La clave pública.
+ * @property {string} id - Identidad de la clave: su `kid` o, si no tiene, su PEM.
+ * @property {string} huella - Huella de la clave (ver {@link huellaClave}).
+ * @property {number} [hasta] - Para claves reemplazadas, instante hasta el que se siguen aceptando.
+ */
+
+/**
+ * @typedef {object} FuenteClave
+ * @property {function(string=): Promise<crypto.KeyObject[]>} obtener - Devuelve las claves candidatas para un `kid`
+ *   (o todas las vigentes si no se indica), cargándolas si hace falta. Resuelve con una lista vacía si el `kid` es desconocido.
+ * @property {function(): Promise<crypto.KeyObject[]>} recargar - Fuerza la lectura de las claves desde su origen.
+ * @property {function(): void} detener - Libera los recursos asociados (vigilancia de archivos, temporizadores).
+ * @property {function(): Promise<EstadoClaves>} estado - Informa las claves cargadas, cargándolas si hace falta.
+ *   Rechaza si nunca pudieron cargarse.
+ */
+
+/**
+ * @typedef {object} EstadoClaves
+ * @property {('archivo'|'remota')} origen - Origen de las claves.
+ * @property {Array<{kid?: string, huella: string}>} claves - Las claves vigentes.
+ * @property {number} cargadaEn - Instante (ms) de la última carga exitosa.
+ * @property {number} [modificadaEn] - Para el archivo local, instante (ms) de su última modificación.
+ */
+
+/**
+ * Calcula la huella de una clave pública: el SHA-256 de su SPKI en DER, en hexadecimal.
+ * @param {crypto.KeyObject} clave - La clave pública.
+ * @returns {string} La huella.
+ */
+function huellaClave(clave) {
+  return crypto.createHash('sha256').update(clave.export({ type: 'spki', format: 'der' })).digest('hex');
+}
+
+/**
+ * Valida que un contenido sea una clave pública EC P-256 en formato PEM, apta
+ * para verificar firmas ES256. Se exige el encabezado de clave pública para no
+ * aceptar (y guardar) una clave privada por error.
+ * @param {string|Buffer} material - El contenido PEM.
+ * @returns {crypto.KeyObject} La clave pública.
+ * @throws {Error} Si no es una clave pública PEM válida o no es EC P-256.
+ */
+function validarClavePem(material) {
+  const texto = Buffer.isBuffer(material) ? material.toString('utf8') : material;
+  if (typeof texto !== 'string' || !texto.includes('-----BEGIN PUBLIC KEY-----')) {
+    throw new Error('El contenido no es una clave pública en formato PEM');
+  }
+  let clave;
+  try {
+    clave = crypto.createPublicKey(texto);
+  } catch (error) {
+    throw new Error(`La clave pública no es válida: ${error.message}`);
+  }
+  if (clave.asymmetricKeyType !== 'ec' || clave.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    throw new Error('La clave pública no es EC P-256 (ES256)');
+  }
+  return clave;
+}
+
+/**
+ * Convierte material de clave (PEM o JWK) en un `KeyObject`, validándolo.
+ * @param {string|Buffer|object} material - La clave en formato PEM o JWK.
+ * @param {string} [kid] - Identificador de la clave.
+ * @returns {ClaveAlmacenada} La clave lista para almacenar.
+ * @throws {Error} Si el material no es una clave pública válida.
+ */
+function crearClaveAlmacenada(material, kid) {
+  const clave = (typeof material === 'object' && !Buffer.isBuffer(material))
+    ? crypto.createPublicKey({ key: material, format: 'jwk' })
+    : crypto.createPublicKey(material);
+  return { kid, clave, id: kid || clave.export({ type: 'spki', format: 'pem' }), huella: huellaClave(clave) };
+}
+
+/**
+ * Interpreta la respuesta de un origen remoto: un JWKS (`{ keys: [...] }`) o una clave PEM.
+ * Del JWKS solo se toman las claves EC P-256 aptas para firmas ES256; la clave PEM se valida con
+ * {@link validarClavePem}.
+ * @param {string|object} datos - El cuerpo de la respuesta.
+ * @returns {ClaveAlmacenada[]} Las claves encontradas.
+ * @throws {Error} Si la respuesta no contiene claves utilizables.
+ */
+function interpretarClaves(datos) {
+  if (datos && Array.isArray(datos.keys)) {
+    const claves = datos.keys
+      .filter((jwk) => jwk.kty === 'EC' && jwk.crv === 'P-256' && (!jwk.use || jwk.use === 'sig') && (!jwk.alg || jwk.alg === 'ES256'))
+      .map((jwk) => crearClaveAlmacenada(jwk, jwk.kid));
+    if (claves.length === 0) throw new Error('El JWKS no contiene claves ES256');
+    return claves;
+  }
+  if (!datos) throw new Error('La respuesta no contenía datos para la clave pública');
+  // Como con el archivo local: una página de error o un JSON inesperado no se toman como clave.
+  validarClavePem(datos);
+  return [crearClaveAlmacenada(datos)];
+}
+
+/**
+ * Crea un almacén en memoria de claves públicas sobre una función de carga.
+ *
+ * Las claves se cargan en el primer uso y se vuelven a cargar cuando vence su
+ * TTL (si la recarga falla se siguen usando las anteriores). Ante un `kid`
+ * desconocido se recarga una sola vez, con un mínimo de tiempo entre recargas
+ * para que tokens con `kid` arbitrarios no saturen el origen. Las claves que
+ * desaparecen del origen se siguen aceptando durante la ventana de gracia.
+ * @param {function(): Promise<ClaveAlmacenada[]>} cargar - Lee las claves desde su origen.
+ * @param {object} [opciones={}]
+ * @param {number} [opciones.ttl] - Milisegundos de validez de las claves cargadas. Sin valor, no vencen.
+ * @param {number} [opciones.intervalo] - Milisegundos entre recargas periódicas en segundo plano.
+ * @param {number} [opciones.gracia=3600000] - Milisegundos durante los que se acepta una clave reemplazada.
+ * @param {number} [opciones.minimoEntreRecargas=30000] - Milisegundos mínimos entre recargas por `kid` desconocido.
+ * @returns {FuenteClave & {recargarSilencioso: function(): Promise<void>}} El almacén. Su `estado` no informa el `origen`.
+ */
+function crearAlmacenClaves(cargar, opciones = {}) {
+  const { ttl, intervalo, gracia = 60 * 60 * 1000, minimoEntreRecargas = 30 * 1000 } = opciones;
+
+  /** @type {ClaveAlmacenada[]} */
+  let actuales = [];
+  /** @type {ClaveAlmacenada[]} */
+  let anteriores = [];
+  let cargadoEn = 0;
+  let cargaEnCurso = null;
+  let temporizador = null;
+
+  /**
+   * Lee las claves del origen y mueve las reemplazadas a la ventana de gracia.
+   * @returns {Promise<crypto.KeyObject[]>} Las claves actuales.
+   */
+  function recargar() {
+    if (cargaEnCurso) return cargaEnCurso;
+    cargaEnCurso = cargar()
+      .then((nuevas) => {
+        const ahora = Date.now();
+        const ids = nuevas.map((c) => c.id);
+        const reemplazadas = actuales
+          .filter((c) => !ids.includes(c.id))
+          .map((c) => ({ ...c, hasta: ahora + gracia }));
+        anteriores = anteriores
+          .filter((c) => c.hasta > ahora && !ids.includes(c.id))
+          .concat(reemplazadas);
+        actuales = nuevas;
+        cargadoEn = ahora;
+        return actuales.map((c) => c.clave);
+      })
+      .finally(() => {
+        cargaEnCurso = null;
+        iniciarIntervalo();
+      });
+    return cargaEnCurso;
+  }
+
+  /**
+   * Recarga ignorando los errores, para usos en segundo plano.
+   * @returns {Promise<void>}
+   */
+  function recargarSilencioso() {
+    return recargar().then(() => {}, () => {});
+  }
+
+  function iniciarIntervalo() {
+    if (!intervalo || temporizador) return;
+    temporizador = setInterval(recargarSilencioso, intervalo);
+    temporizador.unref();
+  }
+
+  /**
+   * Garantiza que haya claves cargadas y vigentes según el TTL.
+   * @returns {Promise<void>}
+   */
+  function asegurarCarga() {
+    if (cargadoEn === 0) return recargar().then(() => {});
+    if (ttl && Date.now() - cargadoEn > ttl) return recargarSilencioso();
+    return Promise.resolve();
+  }
+
+  /**
+   * Busca las claves candidatas en memoria. Las claves sin `kid` son candidatas para cualquier token.
+   * @param {string} [kid] - Identificador buscado.
+   * @returns {crypto.KeyObject[]} Las claves candidatas.
+   */
+  function buscar(kid) {
+    const ahora = Date.now();
+    const vigentes = actuales.concat(anteriores.filter((c) => c.hasta > ahora));
+    return vigentes.filter((c) => !kid || !c.kid || c.kid === kid).map((c) => c.clave);
+  }
+
+  function obtener(kid) {
+    return asegurarCarga().then(() => {
+      const candidatas = buscar(kid);
+      if (candidatas.length > 0 || !kid || Date.now() - cargadoEn < minimoEntreRecargas) return candidatas;
+      return recargarSilencioso().then(() => buscar(kid));
+    });
+  }
+
+  function detener() {
+    if (temporizador) clearInterval(temporizador);
+    temporizador = null;
+  }
+
+  function estado() {
+    return asegurarCarga().then(() => ({
+      claves: actuales.map(({ kid, huella }) => ({ kid, huella })),
+      cargadaEn: cargadoEn,
+    }));
+  }
+
+  return { obtener, recargar, recargarSilencioso, detener, estado };
+}
+
+/**
+ * Crea una fuente de clave pública respaldada por un archivo local.
+ * La clave se lee recién en el primer uso y, si se habilita la vigilancia,
+ * se vuelve a leer cada vez que el archivo cambia, sin reiniciar el proceso.
+ * Como en la descarga, solo se acepta una clave pública EC P-256 (ES256).
+ * Si una recarga falla se conserva la última clave válida.
+ * @param {string} rutaArchivo - Ruta completa al archivo PEM.
+ * @param {object} [opciones={}] - Además de las de {@link crearAlmacenClaves}:
+ * @param {boolean} [opciones.vigilar=true] - Si se recarga la clave al detectar cambios en el archivo.
+ * @param {function(Error|null, string): void} [opciones.alRecargar] - Callback invocado luego de cada intento de recarga por cambios.
+ * @returns {FuenteClave} La fuente de clave.
+ */
+function crearClaveArchivo(rutaArchivo, opciones = {}) {
+  const { vigilar = true, alRecargar = function (error, ruta) {} } = opciones;
+  const directorio = path.dirname(rutaArchivo);
+  const nombreArchivo = path.basename(rutaArchivo);
+  let vigilante = null;
+  let modificadaEn;
+
+  const almacen = crearAlmacenClaves(() => Promise.all([fs.promises.readFile(rutaArchivo), fs.promises.stat(rutaArchivo)])
+    .then(([contenido, datos]) => {
+      if (contenido.length === 0) throw new Error(`El archivo '${rutaArchivo}' está vacío`);
+      validarClavePem(contenido);
+      const claves = [crearClaveAlmacenada(contenido)];
+      modificadaEn = datos.mtimeMs;
+      return claves;
+    })
+    .finally(iniciarVigilancia), opciones);
+
+  /**
+   * Comienza a vigilar el directorio de la clave. Se vigila el directorio y no
+   * el archivo para detectar también reemplazos atómicos (renombrado).
+   * Si el directorio todavía no existe, se reintenta en la próxima carga.
+   */
+  function iniciarVigilancia() {
+    if (!vigilar || vigilante) return;
+    try {
+      vigilante = fs.watch(directorio, { persistent: false }, (evento, archivo) => {
+        if (archivo && archivo.toString() !== nombreArchivo) return;
+        almacen.recargar()
+          .then(() => alRecargar(null, rutaArchivo))
+          .catch((error) => alRecargar(error, rutaArchivo));
+      });
+      vigilante.on('error', detenerVigilancia);
+    } catch (error) {
+      vigilante = null;
+    }
+  }
+
+  function detenerVigilancia() {
+    if (vigilante) vigilante.close();
+    vigilante = null;
+  }
+
+  function detener() {
+    almacen.detener();
+    detenerVigilancia();
+  }
+
+  function estado() {
+    return almacen.estado().then((datos) => ({ origen: 'archivo', ...datos, modificadaEn }));
+  }
+
+  return { obtener: almacen.obtener, recargar: almacen.recargar, detener, estado };
+}
+
+/**
+ * Crea una fuente de claves públicas que se descargan desde una URL, ya sea un
+ * JWKS o una clave PEM (como la que descarga `obtenerClavePublica`).
+ * @param {string} url - La URL del JWKS o de la clave.
+ * @param {object} [opciones={}] - Además de las de {@link crearAlmacenClaves}:
+ * @param {number} [opciones.ttl=900000] - Milisegundos de validez de las claves descargadas.
+ * @param {number} [opciones.timeout=10000] - Milisegundos máximos de espera de la descarga.
+ * @param {import('./clienteHttp').ClienteHttp} [opciones.http] - Cliente HTTP a usar. Por defecto, uno propio
+ *   con el `timeout` indicado.
+ * @param {function(Error|null, string): void} [opciones.alRecargar] - Callback invocado luego de cada descarga.
+ * @returns {FuenteClave} La fuente de claves.
+ */
+function crearClaveRemota(url, opciones = {}) {
+  const { ttl = 15 * 60 * 1000, timeout = 10 * 1000, alRecargar = function (error, url) {} } = opciones;
+  const http = opciones.http || crearClienteHttp({ timeout });
+
+  const almacen = crearAlmacenClaves(() => http.get(url)
+    .then((res) => interpretarClaves(res.data))
+    .then((claves) => {
+      alRecargar(null, url);
+      return claves;
+    })
+    .catch((error) => {
+      alRecargar(error, url);
+      throw error;
+    }), { ...opciones, ttl });
+
+  function estado() {
+    return almacen.estado().then((datos) => ({ origen: 'remota', ...datos }));
+  }
+
+  return { obtener: almacen.obtener, recargar: almacen.recargar, detener: almacen.detener, estado };
+}
+
+module.exports = { crearClaveArchivo, crearClaveRemota, crearAlmacenClaves, interpretarClaves, huellaClave, validarClavePem };
@@ -0,0 +1,133 @@
+const path = require('path');
+const { crearConfig, validarConfig } = require('./config');
+const { crearVerificador } = require('./verificador');
+const { crearClaveArchivo, crearClaveRemota } = require('./claves');
+const { crearClienteHttp } = require('./clienteHttp');
+const { crearEventos, datosError } = require('./eventos');
+const { crearError } = require('./errores');
+const { resolverMetricas } = require('./metricas');
+
+/**
+ * @typedef {import('./config').OAuthConfig} OAuthConfig
+ */
+
+/**
+ * @typedef {object} OAuthCliente
+ * @property {OAuthConfig} config - La configuración resuelta de la instancia.
+ * @property {function(string): Promise<object>} extraerDatosJWT - Verifica tokens con la clave de la instancia.
+ * @property {import('./clienteHttp').ClienteHttp} http - Cliente HTTP de la instancia para el servicio OAuth.
+ * @property {import('events').EventEmitter} eventos - Eventos de autenticación de la instancia (ver `eventos.js`),
+ *   compartidos por el middleware y el router que usan la instancia.
+ * @property {import('./metricas').Metricas|null} metricas - Métricas de la instancia (ver `metricas.js`), o `null`
+ *   si no se habilitaron.
+ * @property {function(): Promise<Array<import('crypto').KeyObject>>} recargarClave - Fuerza la lectura de las claves públicas desde su origen.
+ * @property {function(): Promise<import('./claves').EstadoClaves>} estadoClave - Informa las claves públicas cargadas
+ *   (origen, huella y antigüedad), cargándolas si hace falta.
+ * @property {function(): void} cerrar - Libera los recursos de la instancia (vigilancia del archivo, recargas periódicas).
+ */
+
+/**
+ * Elige el origen de las claves públicas según la configuración: el JWKS si
+ * se indicó `jwksUrl`; si no, el archivo local; y por último `claveUrl`.
+ * @param {OAuthConfig} config - La configuración resuelta.
+ * @param {object} opciones - Opciones de la instancia.
+ * @param {import('./clienteHttp').ClienteHttp} http - Cliente HTTP para las descargas.
+ * @returns {import('./claves').FuenteClave} La fuente de claves.
+ * @throws {Error} Si no hay ningún origen configurado.
+ */
+function crearFuenteClave(config, opciones, http) {
+  const opcionesAlmacen = {
+    http,
+    ttl: opciones.ttlClaves,
+    intervalo: opciones.intervaloClaves,
+    gracia: opciones.graciaClaves,
+    alRecargar: opciones.alRecargarClave,
+  };
+  if (config.jwksUrl) return crearClaveRemota(config.jwksUrl, opcionesAlmacen);
+  if (config.claveDir || config.claveArchivo) {
+    validarConfig(config, ['claveDir', 'claveArchivo'], 'la verificación de tokens');
+    return crearClaveArchivo(path.join(config.claveDir, config.claveArchivo), {
+      ...opcionesAlmacen,
+      vigilar: opciones.vigilarClave !== false,
+    });
+  }
+  if (config.claveUrl) return crearClaveRemota(config.claveUrl, opcionesAlmacen);
+  throw new Error("Configuración incompleta para la verificación de tokens: falta 'jwksUrl' (OAUTH_JWKS_URL), "
+    + "'claveDir' y 'claveArchivo' (OAUTH_CLAVE_DIR, OAUTH_CLAVE_FILE) o 'claveUrl' (OAUTH_CLAVE_URL)");
+}
+
+/**
+ * Crea una instancia aislada de la integración con OAuth. Cada instancia tiene
+ * su propia configuración y clave pública, de modo que pueden convivir varios
+ * clientes OAuth en un mismo proceso.
+ *
+ * La clave pública se lee recién en la primera verificación, por lo que puede
+ * descargarse con `obtenerClavePublica` después de crear la instancia. Mientras
+ * no esté disponible, las verificaciones fallan con estado 503.
+ *
+ * Con un JWKS, la clave se elige por el `kid` del token; un `kid` desconocido
+ * provoca una nueva descarga y las claves rotadas se siguen aceptando durante
+ * la ventana de gracia.
+ * @param {object} [opciones={}] - Opciones de configuración (ver {@link OAuthConfig}).
+ * @param {boolean} [opciones.vigilarClave=true] - Si se recarga la clave cuando cambia su archivo.
+ * @param {number} [opciones.ttlClaves] - Milisegundos de validez de las claves descargadas (15 minutos por defecto para orígenes remotos).
+ * @param {number} [opciones.intervaloClaves] - Milisegundos entre recargas periódicas de las claves en segundo plano.
+ * @param {number} [opciones.graciaClaves=3600000] - Milisegundos durante los que se sigue aceptando una clave rotada.
+ * @param {function(Error|null, string): void} [opciones.alRecargarClave] - Callback invocado tras cada recarga de las claves.
+ * @param {import('./eventos').Logger|object|'json'|false} [opciones.logger] - Destino de los eventos de
+ *   autenticación: una función, un logger con la interfaz de pino, `'json'` o `false`. Por defecto, solo las fallas
+ *   del servidor se escriben en la consola.
+ * @param {boolean|object|import('./metricas').Metricas} [opciones.metricas] - Habilita las métricas de verificación,
+ *   validación y llamadas al servicio OAuth: `true`, opciones de `crearMetricas` o un registro ya creado.
+ * @param {import('./clienteHttp').OpcionesHttp} [opciones.http] - Tiempo de espera, reintentos y corte de circuito
+ *   de las llamadas al servicio OAuth.
+ * @param {import('./verificador').EsquemaDatos} [opciones.esquemaDatos] - Claims requeridos dentro de `data`
+ *   (por defecto, solo `documento`).
+ * @returns {OAuthCliente} La instancia creada.
+ * @throws {Error} Si falta configuración.
+ */
+function crearCliente(opciones = {}) {
+  const config = crearConfig(opciones);
+  const http = crearClienteHttp(opciones.http);
+  const eventos = crearEventos(opciones.logger);
+  const alRecargarClave = opciones.alRecargarClave || function (error, origen) {};
+  const fuenteClave = crearFuenteClave(config, {
+    ...opciones,
+    alRecargarClave(error, origen) {
+      if (error) eventos.registrar('clave.fallo', 'error', { origen, ...datosError(crearError('CLAVE_NO_DISPONIBLE', undefined, { causa: error })).datos });
+      else eventos.registrar('clave.recarga', 'info', { origen });
+      alRecargarClave(error, origen);
+    },
+  }, http);
+  const metricas = resolverMetricas(opciones.metricas);
+  const verificar = crearVerificador(fuenteClave.obtener, {
+    emisor: config.emisor,
+    audiencia: config.audiencia || undefined,
+    toleranciaReloj: config.toleranciaReloj,
+    esquemaDatos: opciones.esquemaDatos,
+  });
+
+  return {
+    config,
+    http,
+    eventos,
+    metricas,
+    extraerDatosJWT: metricas ? (token) => metricas.medir('verificacion', {}, () => verificar(token)) : verificar,
+    recargarClave: fuenteClave.recargar,
+    estadoClave: fuenteClave.estado,
+    cerrar: fuenteClave.detener,
+  };
+}
+
+/**
+ * Obtiene la instancia a usar a partir de las opciones de un componente:
+ * la recibida en `opciones.cliente` o una nueva creada con el resto de opciones.
+ * @param {object} [opciones={}] - Opciones del componente.
+ * @param {OAuthCliente} [opciones.cliente] - Instancia creada con {@link crearCliente} para compartir.
+ * @returns {OAuthCliente} La instancia a usar.
+ */
+function resolverCliente(opciones = {}) {
+  return opciones.cliente || crearCliente(opciones);
+}
+
+module.exports = { crearCliente, resolverCliente };
@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { crearError } = require('./errores');
+
+/**
+ * @typedef {object} OpcionesHttp
+ * @property {number} [timeout=10000] - Milisegundos máximos de espera de cada intento.
+ * @property {number} [reintentos=2] - Reintentos luego del primer intento fallido.
+ * @property {number} [esperaBase=200] - Milisegundos de espera antes del primer reintento; se duplica en cada uno.
+ * @property {number} [esperaMaxima=2000] - Tope de la espera entre reintentos, en milisegundos.
+ * @property {false|{umbral?: number, espera?: number}} [circuito] - Corte del circuito: luego de `umbral` (5)
+ *   fallas seguidas contra un mismo origen, las solicitudes fallan de inmediato durante `espera` (30000)
+ *   milisegundos. `false` lo deshabilita.
+ */
+
+/**
+ * @typedef {object} OpcionesSolicitud
+ * @property {boolean} [idempotente] - Si la solicitud puede repetirse sin efectos secundarios. Por defecto, solo `GET`.
+ *   Las no idempotentes solo se reintentan si no llegaron a enviarse.
+ */
+
+/**
+ * @typedef {object} ClienteHttp
+ * Las solicitudes fallidas se rechazan con un `ErrorProveedor` (ver `errores.js`) cuya `causa` es el error de Axios.
+ * @property {function(string, object=, OpcionesSolicitud=): Promise<import('axios').AxiosResponse>} get
+ * @property {function(string, object=, object=, OpcionesSolicitud=): Promise<import('axios').AxiosResponse>} post
+ * @property {function(): Object<string, {estado: string, fallas: number}>} estadoCircuitos - Estado del circuito
+ *   de cada origen (`cerrado`, `abierto` o `semiabierto`).
+ */
+
+/**
+ * Códigos de error de red que indican que la solicitud no llegó a enviarse.
+ * @type {string[]}
+ */
+const ERRORES_SIN_ENVIO = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Indica si un error corresponde a una falla del servicio (red, tiempo agotado
+ * o error 5xx) y no a una respuesta válida con error del cliente.
+ * @param {Error & {response?: object}} error - El error de Axios.
+ * @returns {boolean}
+ */
+function esFallaServicio(error) {
+  if (!error.response) return true;
+  return error.response.status >= 500 || error.response.status === 429;
+}
+
+/**
+ * Convierte un error de Axios en un error de la librería, sin exponer la
+ * respuesta del servicio: queda solo en `causa`, para los registros.
+ * @param {Error & {response?: object, code?: string}} error - El error de Axios.
+ * @returns {import('./errores').ErrorProveedor} El error convertido.
+ */
+function traducirErrorHttp(error) {
+  const extra = { causa: error };
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return crearError('PROVEEDOR_TIEMPO_AGOTADO', undefined, extra);
+  if (error.response && error.response.status < 500 && error.response.status !== 429) return crearError('PROVEEDOR_RECHAZO', undefined, extra);
+  return crearError('PROVEEDOR_ERROR', undefined, extra);
+}
+
+/**
+ * Crea el cliente HTTP compartido para las llamadas al servicio OAuth, con
+ * tiempo máximo de espera, reintentos con espera exponencial aleatoria y corte
+ * de circuito por origen.
+ * @param {OpcionesHttp} [opciones={}] - Las opciones del cliente.
+ * @returns {ClienteHttp} El cliente.
+ */
+function crearClienteHttp(opciones = {}) {
+  const {
+    timeout = 10 * 1000,
+    reintentos = 2,
+    esperaBase = 200,
+    esperaMaxima = 2 * 1000,
+    circuito = {},
+  } = opciones;
+  const { umbral = 5, espera = 30 * 1000 } = circuito || {};
+  /** @type {Map<string, {estado: string, fallas: number, abiertoHasta: number}>} */
+  const circuitos = new Map();
+
+  function obtenerCircuito(url) {
+    const origen = new URL(url).origin;
+    if (!circuitos.has(origen)) circuitos.set(origen, { estado: 'cerrado', fallas: 0, abiertoHasta: 0 });
+    return circuitos.get(origen);
+  }
+
+  /**
+   * Reserva el paso por el circuito. Con el circuito abierto se rechaza de
+   * inmediato; vencida la espera, se deja pasar una sola solicitud de prueba.
+   */
+  function permitir(estadoCircuito) {
+    if (!circuito || estadoCircuito.estado === 'cerrado') return true;
+    if (estadoCircuito.estado === 'abierto' && Date.now() >= estadoCircuito.abiertoHasta) {
+      estadoCircuito.estado = 'semiabierto';
+      return true;
+    }
+    return false;
+  }
+
+  function registrar(estadoCircuito, exito) {
+    if (exito) {
+      estadoCircuito.estado = 'cerrado';
+      estadoCircuito.fallas = 0;
+      return;
+    }
+    estadoCircuito.fallas += 1;
+    if (circuito && (estadoCircuito.estado === 'semiabierto' || estadoCircuito.fallas >= umbral)) {
+      estadoCircuito.estado = 'abierto';
+      estadoCircuito.abiertoHasta = Date.now() + espera;
+    }
+  }
+
+  function esperar(intento) {
+    const tope = Math.min(esperaMaxima, esperaBase * 2 ** intento);
+    return new Promise((resolve) => setTimeout(resolve, Math.random() * tope));
+  }
+
+  /**
+   * Ejecuta una solicitud con reintentos y corte de circuito.
+   * @param {object} configAxios - La configuración de la solicitud para Axios.
+   * @param {boolean} idempotente - Si puede reintentarse ante cualquier falla del servicio.
+   */
+  function solicitar(configAxios, idempotente) {
+    const estadoCircuito = obtenerCircuito(configAxios.url);
+
+    function intentar(intento) {
+      if (!permitir(estadoCircuito)) return Promise.reject(crearError('PROVEEDOR_NO_DISPONIBLE'));
+      return axios.request({ timeout, ...configAxios })
+        .then((resp) => {
+          registrar(estadoCircuito, true);
+          return resp;
+        })
+        .catch((error) => {
+          const falla = esFallaServicio(error);
+          registrar(estadoCircuito, !falla);
+          const reintentable = falla && (idempotente || ERRORES_SIN_ENVIO.includes(error.code));
+          if (!reintentable || intento >= reintentos || estadoCircuito.estado === 'abierto') throw traducirErrorHttp(error);
+          return esperar(intento).then(() => intentar(intento + 1));
+        });
+    }
+
+    return intentar(0);
+  }
+
+  return {
+    get(url, configAxios = {}, opcionesSolicitud = {}) {
+      const { idempotente = true } = opcionesSolicitud;
+      return solicitar({ ...configAxios, method: 'get', url }, idempotente);
+    },
+    post(url, data, configAxios = {}, opcionesSolicitud = {}) {
+      const { idempotente = false } = opcionesSolicitud;
+      return solicitar({ ...configAxios, method: 'post', url, data }, idempotente);
+    },
+    estadoCircuitos() {
+      const estado = {};
+      circuitos.forEach(({ estado: valor, fallas }, origen) => { estado[origen] = { estado: valor, fallas }; });
+      return estado;
+    },
+  };
+}
+
+module.exports = { crearClienteHttp };
@@ -0,0 +1,157 @@
+/**
+ * Correspondencia entre las opciones de configuración y las variables de
+ * entorno que se usan como valor por defecto cuando la opción no se pasa.
+ * @type {Object<string, string>}
+ */
+const VARIABLES_ENTORNO = {
+  tokenAdmin: 'TOKEN_ADMIN',
+  claveDir: 'OAUTH_CLAVE_DIR',
+  claveArchivo: 'OAUTH_CLAVE_FILE',
+  claveUrl: 'OAUTH_CLAVE_URL',
+  jwksUrl: 'OAUTH_JWKS_URL',
+  url: 'OAUTH_URL',
+  clienteId: 'OAUTH_ID',
+  clienteSecreto: 'OAUTH_SECRET',
+  requerirValidado: 'OAUTH_VALIDADO',
+  reemplazarNombre: 'OAUTH_REEMPLAZAR_NOMBRE',
+  emisor: 'OAUTH_EMISOR',
+  audiencia: 'OAUTH_AUDIENCIA',
+  toleranciaReloj: 'OAUTH_TOLERANCIA_RELOJ',
+};
+
+/**
+ * Opciones que se interpretan como booleanos. En el entorno se aceptan los
+ * valores `TRUE`/`FALSE` sin distinguir mayúsculas.
+ * @type {string[]}
+ */
+const OPCIONES_BOOLEANAS = ['requerirValidado', 'reemplazarNombre'];
+
+/**
+ * Opciones que admiten un texto o una lista de textos. En el entorno, los
+ * valores de la lista se separan por comas.
+ * @type {string[]}
+ */
+const OPCIONES_LISTA = ['emisor', 'audiencia'];
+
+/**
+ * Opciones numéricas.
+ * @type {string[]}
+ */
+const OPCIONES_NUMERICAS = ['toleranciaReloj'];
+
+/**
+ * @typedef {object} OAuthConfig
+ * @property {string} [tokenAdmin] - Token especial para el superadministrador.
+ * @property {string} [claveDir] - Directorio donde se encuentra la clave pública.
+ * @property {string} [claveArchivo] - Nombre del archivo de la clave pública.
+ * @property {string} [claveUrl] - URL para descargar la clave pública.
+ * @property {string} [jwksUrl] - URL del JWKS con las claves públicas vigentes del servicio OAuth.
+ * @property {string} [url] - URL base del servicio de OAuth.
+ * @property {string} [clienteId] - ID de cliente del servicio de OAuth.
+ * @property {string} [clienteSecreto] - Secreto de cliente del servicio de OAuth.
+ * @property {boolean} requerirValidado - Si se exige que el usuario esté validado en OAuth.
+ * @property {boolean} reemplazarNombre - Si se actualiza el nombre local con el de OAuth.
+ * @property {string|string[]} [emisor] - Valor(es) aceptados del claim `iss` de los tokens.
+ * @property {string|string[]|false} [audiencia] - Valor(es) aceptados del claim `aud`. Por defecto, `clienteId`;
+ *   `false` desactiva la validación.
+ * @property {number} toleranciaReloj - Segundos de tolerancia para `exp` y `nbf`.
+ */
+
+/**
+ * Convierte un valor de opción o de entorno a booleano.
+ * @param {boolean|string|undefined} valor - El valor a interpretar.
+ * @returns {boolean} `true` solo si el valor es `true` o el texto `TRUE`.
+ */
+function leerBooleano(valor) {
+  if (typeof valor === 'boolean') return valor;
+  return typeof valor === 'string' && valor.toUpperCase() === 'TRUE';
+}
+
+/**
+ * Convierte un valor de opción o de entorno a una lista de textos.
+ * @param {string|string[]|false|undefined} valor - El valor a interpretar.
+ * @returns {string|string[]|false|undefined} El texto, la lista, o `false` si el valor es `false` o el texto `FALSE`.
+ */
+function leerLista(valor) {
+  if (typeof valor !== 'string') return valor;
+  if (valor.toUpperCase() === 'FALSE') return false;
+  const lista = valor.split(',').map((v) => v.trim()).filter(Boolean);
+  if (lista.length === 0) return undefined;
+  return lista.length === 1 ? lista[0] : lista;
+}
+
+/**
+ * Indica si un texto es una URL absoluta http o https. Un valor como
+ * `oauth.ejemplo.gob.ar:8080` se interpreta como otro protocolo y se rechaza.
+ * @param {string} valor - El texto a comprobar.
+ * @returns {boolean}
+ */
+function esUrlHttp(valor) {
+  try {
+    return ['http:', 'https:'].includes(new URL(valor).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resuelve la configuración de una instancia. Cada opción pasada explícitamente
+ * tiene prioridad sobre su variable de entorno equivalente.
+ * @param {object} [opciones={}] - Opciones explícitas (ver {@link OAuthConfig}).
+ * @param {object} [opciones.env=process.env] - Fuente de variables de entorno a usar como respaldo.
+ * @returns {OAuthConfig} La configuración resuelta e inmutable.
+ * @throws {TypeError} Si alguna opción tiene un tipo inválido o `url` no es una URL http o https.
+ */
+function crearConfig(opciones = {}) {
+  const env = opciones.env || process.env;
+  const config = {};
+
+  Object.keys(VARIABLES_ENTORNO).forEach((nombre) => {
+    const valor = opciones[nombre] !== undefined ? opciones[nombre] : env[VARIABLES_ENTORNO[nombre]];
+    if (OPCIONES_BOOLEANAS.includes(nombre)) {
+      config[nombre] = leerBooleano(valor);
+      return;
+    }
+    if (OPCIONES_LISTA.includes(nombre)) {
+      const valido = valor === undefined || valor === false || typeof valor === 'string'
+        || (Array.isArray(valor) && valor.every((v) => typeof v === 'string'));
+      if (!valido) throw new TypeError(`La opción '${nombre}' debe ser un texto o una lista de textos`);
+      config[nombre] = leerLista(valor);
+      return;
+    }
+    if (OPCIONES_NUMERICAS.includes(nombre)) {
+      const numero = valor === undefined || valor === '' ? 0 : Number(valor);
+      if (!Number.isFinite(numero) || numero < 0) throw new TypeError(`La opción '${nombre}' debe ser un número no negativo`);
+      config[nombre] = numero;
+      return;
+    }
+    if (valor !== undefined && typeof valor !== 'string') {
+      throw new TypeError(`La opción '${nombre}' debe ser un texto`);
+    }
+    config[nombre] = valor || undefined;
+  });
+
+  if (config.url) {
+    if (!esUrlHttp(config.url)) throw new TypeError(`La opción 'url' debe ser una URL http o https: '${config.url}'`);
+    config.url = config.url.replace(/\/+$/, '');
+  }
+  if (config.audiencia === undefined) config.audiencia = config.clienteId;
+
+  return Object.freeze(config);
+}
+
+/**
+ * Verifica que la configuración tenga todos los valores requeridos.
+ * @param {OAuthConfig} config - La configuración resuelta.
+ * @param {string[]} requeridas - Nombres de las opciones obligatorias.
+ * @param {string} contexto - Nombre del componente que las requiere, para el mensaje de error.
+ * @throws {Error} Si falta alguna opción, indicando también su variable de entorno.
+ */
+function validarConfig(config, requeridas, contexto) {
+  const faltantes = requeridas.filter((nombre) => !config[nombre]);
+  if (faltantes.length === 0) return;
+  const detalle = faltantes.map((nombre) => `'${nombre}' (${VARIABLES_ENTORNO[nombre]})`).join(', ');
+  throw new Error(`Configuración incompleta para ${contexto}: falta ${detalle}`);
+}
+
+module.exports = { crearConfig, validarConfig, leerBooleano, VARIABLES_ENTORNO };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { crearError, responderError } = require('./errores');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ * @typedef {import('express').NextFunction} NextFunction
+ */
+
+/**
+ * @typedef {object} OpcionesCookie
+ * @property {string} [nombre='mbcj_token'] - Nombre de la cookie HttpOnly con el token de acceso.
+ * @property {string} [nombreRefresh='mbcj_refresh'] - Nombre de la cookie HttpOnly con el refresh token.
+ * @property {string} [nombreCsrf='mbcj_csrf'] - Nombre de la cookie legible desde JavaScript con el token CSRF.
+ * @property {string} [encabezadoCsrf='x-csrf-token'] - Encabezado en el que el frontend reenvía el token CSRF.
+ * @property {boolean} [secure=true] - Atributo `Secure` de las cookies.
+ * @property {('strict'|'lax'|'none')} [sameSite='strict'] - Atributo `SameSite` de las cookies.
+ * @property {string} [dominio] - Atributo `Domain` de las cookies.
+ * @property {string} [ruta='/'] - Atributo `Path` de las cookies.
+ * @property {number} [maxAge] - Duración de las cookies en milisegundos. Sin valor, son cookies de sesión.
+ */
+
+/**
+ * Métodos HTTP que no modifican estado y por lo tanto no requieren token CSRF.
+ * @type {string[]}
+ */
+const METODOS_SEGUROS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Completa las opciones de cookie con sus valores por defecto.
+ * @param {boolean|OpcionesCookie} [opcion] - `true` para los valores por defecto, u opciones parciales.
+ * @returns {Required<OpcionesCookie>|null} Las opciones completas, o `null` si el modo cookie está deshabilitado.
+ */
+function resolverOpcionesCookie(opcion) {
+  if (!opcion) return null;
+  return {
+    nombre: 'mbcj_token',
+    nombreRefresh: 'mbcj_refresh',
+    nombreCsrf: 'mbcj_csrf',
+    encabezadoCsrf: 'x-csrf-token',
+    secure: true,
+    sameSite: 'strict',
+    dominio: undefined,
+    ruta: '/',
+    maxAge: undefined,
+    ...(opcion === true ? {} : opcion),
+  };
+}
+
+/**
+ * Lee una cookie de la solicitud. Usa `req.cookies` si hay un parser de cookies
+ * montado; si no, interpreta el encabezado `Cookie`.
+ * @param {Request} req - La solicitud.
+ * @param {string} nombre - El nombre de la cookie.
+ * @returns {string|null} El valor, o `null` si no está.
+ */
+function leerCookie(req, nombre) {
+  if (req.cookies && req.cookies[nombre] !== undefined) return req.cookies[nombre];
+  const encabezado = req.headers.cookie;
+  if (!encabezado) return null;
+  for (const par of encabezado.split(';')) {
+    const separador = par.indexOf('=');
+    if (separador === -1) continue;
+    if (par.slice(0, separador).trim() !== nombre) continue;
+    try {
+      return decodeURIComponent(par.slice(separador + 1).trim());
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Arma los atributos comunes de las cookies.
+ * @param {Required<OpcionesCookie>} opciones - Las opciones de cookie.
+ * @param {boolean} httpOnly - Si la cookie es inaccesible desde JavaScript.
+ * @returns {object} Las opciones para `res.cookie`.
+ */
+function atributos(opciones, httpOnly) {
+  return {
+    httpOnly,
+    secure: opciones.secure,
+    sameSite: opciones.sameSite,
+    domain: opciones.dominio,
+    path: opciones.ruta,
+    maxAge: opciones.maxAge,
+  };
+}
+
+/**
+ * Guarda la sesión en cookies: el token (y el refresh token, si lo hay) en
+ * cookies HttpOnly, y un token CSRF nuevo en una cookie legible por el frontend.
+ * @param {Response} res - La respuesta.
+ * @param {Required<OpcionesCookie>} opciones - Las opciones de cookie.
+ * @param {string} token - El token de acceso.
+ * @param {string} [refreshToken] - El refresh token.
+ * @returns {string} El token CSRF generado, para devolverlo también en el cuerpo.
+ */
+function establecerSesion(res, opciones, token, refreshToken) {
+  const csrf = crypto.randomBytes(32).toString('base64url');
+  res.cookie(opciones.nombre, token, atributos(opciones, true));
+  if (refreshToken) res.cookie(opciones.nombreRefresh, refreshToken, atributos(opciones, true));
+  res.cookie(opciones.nombreCsrf, csrf, atributos(opciones, false));
+  return csrf;
+}
+
+/**
+ * Elimina las cookies de la sesión.
+ * @param {Response} res - La respuesta.
+ * @param {Required<OpcionesCookie>} opciones - Las opciones de cookie.
+ */
+function limpiarSesion(res, opciones) {
+  const { maxAge, ...sinDuracion } = atributos(opciones, true);
+  res.clearCookie(opciones.nombre, sinDuracion);
+  res.clearCookie(opciones.nombreRefresh, sinDuracion);
+  res.clearCookie(opciones.nombreCsrf, { ...sinDuracion, httpOnly: false });
+}
+
+/**
+ * Verifica el token CSRF por doble envío: en métodos que modifican estado, el
+ * encabezado debe coincidir con la cookie CSRF. La comparación es en tiempo constante.
+ * @param {Request} req - La solicitud.
+ * @param {Required<OpcionesCookie>} opciones - Las opciones de cookie.
+ * @returns {boolean} Si la solicitud es aceptable.
+ */
+function verificarCsrf(req, opciones) {
+  if (METODOS_SEGUROS.includes(req.method)) return true;
+  const cookie = leerCookie(req, opciones.nombreCsrf);
+  const encabezado = req.headers[opciones.encabezadoCsrf.toLowerCase()];
+  if (!cookie || typeof encabezado !== 'string') return false;
+  const a = Buffer.from(cookie);
+  const b = Buffer.from(encabezado);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Genera un middleware de Express que exige el token CSRF en los métodos que
+ * modifican estado, para rutas propias de la aplicación que usan la cookie de sesión.
+ * @param {boolean|OpcionesCookie} [opcion=true] - Las opciones de cookie.
+ * @param {import('./errores').OpcionesErrores} [opcionesErrores] - Formato de la respuesta de error.
+ * @returns {function(Request, Response, NextFunction): void} El middleware para Express.
+ */
+function protegerCsrf(opcion = true, opcionesErrores) {
+  const opciones = resolverOpcionesCookie(opcion);
+  return function (req, res, next) {
+    if (verificarCsrf(req, opciones)) return next();
+    responderError(req, res, crearError('CSRF_INVALIDO'), opcionesErrores);
+  };
+}
+
+module.exports = { resolverOpcionesCookie, leerCookie, establecerSesion, limpiarSesion, verificarCsrf, protegerCsrf };
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+/**
+ * @typedef {object} CredencialServicio
+ * @property {string} nombre - Nombre de la credencial (identifica al servicio en la auditoría).
+ * @property {string} hash - Hash SHA-256 en hexadecimal de la clave, generado con {@link hashearCredencial}.
+ * @property {number} [tipo_usuario_id] - Tipo de usuario con el que actúa el servicio.
+ * @property {string[]} [permisos] - Permisos del servicio (ver `politicas.js`).
+ * @property {Date|string|number} [expira] - Fecha a partir de la cual la credencial deja de aceptarse.
+ * @property {object} [usuario] - Datos adicionales del usuario que se asigna a `req.user`.
+ * @property {string} [status='SERVICIO'] - Estado que informa `validarUsuario` al aceptar la credencial.
+ */
+
+/**
+ * @typedef {object} UsoCredencial
+ * @property {string} nombre - Nombre de la credencial usada.
+ * @property {('aceptada'|'expirada')} resultado - Resultado del uso.
+ * @property {string} status - Estado con el que actúa la credencial (`SERVICIO`, `SUPERADMIN`, ...).
+ * @property {Date} fecha - Momento del uso.
+ * @property {string} [ip] - IP de la solicitud, si se conoce.
+ * @property {string} [metodo] - Método HTTP de la solicitud, si se conoce.
+ * @property {string} [ruta] - Ruta de la solicitud, si se conoce.
+ * @property {string} [idSolicitud] - Identificador de la solicitud, si se conoce.
+ * @property {string} [agente] - Encabezado `User-Agent` de la solicitud, si se conoce.
+ */
+
+/**
+ * Calcula el hash con el que se guarda una credencial de servicio.
+ * @param {string} clave - La clave en texto plano.
+ * @returns {string} El hash SHA-256 en hexadecimal.
+ */
+function hashearCredencial(clave) {
+  return crypto.createHash('sha256').update(String(clave)).digest('hex');
+}
+
+/**
+ * Crea el validador de credenciales de servicio. Las claves se comparan por su
+ * hash en tiempo constante y se recorren todas las credenciales en cada
+ * validación, para no revelar información por el tiempo de respuesta.
+ * @param {CredencialServicio[]} credenciales - Las credenciales aceptadas.
+ * @param {function(UsoCredencial): void} [auditar] - Callback invocado en cada uso de una credencial.
+ * @returns {{validar: function(string, object=): ({status: string, user: object}|{error: string}|null)}} El validador.
+ *   `validar` devuelve el usuario si la credencial es válida, `{ error }` si coincide pero no es aceptable,
+ *   o `null` si la clave no corresponde a ninguna credencial.
+ */
+function crearCredenciales(credenciales, auditar = function (uso) {}) {
+  const registradas = credenciales.map((credencial) => {
+    if (!credencial.nombre || !/^[0-9a-f]{64}$/i.test(credencial.hash || '')) {
+      throw new TypeError(`Credencial de servicio inválida: '${credencial.nombre}' requiere 'nombre' y un 'hash' SHA-256`);
+    }
+    return {
+      ...credencial,
+      digest: Buffer.from(credencial.hash, 'hex'),
+      expira: credencial.expira !== undefined ? new Date(credencial.expira) : null,
+    };
+  });
+
+  return {
+    validar(clave, contexto = {}) {
+      const digest = Buffer.from(hashearCredencial(clave), 'hex');
+      let encontrada = null;
+      registradas.forEach((credencial) => {
+        if (crypto.timingSafeEqual(digest, credencial.digest) && !encontrada) encontrada = credencial;
+      });
+      if (!encontrada) return null;
+
+      const fecha = new Date();
+      const expirada = encontrada.expira !== null && encontrada.expira <= fecha;
+      const status = encontrada.status || 'SERVICIO';
+      auditar({ ...contexto, nombre: encontrada.nombre, resultado: expirada ? 'expirada' : 'aceptada', status, fecha });
+      if (expirada) return { error: 'expirada' };
+
+      const user = {
+        usuario_id: 0,
+        user: encontrada.nombre,
+        tipo_usuario_id: encontrada.tipo_usuario_id,
+        permisos: encontrada.permisos || [],
+        nombre: encontrada.nombre.toUpperCase(),
+        servicio: encontrada.nombre,
+        ...encontrada.usuario,
+      };
+      return { status, user };
+    },
+  };
+}
+
+module.exports = { hashearCredencial, crearCredenciales };
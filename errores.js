@@ -0,0 +1,179 @@
+const http = require('http');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * @typedef {object} OpcionesErrores
+ * @property {boolean} [rfc7807=false] - Si los errores se responden como `application/problem+json` (RFC 7807)
+ *   en lugar de `{ status: "error", error, codigo }`.
+ * @property {function(object, OAuthError, Request): object} [personalizar] - Recibe el cuerpo ya armado, el error y
+ *   la solicitud, y devuelve el cuerpo a enviar.
+ */
+
+/**
+ * Error base de la librería. Todos los errores que llegan a las respuestas
+ * tienen un `codigo` estable, legible por máquinas, y el estado HTTP que le corresponde.
+ */
+class OAuthError extends Error {
+  /**
+   * @param {string} codigo - Código estable del error (ver {@link CODIGOS}).
+   * @param {string} [mensaje] - Mensaje para el cliente. Por defecto, el del catálogo.
+   * @param {object} [extra] - Propiedades adicionales. `causa` guarda el error original, que nunca se envía al cliente.
+   */
+  constructor(codigo, mensaje, extra = {}) {
+    const definicion = CODIGOS[codigo] || CODIGOS.ERROR_INTERNO;
+    super(mensaje || definicion.mensaje);
+    this.name = this.constructor.name;
+    this.codigo = codigo;
+    this.status = definicion.status;
+    Object.assign(this, extra);
+  }
+
+  /**
+   * Mensaje del error, con el nombre que usan los objetos de error anteriores (`{status, msj, codigo}`).
+   * @type {string}
+   */
+  get msj() {
+    return this.message;
+  }
+}
+
+/** Credenciales ausentes, inválidas o vencidas (401). */
+class ErrorAutenticacion extends OAuthError {}
+
+/** Usuario autenticado sin acceso: inexistente, inactivo o sin permiso (403). */
+class ErrorAutorizacion extends OAuthError {}
+
+/** Solicitud incompleta o inválida (400), o rechazada por superar un límite (429). */
+class ErrorSolicitud extends OAuthError {}
+
+/** Falla o rechazo del servicio de OAuth (401, 502, 503 o 504). */
+class ErrorProveedor extends OAuthError {}
+
+/** Falla propia del servidor o de sus dependencias (500 o 503). */
+class ErrorInterno extends OAuthError {}
+
+/**
+ * Catálogo de códigos de error, con su estado HTTP, su clase y su mensaje por defecto.
+ * @type {Object<string, {status: number, clase: typeof OAuthError, mensaje: string}>}
+ */
+const CODIGOS = {
+  TOKEN_REQUERIDO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Sin autorización: token requerido' },
+  TOKEN_INVALIDO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Token inválido' },
+  FIRMA_INVALIDA: { status: 401, clase: ErrorAutenticacion, mensaje: 'Firma del token inválida' },
+  TOKEN_EXPIRADO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Token expirado' },
+  TOKEN_NO_VIGENTE: { status: 401, clase: ErrorAutenticacion, mensaje: 'Token todavía no válido' },
+  EMISOR_INVALIDO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Emisor del token inválido' },
+  AUDIENCIA_INVALIDA: { status: 401, clase: ErrorAutenticacion, mensaje: 'Audiencia del token inválida' },
+  DATOS_INVALIDOS: { status: 401, clase: ErrorAutenticacion, mensaje: 'Datos del token inválidos' },
+  CLAVE_DESCONOCIDA: { status: 401, clase: ErrorAutenticacion, mensaje: 'Clave del token desconocida' },
+  TOKEN_REVOCADO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Token revocado' },
+  CREDENCIAL_EXPIRADA: { status: 401, clase: ErrorAutenticacion, mensaje: 'Credencial de servicio expirada' },
+  REFRESH_INVALIDO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Refresh token inválido o expirado' },
+  REFRESH_REVOCADO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Refresh token revocado' },
+  REFRESH_REUTILIZADO: { status: 401, clase: ErrorAutenticacion, mensaje: 'Refresh token reutilizado: se revocó la sesión' },
+  USUARIO_NO_ENCONTRADO: { status: 403, clase: ErrorAutorizacion, mensaje: 'Usuario no encontrado' },
+  USUARIO_INACTIVO: { status: 403, clase: ErrorAutorizacion, mensaje: 'Usuario inactivo' },
+  USUARIO_NO_VALIDADO: { status: 403, clase: ErrorAutorizacion, mensaje: 'Usuario no validado' },
+  SIN_PERMISO: { status: 403, clase: ErrorAutorizacion, mensaje: 'Sin permiso' },
+  CSRF_INVALIDO: { status: 403, clase: ErrorAutorizacion, mensaje: 'Token CSRF inválido o ausente' },
+  CODIGO_REQUERIDO: { status: 400, clase: ErrorSolicitud, mensaje: 'El código es requerido' },
+  REFRESH_REQUERIDO: { status: 400, clase: ErrorSolicitud, mensaje: 'El refresh token es requerido' },
+  STATE_INVALIDO: { status: 400, clase: ErrorSolicitud, mensaje: 'State inválido o expirado' },
+  DEMASIADAS_SOLICITUDES: { status: 429, clase: ErrorSolicitud, mensaje: 'Demasiadas solicitudes: intente más tarde' },
+  ACCESO_BLOQUEADO: { status: 429, clase: ErrorSolicitud, mensaje: 'Acceso bloqueado temporalmente por fallos repetidos' },
+  PROVEEDOR_RECHAZO: { status: 401, clase: ErrorProveedor, mensaje: 'El servicio de OAuth rechazó la solicitud' },
+  PROVEEDOR_ERROR: { status: 502, clase: ErrorProveedor, mensaje: 'El servicio de OAuth respondió con un error' },
+  PROVEEDOR_NO_DISPONIBLE: { status: 503, clase: ErrorProveedor, mensaje: 'El servicio de OAuth no está disponible' },
+  PROVEEDOR_TIEMPO_AGOTADO: { status: 504, clase: ErrorProveedor, mensaje: 'El servicio de OAuth no respondió a tiempo' },
+  CLAVE_NO_DISPONIBLE: { status: 503, clase: ErrorInterno, mensaje: 'Clave pública no disponible' },
+  REVOCACION_NO_DISPONIBLE: { status: 503, clase: ErrorInterno, mensaje: 'No se pudo consultar la revocación' },
+  ERROR_BASE_DATOS: { status: 500, clase: ErrorInterno, mensaje: 'Error de base de datos' },
+  ERROR_PERMISOS: { status: 500, clase: ErrorInterno, mensaje: 'Error al evaluar permisos' },
+  CONFIGURACION_INVALIDA: { status: 500, clase: ErrorInterno, mensaje: 'Configuración inválida' },
+  ERROR_INTERNO: { status: 500, clase: ErrorInterno, mensaje: 'Error interno' },
+};
+
+/**
+ * Crea el error de la clase que corresponde a un código.
+ * @param {string} codigo - El código (ver {@link CODIGOS}).
+ * @param {string} [mensaje] - Mensaje para el cliente. Por defecto, el del catálogo.
+ * @param {object} [extra] - Propiedades adicionales, como `causa`.
+ * @returns {OAuthError} El error.
+ */
+function crearError(codigo, mensaje, extra) {
+  const { clase } = CODIGOS[codigo] || CODIGOS.ERROR_INTERNO;
+  return new clase(codigo, mensaje, extra);
+}
+
+/**
+ * Convierte cualquier error en un {@link OAuthError}. Los errores desconocidos
+ * se informan como `ERROR_INTERNO`, sin exponer su mensaje.
+ * @param {*} error - El error recibido.
+ * @returns {OAuthError} El error normalizado.
+ */
+function normalizarError(error) {
+  if (error instanceof OAuthError) return error;
+  if (error && CODIGOS[error.codigo]) return crearError(error.codigo, error.msj || error.message, { causa: error });
+  return crearError('ERROR_INTERNO', undefined, { causa: error });
+}
+
+/**
+ * Describe un error en una línea para los registros: código, mensaje y el
+ * mensaje de su causa. No incluye la causa completa, que en los errores de
+ * Axios contiene los encabezados de la solicitud (y con ellos, el token).
+ * @param {OAuthError} error - El error normalizado.
+ * @returns {string} La descripción.
+ */
+function describirError(error) {
+  const { causa } = error;
+  const detalle = causa && causa !== error ? ` (${causa.message || causa})` : '';
+  return `[${error.codigo}] ${error.message}${detalle}`;
+}
+
+/**
+ * Arma el cuerpo de una respuesta de error.
+ * @param {OAuthError} error - El error normalizado.
+ * @param {Request} req - La solicitud.
+ * @param {OpcionesErrores} [opciones={}] - Las opciones de formato.
+ * @returns {object} El cuerpo.
+ */
+function cuerpoError(error, req, opciones = {}) {
+  const cuerpo = opciones.rfc7807
+    ? {
+      type: 'about:blank',
+      title: http.STATUS_CODES[error.status],
+      status: error.status,
+      detail: error.message,
+      instance: req.originalUrl,
+      codigo: error.codigo,
+    }
+    : { status: "error", error: error.message, codigo: error.codigo };
+  return opciones.personalizar ? opciones.personalizar(cuerpo, error, req) : cuerpo;
+}
+
+/**
+ * Responde una solicitud con un error en el formato configurado. Si el error
+ * indica `reintentarEn` (segundos), lo informa en el encabezado `Retry-After`.
+ * El registro del error queda a cargo de quien responde (ver `eventos.js`).
+ * @param {Request} req - La solicitud.
+ * @param {Response} res - La respuesta.
+ * @param {*} error - El error; se normaliza con {@link normalizarError}.
+ * @param {OpcionesErrores} [opciones={}] - Las opciones de formato.
+ */
+function responderError(req, res, error, opciones = {}) {
+  const normalizado = normalizarError(error);
+  const cuerpo = cuerpoError(normalizado, req, opciones);
+  res.status(normalizado.status);
+  if (normalizado.reintentarEn) res.set('Retry-After', String(normalizado.reintentarEn));
+  if (!opciones.rfc7807) return res.json(cuerpo);
+  res.type('application/problem+json').send(JSON.stringify(cuerpo));
+}
+
+module.exports = {
+  OAuthError, ErrorAutenticacion, ErrorAutorizacion, ErrorSolicitud, ErrorProveedor, ErrorInterno,
+  CODIGOS, crearError, normalizarError, describirError, cuerpoError, responderError,
+};
@@ -0,0 +1,150 @@
+const { EventEmitter } = require('events');
+const { normalizarError, describirError } = require('./errores');
+
+/**
+ * @typedef {import('express').Request} Request
+ */
+
+/**
+ * @typedef {object} EventoAuth
+ * @property {string} tipo - Tipo del evento: `login.exito`, `login.fallo`, `refresh.exito`, `refresh.fallo`,
+ *   `refresh.no_disponible`, `token.renovado`, `token.fallo`, `datos.acceso`, `datos.fallo`, `acceso.denegado`,
+ *   `credencial.uso`, `sesion.cerrada`, `usuario.creado`, `clave.recarga`, `clave.fallo`, `limite.excedido`,
+ *   `acceso.bloqueado` o `limite.fallo`.
+ * @property {('info'|'warn'|'error')} nivel - Severidad: los rechazos son `warn` y las fallas del servidor, `error`.
+ * @property {string} fecha - Momento del evento, en formato ISO 8601.
+ * @property {string} [idSolicitud] - Identificador de la solicitud (`req.id` o el encabezado `X-Request-Id`).
+ * @property {string} [ip] - IP de la solicitud.
+ * @property {string} [agente] - Encabezado `User-Agent` de la solicitud.
+ * @property {string} [metodo] - Método HTTP de la solicitud.
+ * @property {string} [ruta] - Ruta de la solicitud.
+ * @property {string|number} [documento] - Documento del usuario, si se conoce.
+ * @property {number} [usuario_id] - ID local del usuario, si se conoce.
+ * @property {string} [codigo] - Código del error (ver `errores.js`), en los rechazos y fallas.
+ * @property {string} [motivo] - Mensaje del error.
+ * @property {string} [detalle] - Descripción de la causa, solo en las fallas del servidor.
+ */
+
+/**
+ * @typedef {function(EventoAuth): void} Logger
+ * Recibe cada evento. Ver {@link loggerConsolaJSON} y {@link loggerPino}.
+ */
+
+/**
+ * Orden de los niveles, para filtrar por nivel mínimo.
+ * @type {Object<string, number>}
+ */
+const NIVELES = { info: 0, warn: 1, error: 2 };
+
+/**
+ * Obtiene los datos de la solicitud que acompañan a cada evento.
+ * @param {Request} req - La solicitud.
+ * @returns {{idSolicitud?: string, ip: string, agente?: string, metodo: string, ruta: string}}
+ */
+function contextoSolicitud(req) {
+  return {
+    idSolicitud: req.id || req.headers['x-request-id'],
+    ip: req.ip,
+    agente: req.headers['user-agent'],
+    metodo: req.method,
+    ruta: req.originalUrl,
+  };
+}
+
+/**
+ * Obtiene los datos de un error que acompañan a un evento, y su nivel.
+ * @param {*} error - El error.
+ * @returns {{nivel: string, datos: {codigo: string, motivo: string, detalle?: string}}}
+ */
+function datosError(error) {
+  const normalizado = normalizarError(error);
+  const datos = { codigo: normalizado.codigo, motivo: normalizado.message };
+  if (normalizado.status < 500) return { nivel: 'warn', datos };
+  return { nivel: 'error', datos: { ...datos, detalle: describirError(normalizado) } };
+}
+
+/**
+ * Crea un logger que escribe cada evento como una línea JSON.
+ * @param {object} [opciones={}]
+ * @param {('info'|'warn'|'error')} [opciones.nivel='info'] - Nivel mínimo de los eventos a escribir.
+ * @param {{write: function(string): *}} [opciones.salida=process.stdout] - Dónde escribir.
+ * @returns {Logger}
+ */
+function loggerConsolaJSON(opciones = {}) {
+  const { nivel = 'info', salida = process.stdout } = opciones;
+  return (evento) => {
+    if (NIVELES[evento.nivel] < NIVELES[nivel]) return;
+    salida.write(`${JSON.stringify(evento)}\n`);
+  };
+}
+
+/**
+ * Adapta un logger con la interfaz de pino (`info`, `warn` y `error`, que
+ * reciben un objeto de campos y un mensaje), como pino o un hijo de él.
+ * @param {{info: function, warn: function, error: function}} logger - El logger.
+ * @returns {Logger}
+ */
+function loggerPino(logger) {
+  return (evento) => {
+    const { tipo, nivel, ...campos } = evento;
+    logger[nivel]({ evento: tipo, ...campos }, tipo);
+  };
+}
+
+/**
+ * Logger por defecto: escribe en la consola, en una línea, solo las fallas del servidor.
+ * @type {Logger}
+ */
+function loggerErroresConsola(evento) {
+  if (evento.nivel !== 'error') return;
+  console.error(`Error en ${evento.tipo}${evento.ruta ? ` (${evento.metodo} ${evento.ruta})` : ''}: ${evento.detalle || evento.motivo}`);
+}
+
+/**
+ * Obtiene el logger a partir de una opción de configuración.
+ * @param {Logger|{info: function}|'json'|false} [opcion] - Un logger, un logger con la interfaz de pino, `'json'`
+ *   para {@link loggerConsolaJSON}, o `false` para no registrar nada. Por defecto, {@link loggerErroresConsola}.
+ * @returns {Logger|null} El logger.
+ */
+function resolverLogger(opcion) {
+  if (opcion === undefined) return loggerErroresConsola;
+  if (!opcion) return null;
+  if (opcion === 'json') return loggerConsolaJSON();
+  if (typeof opcion === 'function') return opcion;
+  if (typeof opcion.info === 'function') return loggerPino(opcion);
+  throw new TypeError("La opción 'logger' debe ser una función, un logger con la interfaz de pino, 'json' o false");
+}
+
+/**
+ * Crea el emisor de eventos de autenticación de una instancia. Cada evento se
+ * pasa al logger y se emite con su tipo y como `evento`, para suscribirse con
+ * `eventos.on('acceso.denegado', fn)` o `eventos.on('evento', fn)`. Un error
+ * en el logger o en un suscriptor no interrumpe la solicitud.
+ * @param {Logger|{info: function}|'json'|false} [opcionLogger] - El logger (ver {@link resolverLogger}).
+ * @returns {EventEmitter & {registrar: function(string, string, object=): void}} El emisor.
+ */
+function crearEventos(opcionLogger) {
+  const logger = resolverLogger(opcionLogger);
+  const eventos = new EventEmitter();
+
+  /**
+   * Registra un evento.
+   * @param {string} tipo - El tipo del evento.
+   * @param {('info'|'warn'|'error')} nivel - La severidad.
+   * @param {object} [datos={}] - Los datos del evento, incluido el contexto de la solicitud.
+   */
+  eventos.registrar = function (tipo, nivel, datos = {}) {
+    const evento = { tipo, nivel, fecha: new Date().toISOString(), ...datos };
+    try {
+      if (logger) logger(evento);
+      eventos.emit(tipo, evento);
+      eventos.emit('evento', evento);
+    } catch (error) {
+      process.emitWarning(`Error al registrar el evento '${tipo}': ${error.message}`, 'MbcjEventoWarning');
+    }
+  };
+
+  return eventos;
+}
+
+module.exports = { crearEventos, contextoSolicitud, datosError, loggerConsolaJSON, loggerPino, loggerErroresConsola, resolverLogger };
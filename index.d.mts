@@ -0,0 +1,5 @@
+// Tipos de la entrada ESM: los mismos de `index.d.ts`.
+import * as lib from './index.js';
+
+export * from './index.js';
+export default lib;
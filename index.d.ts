@@ -0,0 +1,510 @@
+// Tipos de mbcj-oauth-sv. Reflejan los typedefs JSDoc de cada módulo; ante una
+// diferencia, la documentación de los fuentes es la referencia.
+
+import type { EventEmitter } from 'events';
+import type { KeyObject } from 'crypto';
+import type { AxiosResponse } from 'axios';
+import type { Router, Request, Response, RequestHandler } from 'express';
+
+/**
+ * Los datos (`data`) de un token del servicio OAuth: lo que `validarUsuarioMW`
+ * asigna a `req.user` y `verificarToken` resuelve como `usuario`.
+ */
+export interface UsuarioToken {
+  documento: string | number;
+  usuario_id?: number;
+  tipo_usuario_id?: number;
+  nombre?: string;
+  permisos?: string[];
+  [claim: string]: unknown;
+}
+
+declare global {
+  namespace Express {
+    // Compatible con la declaración de passport (`interface User {}`).
+    interface User extends UsuarioToken {}
+    interface Request {
+      user?: User;
+    }
+  }
+}
+
+// errores.js
+
+export type CodigoError =
+  | 'TOKEN_REQUERIDO' | 'TOKEN_INVALIDO' | 'FIRMA_INVALIDA' | 'TOKEN_EXPIRADO' | 'TOKEN_NO_VIGENTE'
+  | 'EMISOR_INVALIDO' | 'AUDIENCIA_INVALIDA' | 'DATOS_INVALIDOS' | 'CLAVE_DESCONOCIDA' | 'TOKEN_REVOCADO'
+  | 'CREDENCIAL_EXPIRADA' | 'REFRESH_INVALIDO' | 'REFRESH_REVOCADO' | 'REFRESH_REUTILIZADO'
+  | 'USUARIO_NO_ENCONTRADO' | 'USUARIO_INACTIVO' | 'USUARIO_NO_VALIDADO' | 'SIN_PERMISO' | 'CSRF_INVALIDO'
+  | 'CODIGO_REQUERIDO' | 'REFRESH_REQUERIDO' | 'STATE_INVALIDO' | 'DEMASIADAS_SOLICITUDES' | 'ACCESO_BLOQUEADO'
+  | 'PROVEEDOR_RECHAZO' | 'PROVEEDOR_ERROR' | 'PROVEEDOR_NO_DISPONIBLE' | 'PROVEEDOR_TIEMPO_AGOTADO'
+  | 'CLAVE_NO_DISPONIBLE' | 'REVOCACION_NO_DISPONIBLE' | 'ERROR_BASE_DATOS' | 'ERROR_PERMISOS'
+  | 'CONFIGURACION_INVALIDA' | 'ERROR_INTERNO';
+
+export class OAuthError extends Error {
+  constructor(codigo: CodigoError | string, mensaje?: string, extra?: object);
+  codigo: CodigoError | string;
+  status: number;
+  /** El error original, que nunca se envía al cliente. */
+  causa?: unknown;
+  readonly msj: string;
+}
+export class ErrorAutenticacion extends OAuthError {}
+export class ErrorAutorizacion extends OAuthError {}
+export class ErrorSolicitud extends OAuthError {}
+export class ErrorProveedor extends OAuthError {}
+export class ErrorInterno extends OAuthError {}
+
+export const CODIGOS: Record<CodigoError, { status: number; clase: typeof OAuthError; mensaje: string }>;
+
+export interface OpcionesErrores {
+  rfc7807?: boolean;
+  personalizar?: (cuerpo: object, error: OAuthError, req: Request) => object;
+}
+
+// eventos.js
+
+export interface EventoAuth {
+  tipo: string;
+  nivel: 'info' | 'warn' | 'error';
+  fecha: string;
+  idSolicitud?: string;
+  ip?: string;
+  agente?: string;
+  metodo?: string;
+  ruta?: string;
+  documento?: string | number;
+  usuario_id?: number;
+  codigo?: string;
+  motivo?: string;
+  detalle?: string;
+  [campo: string]: unknown;
+}
+
+export type Logger = (evento: EventoAuth) => void;
+
+export function loggerConsolaJSON(opciones?: {
+  nivel?: 'info' | 'warn' | 'error';
+  salida?: { write(linea: string): unknown };
+}): Logger;
+
+export function loggerPino(logger: { info: Function; warn: Function; error: Function }): Logger;
+
+// cache.js, revocaciones.js, limites.js, metricas.js
+
+export interface AlmacenCache {
+  obtener(clave: string): Promise<any>;
+  guardar(clave: string, valor: any, ttl?: number): Promise<void>;
+  eliminar(clave: string): Promise<void>;
+  /** Guarda solo si la clave no existe, de forma atómica (`SET NX`). Obligatoria para los refresh tokens. */
+  guardarSiNoExiste?(clave: string, valor: any, ttl?: number): Promise<boolean>;
+}
+
+export function crearCacheMemoria(opciones?: { maximo?: number; ttl?: number }): AlmacenCache;
+
+export interface Revocaciones {
+  revocarToken(jti: string, exp?: number): Promise<void>;
+  revocarDocumento(documento: string, desde?: Date | number): Promise<void>;
+  estaRevocado(decodificado: object): Promise<boolean>;
+}
+
+export function crearRevocaciones(opciones?: { almacen?: AlmacenCache; duracionMaximaToken?: number }): Revocaciones;
+
+export interface OpcionesLimites {
+  almacen?: AlmacenCache;
+  almacenBloqueos?: AlmacenCache;
+  solicitudes?: false | { maximo?: number; ventana?: number };
+  fallos?: false | { maximo?: number; ventana?: number; bloqueo?: number };
+}
+
+export interface ResultadoLimite {
+  permitido: boolean;
+  clave?: string;
+  limite?: 'solicitudes' | 'bloqueo';
+  espera?: number;
+  nuevo?: boolean;
+}
+
+export interface Limitador {
+  consultar(claves: string[]): Promise<ResultadoLimite>;
+  consultarBloqueo(claves: string[]): Promise<ResultadoLimite>;
+  registrarFallo(claves: string[]): Promise<Array<{ clave: string; espera: number }>>;
+  reiniciar(clave: string): Promise<void>;
+}
+
+export function crearLimitador(opciones?: OpcionesLimites): Limitador;
+
+export interface Metricas {
+  cronometrar(operacion: string, etiquetas?: Record<string, string>): (error?: unknown) => void;
+  medir<T>(operacion: string, etiquetas: Record<string, string>, solicitud: () => Promise<T>): Promise<T>;
+  texto(): string;
+  ruta(): (req: Request, res: Response) => void;
+  reiniciar(): void;
+}
+
+export function crearMetricas(opciones?: {
+  prefijo?: string;
+  intervalos?: number[];
+  etiquetas?: Record<string, string>;
+}): Metricas;
+
+// config.js, clienteHttp.js, claves.js, cliente.js
+
+export interface OAuthConfig {
+  tokenAdmin?: string;
+  claveDir?: string;
+  claveArchivo?: string;
+  claveUrl?: string;
+  jwksUrl?: string;
+  url?: string;
+  clienteId?: string;
+  clienteSecreto?: string;
+  requerirValidado: boolean;
+  reemplazarNombre: boolean;
+  emisor?: string | string[];
+  audiencia?: string | string[] | false;
+  toleranciaReloj: number;
+}
+
+export interface OpcionesHttp {
+  timeout?: number;
+  reintentos?: number;
+  esperaBase?: number;
+  esperaMaxima?: number;
+  circuito?: false | { umbral?: number; espera?: number };
+}
+
+export interface ClienteHttp {
+  get(url: string, config?: object, opciones?: { idempotente?: boolean }): Promise<AxiosResponse>;
+  post(url: string, datos?: object, config?: object, opciones?: { idempotente?: boolean }): Promise<AxiosResponse>;
+  estadoCircuitos(): Record<string, { estado: string; fallas: number }>;
+}
+
+export interface EstadoClaves {
+  origen: 'archivo' | 'remota';
+  claves: Array<{ kid?: string; huella: string }>;
+  cargadaEn: number;
+  modificadaEn?: number;
+}
+
+export type ReglaDato =
+  | string
+  | string[]
+  | ((valor: unknown) => boolean)
+  | { tipo: string | string[]; opcional?: boolean };
+
+export type EsquemaDatos = Record<string, ReglaDato>;
+
+/** El token decodificado: `data` con el usuario y los claims registrados. */
+export interface TokenDecodificado {
+  data: UsuarioToken;
+  exp?: number;
+  iat?: number;
+  nbf?: number;
+  jti?: string;
+  iss?: string;
+  aud?: string | string[];
+  [claim: string]: unknown;
+}
+
+/** Opciones de configuración; cada una tiene prioridad sobre su variable de entorno. */
+export interface OpcionesConfig extends Partial<OAuthConfig> {
+  env?: Record<string, string | undefined>;
+}
+
+export interface OpcionesCliente extends OpcionesConfig {
+  vigilarClave?: boolean;
+  ttlClaves?: number;
+  intervaloClaves?: number;
+  graciaClaves?: number;
+  alRecargarClave?: (error: Error | null, origen: string) => void;
+  logger?: Logger | { info: Function; warn: Function; error: Function } | 'json' | false;
+  metricas?: boolean | Parameters<typeof crearMetricas>[0] | Metricas;
+  http?: OpcionesHttp;
+  esquemaDatos?: EsquemaDatos;
+}
+
+export interface OAuthCliente {
+  config: Readonly<OAuthConfig>;
+  extraerDatosJWT(token: string): Promise<TokenDecodificado>;
+  http: ClienteHttp;
+  eventos: EventEmitter;
+  metricas: Metricas | null;
+  recargarClave(): Promise<KeyObject[]>;
+  estadoClave(): Promise<EstadoClaves>;
+  cerrar(): void;
+}
+
+export function crearCliente(opciones?: OpcionesCliente): OAuthCliente;
+
+/** Opciones comunes a `middleware`, `oauthRouter` y `saludRouter`: una instancia o la configuración para crearla. */
+export interface OpcionesInstancia extends OpcionesCliente {
+  cliente?: OAuthCliente;
+}
+
+// repositorios.js
+
+export interface RepositorioUsuarios {
+  buscarPorDocumento(documento: string, atributos?: Array<string | string[]>): Promise<Record<string, any> | null>;
+  estaActivo(documento: string): Promise<boolean | null>;
+  registrarIngreso(documento: string, cambios?: object): Promise<void>;
+  crear?(datos: object): Promise<void>;
+  verificar?(): Promise<void>;
+}
+
+/** Un modelo de Sequelize para la entidad `Usuario`. */
+export interface UsuarioModel {
+  findOne(opciones: object): Promise<any>;
+  update(valores: object, opciones: object): Promise<any>;
+  create?(valores: object): Promise<any>;
+}
+
+export type Usuarios = RepositorioUsuarios | UsuarioModel;
+
+export function repositorioSequelize(Usuario: UsuarioModel): RepositorioUsuarios;
+
+export function repositorioMemoria(usuarios?: object[]): RepositorioUsuarios;
+
+// politicas.js
+
+export interface ContextoPolitica {
+  user: UsuarioToken | null;
+  req?: Request;
+  recurso?: object;
+  accion?: string;
+  politicas: Record<string, PoliticaDeclarada>;
+  obtenerPermisos(): Promise<string[]>;
+  [dato: string]: unknown;
+}
+
+export type Politica = (contexto: ContextoPolitica) => boolean | Promise<boolean>;
+
+export type PoliticaDeclarada = Politica | number[] | string;
+
+export interface OpcionesPoliticas {
+  politicas?: Record<string, PoliticaDeclarada>;
+  cargarPermisos?: (user: UsuarioToken) => string[] | Promise<string[]>;
+  claimPermisos?: string;
+}
+
+export interface Autorizador {
+  evaluar(politica: PoliticaDeclarada, user: UsuarioToken | null, extra?: object): Promise<boolean>;
+  puede(user: UsuarioToken | null, accion: string, recurso?: object): Promise<boolean>;
+}
+
+export const politicas: {
+  tipos(tiposUsuarioId: number[]): Politica;
+  autenticado: Politica;
+  permiso(...nombres: string[]): Politica;
+  claim(nombre: string, esperado: unknown | unknown[] | ((valor: any, contexto: ContextoPolitica) => boolean)): Politica;
+  propietario(campoRecurso: string, campoUsuario?: string): Politica;
+  todas(...lista: PoliticaDeclarada[]): Politica;
+  alguna(...lista: PoliticaDeclarada[]): Politica;
+  crearAutorizador(opciones?: OpcionesPoliticas): Autorizador;
+};
+
+// credenciales.js, cookies.js
+
+export interface CredencialServicio {
+  nombre: string;
+  hash: string;
+  tipo_usuario_id?: number;
+  permisos?: string[];
+  expira?: Date | string | number;
+  usuario?: object;
+  status?: string;
+}
+
+export interface UsoCredencial {
+  nombre: string;
+  resultado: 'aceptada' | 'expirada';
+  status: string;
+  fecha: Date;
+  ip?: string;
+  metodo?: string;
+  ruta?: string;
+  idSolicitud?: string;
+  agente?: string;
+}
+
+export function hashearCredencial(clave: string): string;
+
+export interface OpcionesCookie {
+  nombre?: string;
+  nombreRefresh?: string;
+  nombreCsrf?: string;
+  encabezadoCsrf?: string;
+  secure?: boolean;
+  sameSite?: 'strict' | 'lax' | 'none';
+  dominio?: string;
+  ruta?: string;
+  maxAge?: number;
+}
+
+export function protegerCsrf(opcion?: boolean | OpcionesCookie, opcionesErrores?: OpcionesErrores): RequestHandler;
+
+// middleware.js
+
+export interface OpcionesMiddleware extends OpcionesInstancia, OpcionesPoliticas {
+  cacheUsuarios?: boolean | { maximo?: number; ttl?: number } | AlmacenCache;
+  revocaciones?: Revocaciones;
+  credencialesServicio?: CredencialServicio[];
+  auditarCredencial?: (uso: UsoCredencial) => void;
+  avisoExpiracion?: number;
+  cookie?: boolean | OpcionesCookie;
+  errores?: OpcionesErrores;
+  limites?: boolean | OpcionesLimites | Limitador;
+}
+
+export interface ResultadoValidacion {
+  /** `USUARIO`, `SIN TOKEN`, o el estado de la credencial de servicio (`SERVICIO`, `SUPERADMIN`, ...). */
+  status: string;
+  user: UsuarioToken | null;
+  exp?: number;
+  decodificado?: TokenDecodificado;
+}
+
+export interface Middleware {
+  validarUsuario(token: string | null, requerido?: boolean, contexto?: object): Promise<ResultadoValidacion>;
+  validarUsuarioMW(politica?: PoliticaDeclarada | null, requerido?: boolean): RequestHandler;
+  autorizar(politica: PoliticaDeclarada): RequestHandler;
+  puede(user: UsuarioToken | null, accion: string, recurso?: object): Promise<boolean>;
+  invalidarUsuario(documento: string): Promise<void>;
+  estadisticasCache(): { aciertos: number; fallos: number };
+}
+
+export function middleware(Usuario: Usuarios, opciones?: OpcionesMiddleware): Middleware;
+
+/**
+ * Verifica y decodifica un token JWT con la clave pública del servicio OAuth.
+ * Sin `cliente`, usa una instancia creada desde el entorno.
+ */
+export function extraerDatosJWT(token: string, cliente?: OAuthCliente): Promise<TokenDecodificado>;
+
+// verificacion.js
+
+export interface OpcionesVerificarToken extends OpcionesPoliticas {
+  /** Con esta opción se ignoran `cliente`, `usuarios` y `revocaciones`. */
+  middleware?: Middleware;
+  cliente?: OAuthCliente;
+  usuarios?: Usuarios;
+  revocaciones?: Revocaciones;
+  politica?: PoliticaDeclarada;
+  contexto?: object;
+}
+
+export interface TokenVerificado {
+  usuario: UsuarioToken;
+  exp?: number;
+  decodificado: TokenDecodificado;
+}
+
+/** Verifica un token con las mismas reglas que `validarUsuarioMW`, sin Express. */
+export function verificarToken(token: string, opciones?: OpcionesVerificarToken): Promise<TokenVerificado>;
+
+// oauthRouter.js y salud.js
+
+export interface OAuthUserData {
+  persona: {
+    documento: string;
+    nombre: string;
+    apellidos: string;
+    validado: boolean;
+    [campo: string]: unknown;
+  };
+  [campo: string]: unknown;
+}
+
+export interface RegistroRefresh {
+  familia: string;
+  documento: string;
+  refreshProveedor: string;
+  vence: number;
+}
+
+export interface RefreshTokens {
+  emitir(datos: { documento: string; refreshProveedor: string }, familia?: string): Promise<string>;
+  canjear(refreshToken: string): Promise<RegistroRefresh>;
+  revocar(refreshToken: string): Promise<void>;
+}
+
+export interface OpcionesLogin {
+  urlCallback: string;
+  urlAutorizacion?: string;
+  urlRetorno?: string;
+  urlError?: string;
+  parametros?: Record<string, string>;
+  almacen?: AlmacenCache;
+  ttl?: number;
+  cookie?: string;
+  secure?: boolean;
+}
+
+export interface OpcionesProvision {
+  tipo_usuario_id: number;
+  activo?: boolean;
+  mapear?: (persona: OAuthUserData['persona'], datos: OAuthUserData) => object | null | Promise<object | null>;
+  sincronizar?: boolean | string[];
+  permiso_id?: number;
+}
+
+export interface OpcionesSalud {
+  proveedor?: boolean;
+  rutaProveedor?: string;
+  baseDatos?: boolean;
+  timeout?: number;
+  detalle?: boolean;
+}
+
+export interface OAuthRouterOpciones extends OpcionesInstancia {
+  atributos?: string[];
+  atributosNuevoToken?: Array<string | string[]>;
+  loggeado?: (error: OAuthError | null, datos?: object) => void;
+  refresh?: boolean | { almacen?: AlmacenCache; duracion?: number } | RefreshTokens;
+  rutaRefreshProveedor?: string;
+  revocaciones?: Revocaciones;
+  cookie?: boolean | OpcionesCookie;
+  cacheDatos?: boolean | { maximo?: number; ttl?: number } | AlmacenCache;
+  errores?: OpcionesErrores;
+  login?: OpcionesLogin;
+  limites?: boolean | OpcionesLimites | Limitador;
+  provision?: OpcionesProvision;
+  salud?: boolean | OpcionesSalud;
+}
+
+export function oauthRouter(Usuario: Usuarios, opciones?: OAuthRouterOpciones): Router;
+/** @deprecated Firma posicional anterior; use el objeto de opciones. */
+export function oauthRouter(
+  Usuario: Usuarios,
+  atributos?: string[],
+  atributosNuevoToken?: Array<string | string[]>,
+  loggeado?: (error: OAuthError | null, datos?: object) => void,
+): Router;
+
+export function saludRouter(Usuario: Usuarios, opciones?: OpcionesSalud & OpcionesInstancia): Router;
+
+// obtenerClave.js
+
+export interface OpcionesDescarga {
+  http?: OpcionesHttp;
+  huella?: string;
+  modo?: number;
+}
+
+export interface ResultadoClave {
+  ruta: string;
+  huella: string;
+  actualizada?: boolean;
+}
+
+export function obtenerClavePublica(
+  urlOAuth: string,
+  rutaDirectorio: string,
+  nombreArchivo: string,
+  opcionesHttp?: OpcionesHttp,
+  opciones?: { huella?: string; modo?: number },
+): Promise<string>;
+
+export function descargarClave(url: string, rutaArchivo: string, opciones?: OpcionesDescarga): Promise<ResultadoClave>;
+
+export function verificarClave(rutaArchivo: string, opciones?: { huella?: string }): Promise<ResultadoClave>;
@@ -1,5 +1,18 @@
 const oauthRouter = require('./oauthRouter');
-const middleware = require('./middleware');
-const obtenerClavePublica = require('./obtenerClave');
+const { middleware, extraerDatosJWT } = require('./middleware');
+const { verificarToken } = require('./verificacion');
+const { crearCliente } = require('./cliente');
+const { repositorioSequelize, repositorioMemoria } = require('./repositorios');
+const { crearCacheMemoria } = require('./cache');
+const { crearRevocaciones } = require('./revocaciones');
+const { crearLimitador } = require('./limites');
+const { crearMetricas } = require('./metricas');
+const { saludRouter } = require('./salud');
+const politicas = require('./politicas');
+const { hashearCredencial } = require('./credenciales');
+const { protegerCsrf } = require('./cookies');
+const { OAuthError, ErrorAutenticacion, ErrorAutorizacion, ErrorSolicitud, ErrorProveedor, ErrorInterno, CODIGOS } = require('./errores');
+const { loggerConsolaJSON, loggerPino } = require('./eventos');
+const { obtenerClavePublica, descargarClave, verificarClave } = require('./obtenerClave');
 
-module.exports = {oauthRouter, middleware, obtenerClavePublica}
\ No newline at end of file
+module.exports = {oauthRouter, middleware, saludRouter, extraerDatosJWT, verificarToken, crearCliente, repositorioSequelize, repositorioMemoria, crearCacheMemoria, crearRevocaciones, crearLimitador, crearMetricas, politicas, hashearCredencial, protegerCsrf, OAuthError, ErrorAutenticacion, ErrorAutorizacion, ErrorSolicitud, ErrorProveedor, ErrorInterno, CODIGOS, loggerConsolaJSON, loggerPino, obtenerClavePublica, descargarClave, verificarClave}
\ No newline at end of file
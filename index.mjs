@@ -0,0 +1,13 @@
+// Entrada ESM: reexporta la versión CommonJS, de modo que `import` y `require`
+// comparten las mismas instancias (cliente por defecto, clases de error).
+import lib from './index.js';
+
+export const {
+  oauthRouter, middleware, saludRouter, extraerDatosJWT, verificarToken, crearCliente, repositorioSequelize,
+  repositorioMemoria, crearCacheMemoria, crearRevocaciones, crearLimitador, crearMetricas, politicas,
+  hashearCredencial, protegerCsrf, OAuthError, ErrorAutenticacion, ErrorAutorizacion, ErrorSolicitud,
+  ErrorProveedor, ErrorInterno, CODIGOS, loggerConsolaJSON, loggerPino, obtenerClavePublica, descargarClave,
+  verificarClave,
+} = lib;
+
+export default lib;
@@ -0,0 +1,226 @@
+const { crearCacheMemoria } = require('./cache');
+const { crearError, normalizarError } = require('./errores');
+const { contextoSolicitud, datosError } = require('./eventos');
+
+/**
+ * @typedef {import('express').Request} Request
+ */
+
+/**
+ * @typedef {object} OpcionesLimites
+ * @property {import('./cache').AlmacenCache} [almacen] - Almacén de los contadores. Por defecto, uno en memoria; con
+ *   varias instancias detrás de un balanceador debe ser compartido (por ejemplo, Redis).
+ * @property {import('./cache').AlmacenCache} [almacenBloqueos] - Almacén de los bloqueos. Por defecto, `almacen` si
+ *   se indicó y, si no, uno en memoria propio y sin límite de entradas: la presión sobre los contadores no puede
+ *   descartar un bloqueo vigente.
+ * @property {false|{maximo?: number, ventana?: number}} [solicitudes] - Límite de solicitudes por IP y por documento:
+ *   `maximo` (60) en los últimos `ventana` (60000) milisegundos. `false` lo deshabilita.
+ * @property {false|{maximo?: number, ventana?: number, bloqueo?: number}} [fallos] - Bloqueo temporal: luego de
+ *   `maximo` (10) fallos de autenticación en `ventana` (900000) milisegundos, se rechaza la IP o el documento durante
+ *   `bloqueo` (900000) milisegundos. `false` lo deshabilita.
+ */
+
+/**
+ * @typedef {object} ResultadoLimite
+ * @property {boolean} permitido - Si la solicitud puede continuar.
+ * @property {string} [clave] - La clave que superó el límite (`ip:...` o `documento:...`).
+ * @property {('solicitudes'|'bloqueo')} [limite] - El límite superado.
+ * @property {number} [espera] - Milisegundos hasta que se vuelva a permitir.
+ * @property {boolean} [nuevo] - Si es el primer rechazo desde que se superó el límite.
+ */
+
+/**
+ * @typedef {object} Limitador
+ * @property {function(string[]): Promise<ResultadoLimite>} consultar - Verifica las claves en orden y, si todas están
+ *   permitidas, cuenta la solicitud. Devuelve el primer rechazo.
+ * @property {function(string[]): Promise<ResultadoLimite>} consultarBloqueo - Como `consultar`, pero solo verifica
+ *   los bloqueos, sin contar la solicitud.
+ * @property {function(string[]): Promise<Array<{clave: string, espera: number}>>} registrarFallo - Cuenta un fallo de
+ *   autenticación para cada clave y devuelve las que quedaron bloqueadas.
+ * @property {function(string): Promise<void>} reiniciar - Quita el bloqueo y los contadores de una clave.
+ */
+
+/**
+ * Códigos de 401 que no cuentan como fallo: no indican que se esté probando credenciales.
+ * @type {string[]}
+ */
+const CODIGOS_SIN_FALLO = ['TOKEN_REQUERIDO', 'TOKEN_EXPIRADO'];
+
+/**
+ * Quita las marcas de tiempo que quedaron fuera de la ventana.
+ * @param {number[]} [marcas=[]] - Marcas de tiempo, en milisegundos.
+ * @param {number} ventana - Duración de la ventana, en milisegundos.
+ * @param {number} ahora - El instante actual.
+ * @returns {number[]} Las marcas vigentes.
+ */
+function marcasVigentes(marcas = [], ventana, ahora) {
+  return marcas.filter((marca) => marca > ahora - ventana);
+}
+
+/**
+ * Crea el limitador de solicitudes y fallos, con ventana deslizante sobre un
+ * almacén clave/valor. Con un almacén compartido los contadores son
+ * aproximados: dos procesos pueden contar a la vez la misma solicitud.
+ * @param {OpcionesLimites} [opciones={}] - Las opciones del limitador.
+ * @returns {Limitador} El limitador.
+ */
+function crearLimitador(opciones = {}) {
+  const { almacen = crearCacheMemoria({ maximo: 10000 }) } = opciones;
+  const almacenBloqueos = opciones.almacenBloqueos || opciones.almacen || crearCacheMemoria({ maximo: Infinity });
+  const solicitudes = opciones.solicitudes !== false && { maximo: 60, ventana: 60 * 1000, ...opciones.solicitudes };
+  const fallos = opciones.fallos !== false
+    && { maximo: 10, ventana: 15 * 60 * 1000, bloqueo: 15 * 60 * 1000, ...opciones.fallos };
+
+  function consultarClave(clave, contar) {
+    return almacenBloqueos.obtener(`bloqueo:${clave}`).then((hasta) => {
+      const ahora = Date.now();
+      if (hasta && hasta > ahora) return { permitido: false, clave, limite: 'bloqueo', espera: hasta - ahora, nuevo: false };
+      if (!solicitudes || !contar) return { permitido: true };
+
+      const id = `solicitudes:${clave}`;
+      return almacen.obtener(id).then((registro = {}) => {
+        const marcas = marcasVigentes(registro.marcas, solicitudes.ventana, ahora);
+        if (marcas.length >= solicitudes.maximo) {
+          const espera = marcas[0] + solicitudes.ventana - ahora;
+          const resultado = { permitido: false, clave, limite: 'solicitudes', espera, nuevo: !registro.excedido };
+          if (registro.excedido) return resultado;
+          return almacen.guardar(id, { marcas, excedido: true }, solicitudes.ventana).then(() => resultado);
+        }
+        marcas.push(ahora);
+        return almacen.guardar(id, { marcas, excedido: false }, solicitudes.ventana).then(() => ({ permitido: true }));
+      });
+    });
+  }
+
+  function registrarFalloClave(clave) {
+    const id = `fallos:${clave}`;
+    return almacen.obtener(id).then((anteriores) => {
+      const ahora = Date.now();
+      const marcas = marcasVigentes(anteriores, fallos.ventana, ahora);
+      marcas.push(ahora);
+      if (marcas.length < fallos.maximo) return almacen.guardar(id, marcas, fallos.ventana).then(() => null);
+      return almacenBloqueos.guardar(`bloqueo:${clave}`, ahora + fallos.bloqueo, fallos.bloqueo)
+        .then(() => almacen.eliminar(id))
+        .then(() => ({ clave, espera: fallos.bloqueo }));
+    });
+  }
+
+  function consultarClaves(claves, contar) {
+    return claves.reduce((anterior, clave) => anterior.then((resultado) => {
+      if (!resultado.permitido) return resultado;
+      return consultarClave(clave, contar);
+    }), Promise.resolve({ permitido: true }));
+  }
+
+  return {
+    consultar(claves) {
+      return consultarClaves(claves, true);
+    },
+    consultarBloqueo(claves) {
+      return consultarClaves(claves, false);
+    },
+    registrarFallo(claves) {
+      if (!fallos) return Promise.resolve([]);
+      return Promise.all(claves.map(registrarFalloClave)).then((bloqueadas) => bloqueadas.filter(Boolean));
+    },
+    reiniciar(clave) {
+      return Promise.all([
+        almacenBloqueos.eliminar(`bloqueo:${clave}`),
+        almacen.eliminar(`fallos:${clave}`),
+        almacen.eliminar(`solicitudes:${clave}`),
+      ]).then(() => undefined);
+    },
+  };
+}
+
+/**
+ * Obtiene el limitador a partir de una opción de configuración.
+ * @param {boolean|OpcionesLimites|Limitador} [opcion] - `true` para los límites por defecto, las opciones de
+ *   {@link crearLimitador}, o un limitador ya creado (para compartir los contadores entre el router y el middleware).
+ * @returns {Limitador|null} El limitador, o `null` si la opción está vacía o es `false`.
+ */
+function resolverLimitador(opcion) {
+  if (!opcion) return null;
+  if (opcion === true) return crearLimitador();
+  if (typeof opcion.consultar === 'function') return opcion;
+  return crearLimitador(opcion);
+}
+
+/**
+ * Indica si un error cuenta como fallo de autenticación para el bloqueo temporal.
+ * @param {import('./errores').OAuthError} error - El error normalizado.
+ * @returns {boolean}
+ */
+function esFalloAutenticacion(error) {
+  return error.status === 401 && !CODIGOS_SIN_FALLO.includes(error.codigo);
+}
+
+/**
+ * Crea el control de límites de un middleware o un router: aplica el limitador
+ * a las solicitudes, registra los eventos `limite.excedido` y `acceso.bloqueado`
+ * y arma los errores `429`. Si el almacén falla, la solicitud se permite y se
+ * registra el evento `limite.fallo`.
+ * @param {boolean|OpcionesLimites|Limitador} [opcion] - La opción `limites` (ver {@link resolverLimitador}).
+ * @param {import('events').EventEmitter & {registrar: function}} eventos - Los eventos de la instancia.
+ * @param {object} [opcionesControl={}]
+ * @param {boolean} [opcionesControl.contarSolicitudes=true] - Si `verificar` cuenta la solicitud contra el límite de
+ *   solicitudes. Con `false` solo se aplican los bloqueos por fallos.
+ * @returns {{verificar: function(Request, (string|number)=): Promise<void>, registrarFallo: function(Request, *, (string|number)=): void}|null}
+ *   `verificar` rechaza con el error `429` si la IP (o, si se indica, el documento) superó un límite;
+ *   `registrarFallo` cuenta el error contra la IP y el documento si es un fallo de autenticación.
+ *   `null` si los límites están deshabilitados.
+ */
+function crearControlLimites(opcion, eventos, opcionesControl = {}) {
+  const { contarSolicitudes = true } = opcionesControl;
+  const limitador = resolverLimitador(opcion);
+  if (!limitador) return null;
+  const consultar = contarSolicitudes ? limitador.consultar : limitador.consultarBloqueo;
+
+  function registrarFallaAlmacen(req, error) {
+    const { datos } = datosError(crearError('ERROR_INTERNO', "No se pudo consultar el límite de solicitudes", { causa: error }));
+    eventos.registrar('limite.fallo', 'error', { ...contextoSolicitud(req), ...datos });
+  }
+
+  return {
+    verificar(req, documento) {
+      const claves = documento === undefined ? [`ip:${req.ip}`] : [`documento:${documento}`];
+      return consultar(claves)
+        .catch((error) => {
+          registrarFallaAlmacen(req, error);
+          return { permitido: true };
+        })
+        .then((resultado) => {
+          if (resultado.permitido) return;
+          const codigo = resultado.limite === 'bloqueo' ? 'ACCESO_BLOQUEADO' : 'DEMASIADAS_SOLICITUDES';
+          const error = crearError(codigo, undefined, { reintentarEn: Math.ceil(resultado.espera / 1000) });
+          if (resultado.nuevo) {
+            eventos.registrar('limite.excedido', 'warn', {
+              ...contextoSolicitud(req),
+              clave: resultado.clave,
+              reintentarEn: error.reintentarEn,
+              ...datosError(error).datos,
+            });
+          }
+          return Promise.reject(error);
+        });
+    },
+    registrarFallo(req, error, documento) {
+      const normalizado = normalizarError(error);
+      if (!esFalloAutenticacion(normalizado)) return;
+      const claves = [`ip:${req.ip}`];
+      if (documento !== undefined) claves.push(`documento:${documento}`);
+      limitador.registrarFallo(claves)
+        .then((bloqueadas) => bloqueadas.forEach(({ clave, espera }) => {
+          eventos.registrar('acceso.bloqueado', 'warn', {
+            ...contextoSolicitud(req),
+            clave,
+            reintentarEn: Math.ceil(espera / 1000),
+            codigo: normalizado.codigo,
+          });
+        }))
+        .catch((err) => registrarFallaAlmacen(req, err));
+    },
+  };
+}
+
+module.exports = { crearLimitador, resolverLimitador, crearControlLimites };
@@ -0,0 +1,156 @@
+const { normalizarError } = require('./errores');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * @typedef {object} Metricas
+ * @property {function(string, Object<string, string>=): function(*=): void} cronometrar - Inicia la medición de una
+ *   operación; la función devuelta la termina, con el error si falló.
+ * @property {function(string, Object<string, string>, function(): Promise<*>): Promise<*>} medir - Mide la promesa
+ *   devuelta por la función.
+ * @property {function(): string} texto - Las métricas en el formato de texto de Prometheus.
+ * @property {function(): function(Request, Response): void} ruta - Handler de Express que responde {@link texto}.
+ * @property {function(): void} reiniciar - Pone en cero todas las métricas.
+ */
+
+/**
+ * Operaciones instrumentadas. Cada una expone un contador `<prefijo><operacion>_total`, con las etiquetas
+ * `resultado` (`exito` o `error`) y `codigo` (el código del error), y un histograma
+ * `<prefijo><operacion>_duracion_segundos`, con la etiqueta `resultado`.
+ * @type {Object<string, string>}
+ */
+const OPERACIONES = {
+  verificacion: 'Verificaciones de tokens JWT (extraerDatosJWT)',
+  validacion: 'Solicitudes evaluadas por validarUsuarioMW',
+  proveedor: 'Llamadas al servicio de OAuth, por operación',
+};
+
+/**
+ * Límites superiores de los intervalos de los histogramas, en segundos.
+ * @type {number[]}
+ */
+const INTERVALOS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escribe un conjunto de etiquetas en el formato de Prometheus.
+ * @param {Object<string, string>} etiquetas - Las etiquetas.
+ * @returns {string} Las etiquetas entre llaves, o vacío si no hay.
+ */
+function formatearEtiquetas(etiquetas) {
+  const pares = Object.keys(etiquetas).map((nombre) => {
+    const valor = String(etiquetas[nombre]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${nombre}="${valor}"`;
+  });
+  return pares.length ? `{${pares.join(',')}}` : '';
+}
+
+/**
+ * Crea el registro de métricas de autenticación, sin dependencias externas.
+ * @param {object} [opciones={}]
+ * @param {string} [opciones.prefijo='mbcj_oauth_'] - Prefijo de los nombres de las métricas.
+ * @param {number[]} [opciones.intervalos] - Límites de los intervalos de los histogramas, en segundos.
+ * @param {Object<string, string>} [opciones.etiquetas={}] - Etiquetas agregadas a todas las series (por ejemplo,
+ *   `{ servicio: 'expedientes' }`).
+ * @returns {Metricas} El registro.
+ */
+function crearMetricas(opciones = {}) {
+  const { prefijo = 'mbcj_oauth_', intervalos = INTERVALOS, etiquetas: etiquetasFijas = {} } = opciones;
+  /** @type {Map<string, Map<string, {etiquetas: object, valor: number}>>} */
+  const contadores = new Map();
+  /** @type {Map<string, Map<string, {etiquetas: object, intervalos: number[], suma: number, cuenta: number}>>} */
+  const histogramas = new Map();
+
+  function serie(series, operacion, etiquetas, crear) {
+    if (!series.has(operacion)) series.set(operacion, new Map());
+    const porEtiquetas = series.get(operacion);
+    const clave = formatearEtiquetas(etiquetas);
+    if (!porEtiquetas.has(clave)) porEtiquetas.set(clave, crear());
+    return porEtiquetas.get(clave);
+  }
+
+  function registrar(operacion, etiquetas, segundos, error) {
+    const resultado = error ? 'error' : 'exito';
+    const comunes = { ...etiquetasFijas, ...etiquetas, resultado };
+    const etiquetasContador = error ? { ...comunes, codigo: normalizarError(error).codigo } : comunes;
+    serie(contadores, operacion, etiquetasContador, () => ({ etiquetas: etiquetasContador, valor: 0 })).valor += 1;
+
+    const histograma = serie(histogramas, operacion, comunes, () => ({
+      etiquetas: comunes, intervalos: intervalos.map(() => 0), suma: 0, cuenta: 0,
+    }));
+    intervalos.forEach((limite, i) => { if (segundos <= limite) histograma.intervalos[i] += 1; });
+    histograma.suma += segundos;
+    histograma.cuenta += 1;
+  }
+
+  const metricas = {
+    cronometrar(operacion, etiquetas = {}) {
+      const inicio = process.hrtime.bigint();
+      let terminada = false;
+      return (error) => {
+        if (terminada) return;
+        terminada = true;
+        registrar(operacion, etiquetas, Number(process.hrtime.bigint() - inicio) / 1e9, error);
+      };
+    },
+    medir(operacion, etiquetas, funcion) {
+      const terminar = metricas.cronometrar(operacion, etiquetas);
+      return funcion().then(
+        (valor) => { terminar(); return valor; },
+        (error) => { terminar(error); return Promise.reject(error); }
+      );
+    },
+    texto() {
+      const lineas = [];
+      Object.keys(OPERACIONES).forEach((operacion) => {
+        const nombre = `${prefijo}${operacion}`;
+        lineas.push(`# HELP ${nombre}_total ${OPERACIONES[operacion]}.`);
+        lineas.push(`# TYPE ${nombre}_total counter`);
+        (contadores.get(operacion) || new Map()).forEach(({ etiquetas, valor }) => {
+          lineas.push(`${nombre}_total${formatearEtiquetas(etiquetas)} ${valor}`);
+        });
+
+        lineas.push(`# HELP ${nombre}_duracion_segundos ${OPERACIONES[operacion]}: duración en segundos.`);
+        lineas.push(`# TYPE ${nombre}_duracion_segundos histogram`);
+        (histogramas.get(operacion) || new Map()).forEach((histograma) => {
+          intervalos.forEach((limite, i) => {
+            const etiquetas = formatearEtiquetas({ ...histograma.etiquetas, le: limite });
+            lineas.push(`${nombre}_duracion_segundos_bucket${etiquetas} ${histograma.intervalos[i]}`);
+          });
+          lineas.push(`${nombre}_duracion_segundos_bucket${formatearEtiquetas({ ...histograma.etiquetas, le: '+Inf' })} ${histograma.cuenta}`);
+          lineas.push(`${nombre}_duracion_segundos_sum${formatearEtiquetas(histograma.etiquetas)} ${histograma.suma}`);
+          lineas.push(`${nombre}_duracion_segundos_count${formatearEtiquetas(histograma.etiquetas)} ${histograma.cuenta}`);
+        });
+      });
+      return `${lineas.join('\n')}\n`;
+    },
+    ruta() {
+      return function (req, res) {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(metricas.texto());
+      };
+    },
+    reiniciar() {
+      contadores.clear();
+      histogramas.clear();
+    },
+  };
+
+  return metricas;
+}
+
+/**
+ * Obtiene el registro de métricas a partir de una opción de configuración.
+ * @param {boolean|object|Metricas} [opcion] - `true` para un registro con valores por defecto, las opciones de
+ *   {@link crearMetricas}, o un registro ya creado (para compartirlo entre instancias).
+ * @returns {Metricas|null} El registro, o `null` si la opción está vacía o es `false`.
+ */
+function resolverMetricas(opcion) {
+  if (!opcion) return null;
+  if (opcion === true) return crearMetricas();
+  if (typeof opcion.cronometrar === 'function') return opcion;
+  return crearMetricas(opcion);
+}
+
+module.exports = { crearMetricas, resolverMetricas };
@@ -1,68 +1,104 @@
-const jwt = require('jsonwebtoken');
-const path = require('path');
-const fs = require('fs');
-
-const { TOKEN_ADMIN, OAUTH_CLAVE_DIR, OAUTH_CLAVE_FILE } = process.env;
+const { crearError, responderError } = require('./errores');
+const { crearCliente, resolverCliente } = require('./cliente');
+const { resolverRepositorio } = require('./repositorios');
+const { resolverCache } = require('./cache');
+const { crearAutorizador } = require('./politicas');
+const { crearCredenciales, hashearCredencial } = require('./credenciales');
+const { resolverOpcionesCookie, leerCookie, verificarCsrf } = require('./cookies');
+const { contextoSolicitud, datosError } = require('./eventos');
+const { crearControlLimites } = require('./limites');
+const { comprobarRevocacion } = require('./revocaciones');
 
 /**
  * @typedef {import('express').Request} Request
  * @typedef {import('express').Response} Response
  * @typedef {import('express').NextFunction} NextFunction
+ * @typedef {import('./cliente').OAuthCliente} OAuthCliente
+ * @typedef {import('./politicas').PoliticaDeclarada} PoliticaDeclarada
  */
 
-// Se lee la clave pública una sola vez al iniciar el módulo para optimizar.
-// Si la clave no se puede leer, se considera un error fatal, ya que la
-// validación de tokens es una función crítica de seguridad.
-let CLAVE_PUBLICA;
-try {
-  const clavePublicaPath = path.join(OAUTH_CLAVE_DIR, OAUTH_CLAVE_FILE);
-  CLAVE_PUBLICA = fs.readFileSync(clavePublicaPath);
-} catch (error) {
-  console.error('Error fatal: No se pudo cargar la clave pública para la verificación de JWT.', error);
-  process.exit(1); // Termina el proceso si la clave no está disponible.
-}
+/**
+ * Instancia creada a partir de las variables de entorno, usada por
+ * {@link extraerDatosJWT} y `verificarToken` cuando no se indica un cliente. Se crea en el primer
+ * uso para que el entorno pueda configurarse después de requerir la librería.
+ * @type {OAuthCliente|null}
+ */
+let clientePorDefecto = null;
 
 /**
- * Crea un objeto de error estandarizado.
- * @param {number} status - El código de estado HTTP.
- * @param {string} msj - El mensaje de error.
- * @returns {{status: number, msj: string}} El objeto de error.
+ * Indica si ya se emitió el aviso de obsolescencia de `TOKEN_ADMIN`, para hacerlo una sola vez por proceso.
+ * @type {boolean}
  */
-function crearError(status, msj) {
-  return { status, msj };
-}
+let avisoTokenAdmin = false;
 
 /**
  * Verifica y decodifica un token JWT utilizando la clave pública del servicio OAuth.
  * @param {string} token - El token JWT a verificar.
+ * @param {OAuthCliente} [cliente] - Instancia cuya clave se usa. Por defecto, una creada desde el entorno.
  * @returns {Promise<object>} Una promesa que resuelve con los datos decodificados del token.
- * @rejects {{status: number, msj: string}} Un objeto de error si la verificación falla.
+ * @rejects {import('./errores').OAuthError} Si la verificación falla.
  */
-function extraerDatosJWT(token) {
-  return new Promise((resolve, reject) => {
-    jwt.verify(token, CLAVE_PUBLICA, { algorithms: ['ES256'] }, (error, decoded) => {
-      if (error) {
-        let msj;
-        if (error.name === 'JsonWebTokenError') {
-          msj = `Error en token: ${error.message}`;
-        } else if (error.name === 'TokenExpiredError') {
-          msj = `Token expirado: ${error.expiredAt}`;
-        } else {
-          msj = error.message;
-        }
-        return reject(crearError(403, msj));
-      }
-      return resolve(decoded);
-    });
-  });
+function extraerDatosJWT(token, cliente) {
+  return Promise.resolve().then(() => (cliente || clienteDelEntorno()).extraerDatosJWT(token));
+}
+
+/**
+ * Devuelve la instancia creada desde el entorno, creándola en el primer uso.
+ * @returns {OAuthCliente} La instancia.
+ * @throws {import('./errores').OAuthError} `CONFIGURACION_INVALIDA` si el entorno no permite crearla.
+ */
+function clienteDelEntorno() {
+  try {
+    clientePorDefecto = clientePorDefecto || crearCliente();
+  } catch (error) {
+    throw crearError('CONFIGURACION_INVALIDA', undefined, { causa: error });
+  }
+  return clientePorDefecto;
 }
 
 /**
  * Fábrica de middlewares para la autenticación y autorización de usuarios.
- * @param {object} Usuario - El modelo de Sequelize para la entidad de Usuario.
- * @returns {{validarUsuario: function(string, boolean=): Promise<object>, validarUsuarioMW: function(Array<number>|null=, boolean=): function}}
+ * @param {object} Usuario - El modelo de Sequelize para la entidad de Usuario o un repositorio de usuarios
+ *   (ver `RepositorioUsuarios` en `repositorios.js`).
+ * @param {object} [opciones={}] - Opciones de configuración (ver `OAuthConfig` en `config.js`).
+ * @param {OAuthCliente} [opciones.cliente] - Instancia creada con `crearCliente` para compartir configuración y clave.
+ * @param {boolean|object|import('./cache').AlmacenCache} [opciones.cacheUsuarios] - Cache de la consulta de usuario
+ *   activo por documento: `true` (en memoria), opciones de `crearCacheMemoria` o un almacén propio.
+ * @param {import('./revocaciones').Revocaciones} [opciones.revocaciones] - Registro de tokens revocados, creado con
+ *   `crearRevocaciones`, que se consulta en cada validación.
+ * @param {Object<string, PoliticaDeclarada>} [opciones.politicas] - Políticas con nombre, referenciables desde las rutas y `puede`.
+ * @param {function(object): (string[]|Promise<string[]>)} [opciones.cargarPermisos] - Obtiene los permisos de un usuario.
+ * @param {string} [opciones.claimPermisos='permisos'] - El claim del token con los permisos, si no se indica `cargarPermisos`.
+ * @param {import('./credenciales').CredencialServicio[]} [opciones.credencialesServicio] - Claves de servicio aceptadas
+ *   en lugar de un JWT, guardadas como hash.
+ * @param {function(import('./credenciales').UsoCredencial): void} [opciones.auditarCredencial] - Callback invocado en
+ *   cada uso de una credencial de servicio. Cada uso también se registra como evento `credencial.uso`.
+ * @param {number} [opciones.avisoExpiracion] - Segundos antes del `exp` a partir de los cuales `validarUsuarioMW`
+ *   agrega el encabezado `X-Token-Renovar: true`. Con esta opción también se informa `X-Token-Expira-En`.
+ * @param {boolean|import('./cookies').OpcionesCookie} [opciones.cookie] - Acepta el token desde la cookie de sesión
+ *   del modo cookie de `oauthRouter` (usar las mismas opciones), exigiendo el token CSRF en métodos que modifican estado.
+ * @param {import('./errores').OpcionesErrores} [opciones.errores] - Formato de las respuestas de error.
+ * @param {boolean|import('./limites').OpcionesLimites|import('./limites').Limitador} [opciones.limites] - Bloqueo
+ *   temporal por IP y por documento tras fallos de autenticación repetidos, en `validarUsuarioMW`. Solo se cuentan
+ *   los fallos: el límite de solicitudes se aplica a las rutas de `oauthRouter`.
+ * @returns {{validarUsuario: function(string, boolean=): Promise<object>,
+ *   validarUsuarioMW: function(PoliticaDeclarada|null=, boolean=): function,
+ *   autorizar: function(PoliticaDeclarada): function, puede: function(object|null, string, object=): Promise<boolean>,
+ *   invalidarUsuario: function(string): Promise<void>, estadisticasCache: function(): {aciertos: number, fallos: number}}}
  */
-function middleware(Usuario) {
+function middleware(Usuario, opciones = {}) {
+  const repositorio = resolverRepositorio(Usuario);
+  const cliente = resolverCliente(opciones);
+  const { tokenAdmin } = cliente.config;
+  const { eventos, metricas } = cliente;
+  const cacheUsuarios = resolverCache(opciones.cacheUsuarios);
+  const { revocaciones } = opciones;
+  const autorizador = crearAutorizador(opciones);
+  // Cada solicitud autenticada no es un intento de fuerza bruta: el middleware solo aplica los bloqueos por fallos.
+  const limites = crearControlLimites(opciones.limites, eventos, { contarSolicitudes: false });
+  const cookie = resolverOpcionesCookie(opciones.cookie);
+  const estadisticas = { aciertos: 0, fallos: 0 };
+
   /**
    * Representa al usuario administrador con privilegios totales.
    * @type {object}
@@ -78,79 +114,219 @@ function middleware(Usuario) {
     nombre: "ADMIN",
   };
 
+  const listaCredenciales = [...(opciones.credencialesServicio || [])];
+  if (tokenAdmin) {
+    // El token de superadministrador se mantiene como una credencial más, con la identidad histórica.
+    if (!avisoTokenAdmin) {
+      process.emitWarning('TOKEN_ADMIN está obsoleto: use credencialesServicio con claves por servicio.', 'DeprecationWarning', 'MBCJ_TOKEN_ADMIN');
+      avisoTokenAdmin = true;
+    }
+    listaCredenciales.push({ nombre: 'admin', hash: hashearCredencial(tokenAdmin), status: 'SUPERADMIN', usuario: admin });
+  }
+  const auditarCredencial = opciones.auditarCredencial || function (uso) {};
+  const credenciales = crearCredenciales(listaCredenciales, (uso) => {
+    const { fecha, ...datos } = uso;
+    // El uso de la credencial de superadministrador se destaca siempre.
+    const nivel = uso.resultado !== 'aceptada' || uso.status === 'SUPERADMIN' ? 'warn' : 'info';
+    eventos.registrar('credencial.uso', nivel, datos);
+    auditarCredencial(uso);
+  });
+
+  /**
+   * Consulta si un usuario está activo, pasando por la cache si está habilitada.
+   * Solo se guardan usuarios existentes; un error de la cache se trata como un fallo.
+   * @param {string} documento - El documento del usuario.
+   * @returns {Promise<boolean|null>} Si el usuario está activo, o `null` si no existe.
+   */
+  function consultarActivo(documento) {
+    if (!cacheUsuarios) return repositorio.estaActivo(documento);
+    const clave = `usuario:${documento}`;
+    return cacheUsuarios.obtener(clave)
+      .catch(() => undefined)
+      .then((enCache) => {
+        if (enCache !== undefined) {
+          estadisticas.aciertos++;
+          return enCache;
+        }
+        estadisticas.fallos++;
+        return repositorio.estaActivo(documento).then((activo) => {
+          if (activo === null) return activo;
+          return cacheUsuarios.guardar(clave, activo).catch(() => {}).then(() => activo);
+        });
+      });
+  }
+
+  /**
+   * Elimina de la cache a un usuario, por ejemplo luego de desactivarlo, para
+   * que la próxima solicitud vuelva a consultar el repositorio.
+   * @param {string} documento - El documento del usuario.
+   * @returns {Promise<void>}
+   */
+  const invalidarUsuario = function(documento) {
+    if (!cacheUsuarios) return Promise.resolve();
+    return cacheUsuarios.eliminar(`usuario:${documento}`);
+  };
+
   /**
-   * Valida un token, y verifica la existencia y estado del usuario en la base de datos.
-   * Maneja el caso especial del token de "SUPERADMIN".
-   * @param {string | null} token - El token JWT a validar.
+   * Devuelve los contadores de aciertos y fallos de la cache de usuarios.
+   * @returns {{aciertos: number, fallos: number}}
+   */
+  const estadisticasCache = function() {
+    return { ...estadisticas };
+  };
+
+  /**
+   * Valida un token, verifica que no esté revocado, y la existencia y estado del usuario en la base de datos.
+   * Acepta también credenciales de servicio (incluido el token de "SUPERADMIN").
+   * @param {string | null} token - El token JWT o la credencial de servicio a validar.
    * @param {boolean} [requerido=true] - Si es `false`, permite continuar si no hay token.
-   * @returns {Promise<{status: string, user: object|null}>} Una promesa que resuelve con los datos del usuario.
-   * @rejects {{status: number, msj: string}} Un objeto de error si la validación falla.
+   * @param {object} [contexto={}] - Datos de la solicitud para la auditoría de credenciales (ver `contextoSolicitud`
+   *   en `eventos.js`).
+   * @returns {Promise<{status: string, user: object|null, exp?: number, decodificado?: object}>} Una promesa que
+   * resuelve con los datos del usuario y, para tokens JWT, su `exp` y el token decodificado.
+   * @rejects {import('./errores').OAuthError} Si la validación falla.
    */
-  const validarUsuario = function(token, requerido = true) {
+  const validarUsuario = function(token, requerido = true, contexto = {}) {
     return new Promise((resolve, reject) => {
       if (!token) {
-        if (requerido) return reject(crearError(401, "Sin autorización: token requerido"));
+        if (requerido) return reject(crearError('TOKEN_REQUERIDO'));
         return resolve({ status: "SIN TOKEN", user: null });
       }
 
-      if (token === TOKEN_ADMIN) {
-        return resolve({ status: "SUPERADMIN", user: admin });
+      const credencial = credenciales.validar(token, contexto);
+      if (credencial && credencial.error) {
+        return reject(crearError('CREDENCIAL_EXPIRADA'));
       }
+      if (credencial) return resolve(credencial);
 
-      extraerDatosJWT(token)
+      cliente.extraerDatosJWT(token)
+        .then((decoded) => comprobarRevocacion(revocaciones, decoded))
         .then((decoded) => {
           const { documento } = decoded.data;
-          Usuario.findOne({ where: { documento }, attributes: ['activo'] })
-            .then(usuario => {
-              if (!usuario) return reject(crearError(403, "Usuario no encontrado"));
-              if (!usuario.activo) return reject(crearError(403, "Usuario inactivo"));
-              resolve({ status: "USUARIO", user: { ...decoded.data } });
+          consultarActivo(documento)
+            .then(activo => {
+              if (activo === null) return reject(crearError('USUARIO_NO_ENCONTRADO'));
+              if (!activo) return reject(crearError('USUARIO_INACTIVO'));
+              resolve({ status: "USUARIO", user: { ...decoded.data }, exp: decoded.exp, decodificado: decoded });
             })
-            .catch(err => reject(crearError(500, err.message || 'Error de base de datos')));
+            .catch(err => reject(crearError('ERROR_BASE_DATOS', undefined, { causa: err })));
         })
         .catch(reject); // El error ya viene formateado desde extraerDatosJWT
     });
   };
 
+  /**
+   * Informa en la respuesta cuánto falta para que expire el token y si conviene renovarlo.
+   * @param {Response} res - La respuesta de Express.
+   * @param {number} [exp] - El `exp` del token, en segundos desde epoch.
+   */
+  function informarExpiracion(res, exp) {
+    if (opciones.avisoExpiracion === undefined || !exp) return;
+    const restante = Math.max(0, Math.floor(exp - Date.now() / 1000));
+    res.set('X-Token-Expira-En', String(restante));
+    if (restante <= opciones.avisoExpiracion) res.set('X-Token-Renovar', 'true');
+  }
+
+  /**
+   * Rechaza una solicitud: registra el evento `acceso.denegado`, cuenta el fallo
+   * para los límites y responde el error.
+   * @param {Request} req - La solicitud.
+   * @param {Response} res - La respuesta.
+   * @param {*} error - El motivo del rechazo.
+   */
+  function denegar(req, res, error) {
+    const { nivel, datos } = datosError(error);
+    const usuario = req.user ? { documento: req.user.documento, usuario_id: req.user.usuario_id } : {};
+    eventos.registrar('acceso.denegado', nivel, { ...contextoSolicitud(req), ...usuario, ...datos });
+    if (limites) limites.registrarFallo(req, error, usuario.documento);
+    responderError(req, res, error, opciones.errores);
+  }
+
+  /**
+   * Evalúa una política para la solicitud y continúa o responde "Sin permiso".
+   * @param {PoliticaDeclarada} politica - La política a evaluar.
+   * @param {Request} req - La solicitud, con `req.user` ya resuelto.
+   * @param {Response} res - La respuesta.
+   * @param {NextFunction} next - La siguiente función de la cadena.
+   * @param {function(*): void} [rechazar] - Rechaza la solicitud con un error. Por defecto, {@link denegar}.
+   */
+  function aplicarPolitica(politica, req, res, next, rechazar = (error) => denegar(req, res, error)) {
+    autorizador.evaluar(politica, req.user || null, { req })
+      .then((autorizado) => {
+        if (autorizado) return next();
+        rechazar(crearError('SIN_PERMISO'));
+      })
+      .catch((err) => rechazar(crearError('ERROR_PERMISOS', undefined, { causa: err })));
+  }
+
   /**
    * Genera un middleware de Express para proteger rutas.
-   * Verifica el JWT y, opcionalmente, los permisos por tipo de usuario.
-   * @param {(Array<number>|null)} [tipos_usuario_id=[1]] - IDs de tipos de usuario permitidos. `null` para cualquier usuario autenticado.
+   * Verifica el JWT y, opcionalmente, la autorización del usuario.
+   * @param {(PoliticaDeclarada|null)} [politica=[1]] - Política requerida. Un arreglo de IDs de tipos de usuario
+   *   permitidos sigue siendo válido como forma abreviada. `null` para cualquier usuario autenticado.
    * @param {boolean} [requerido=true] - Si la autenticación es obligatoria.
    * @returns {function(Request, Response, NextFunction): void} El middleware para Express.
    */
-  const validarUsuarioMW = function(tipos_usuario_id = [1], requerido = true) {
+  const validarUsuarioMW = function(politica = [1], requerido = true) {
     return function(req, res, next) {
       const authHeader = req.headers.authorization;
       let token = null;
+      const terminar = metricas ? metricas.cronometrar('validacion') : function (error) {};
+      const continuar = () => {
+        terminar();
+        next();
+      };
+      const rechazar = (error) => {
+        terminar(error);
+        denegar(req, res, error);
+      };
 
       if (authHeader && authHeader.startsWith('Bearer ')) {
         token = authHeader.slice(7);
       } else if (authHeader) {
         token = authHeader; // Acepta el token directamente
+      } else if (cookie) {
+        token = leerCookie(req, cookie.nombre);
+        // Con la cookie el navegador envía el token solo: se exige el doble envío del token CSRF.
+        if (token && !verificarCsrf(req, cookie)) {
+          return rechazar(crearError('CSRF_INVALIDO'));
+        }
       }
 
-      validarUsuario(token, requerido)
+      // Con la IP bloqueada se rechaza antes de intentar verificar el token.
+      const limite = limites ? limites.verificar(req) : Promise.resolve();
+      limite
+        .then(() => validarUsuario(token, requerido, contextoSolicitud(req)))
         .then(resp => {
           req.user = resp.user;
-          if (tipos_usuario_id === null) {
-            return next();
-          }
-          if (resp.user && tipos_usuario_id.includes(resp.user.tipo_usuario_id)) {
-            return next();
+          const documento = resp.user ? resp.user.documento : undefined;
+          if (!limites || documento === undefined) return resp;
+          return limites.verificar(req, documento).then(() => resp);
+        })
+        .then(resp => {
+          informarExpiracion(res, resp.exp);
+          if (politica === null) {
+            return continuar();
           }
-          // Usamos el helper para devolver un error estandarizado
-          const error = crearError(403, "Sin permiso");
-          res.status(error.status).json({ status: "error", error: error.msj });
+          aplicarPolitica(politica, req, res, continuar, rechazar);
         })
-        .catch(error => {
-          console.error(error);
-          res.status(error.status || 403).json({ status: "error", error: error.msj || 'Error de autorización' });
-        });
+        .catch(rechazar);
+    };
+  };
+
+  /**
+   * Genera un middleware de Express que exige una política sobre el usuario ya
+   * validado (debe ir después de `validarUsuarioMW`).
+   * @param {PoliticaDeclarada} politica - La política requerida.
+   * @returns {function(Request, Response, NextFunction): void} El middleware para Express.
+   */
+  const autorizar = function(politica) {
+    return function(req, res, next) {
+      aplicarPolitica(politica, req, res, next);
     };
   };
 
-  return { validarUsuario, validarUsuarioMW };
+  return { validarUsuario, validarUsuarioMW, autorizar, puede: autorizador.puede, invalidarUsuario, estadisticasCache };
 }
 
-module.exports = { middleware, extraerDatosJWT };
\ No newline at end of file
+module.exports = { middleware, extraerDatosJWT, clienteDelEntorno };
\ No newline at end of file
@@ -1,13 +1,24 @@
 const express = require('express');
-const axios = require('axios');
-const { extraerDatosJWT } = require('./middleware');
-
-const { OAUTH_URL, OAUTH_ID, OAUTH_SECRET, OAUTH_VALIDADO, OAUTH_REEMPLAZAR_NOMBRE } = process.env;
+const crypto = require('crypto');
+const { resolverCliente } = require('./cliente');
+const { validarConfig } = require('./config');
+const { resolverRepositorio } = require('./repositorios');
+const { resolverCache } = require('./cache');
+const { crearRefreshTokens } = require('./refresh');
+const { resolverOpcionesCookie, leerCookie, establecerSesion, limpiarSesion, verificarCsrf } = require('./cookies');
+const { crearFlujoAutorizacion, agregarFragmento } = require('./autorizacion');
+const { OAuthError, crearError, normalizarError, responderError } = require('./errores');
+const { contextoSolicitud, datosError } = require('./eventos');
+const { crearControlLimites } = require('./limites');
+const { crearSalud } = require('./salud');
+const { crearProvision } = require('./provision');
 
 /**
  * @typedef {import('express').Router} Router
  * @typedef {import('express').Request} Request
  * @typedef {import('express').Response} Response
+ * @typedef {import('express').NextFunction} NextFunction
+ * @typedef {import('./cliente').OAuthCliente} OAuthCliente
  */
 
 /**
@@ -27,125 +38,327 @@ const { OAUTH_URL, OAUTH_ID, OAUTH_SECRET, OAUTH_VALIDADO, OAUTH_REEMPLAZAR_NOMB
  * @property {string} nombre
  * @property {Date} ultimo_ingreso
  * @property {function} findOne - Método para encontrar un registro.
- * @property {function} update - Método para actualizar un registro.
+ * @property {function} update - Método para actualizar registros.
+ * @property {function} [create] - Método para crear registros (solo para el alta de usuarios, opción `provision`).
  */
 
 /**
- * @typedef {object} AxiosErrorFormat
- * @property {number} status - Código de estado HTTP del error.
- * @property {string} message - Mensaje descriptivo del error.
- * @property {object} [data] - Datos de la respuesta de error de la API.
- * @property {object} [request] - Objeto de la solicitud que generó el error.
+ * @typedef {object} OAuthRouterOpciones
+ * @property {OAuthCliente} [cliente] - Instancia creada con `crearCliente` para compartir configuración y clave.
+ * @property {string[]} [atributos=['id', 'tipo_usuario_id', 'activo', 'nombre']] - Atributos a solicitar del modelo Usuario.
+ * @property {Array<string|Array<string>>} [atributosNuevoToken=[['id', 'usuario_id'], 'tipo_usuario_id']] - Atributos para incluir en el nuevo token.
+ * @property {function(import('./errores').OAuthError|null, object=): void} [loggeado] - Función de callback para
+ *   registrar eventos de login: recibe el error o, si el login fue exitoso, `null` y el usuario.
+ * @property {boolean|object|import('./refresh').RefreshTokens} [refresh] - Habilita los refresh tokens y `POST /refresh`:
+ *   `true`, opciones de `crearRefreshTokens` (`almacen`, `duracion`) o un registro ya creado. Requiere que el
+ *   servicio OAuth entregue su propio `refresh_token` en `/cliente/obtener/token`; si no lo hace, el login no
+ *   devuelve `refreshToken` y se registra el evento `refresh.no_disponible`.
+ * @property {string} [rutaRefreshProveedor='/cliente/obtener/refresh-token'] - Ruta del servicio OAuth para canjear
+ *   su propio refresh token, cuando lo entrega en `/cliente/obtener/token`.
+ * @property {import('./revocaciones').Revocaciones} [revocaciones] - Si se indica, al detectar la reutilización de un
+ *   refresh token se revocan también los tokens de acceso del usuario.
+ * @property {boolean|import('./cookies').OpcionesCookie} [cookie] - Modo sesión por cookie: los tokens se entregan en
+ *   cookies HttpOnly en lugar del cuerpo, con protección CSRF por doble envío, y se habilita `POST /logout`.
+ * @property {boolean|object|import('./cache').AlmacenCache} [cacheDatos] - Cache de las respuestas de
+ *   `/cliente/obtener/datos` por token y permiso: `true`, opciones de `crearCacheMemoria` (por ejemplo, `{ ttl: 30000 }`)
+ *   o un almacén propio. Deshabilitada por defecto.
+ * @property {import('./errores').OpcionesErrores} [errores] - Formato de las respuestas de error.
+ * @property {import('./autorizacion').OpcionesLogin} [login] - Habilita el flujo de autorización desde el servidor,
+ *   con `state` y PKCE: `GET /login` y `GET /callback`.
+ * @property {boolean|import('./limites').OpcionesLimites|import('./limites').Limitador} [limites] - Límite de
+ *   solicitudes por IP y por documento, y bloqueo temporal tras fallos de autenticación repetidos (por ejemplo,
+ *   códigos adivinados en `POST /token`).
+ * @property {import('./provision').OpcionesProvision} [provision] - Da de alta en el primer ingreso a los usuarios
+ *   que no existen localmente, con los datos de la persona del servicio OAuth. El repositorio debe implementar `crear`.
+ * @property {boolean|import('./salud').OpcionesSalud} [salud] - Habilita `GET /salud` (ver `salud.js`): clave pública,
+ *   servicio OAuth y repositorio de usuarios, con estado 200 o 503.
  */
 
 /**
- * Formatea un error de Axios en un objeto estandarizado.
- * @param {Error & {response?: object, request?: object}} error - El objeto de error de Axios.
- * @returns {AxiosErrorFormat} Un objeto de error formateado.
+ * Normaliza los argumentos de {@link oauthRouter}. Acepta tanto un objeto de
+ * opciones como la firma posicional anterior `(atributos, atributosNuevoToken, loggeado)`.
+ * @param {Array} args - Los argumentos recibidos luego del modelo.
+ * @returns {OAuthRouterOpciones} Las opciones normalizadas.
  */
-function formatearErrorAxios(error) {
-  if (error.response) return { status: error.response.status, message: 'La API de OAuth respondió con un error', data: error.response.data };
-  if (error.request) return { status: 502, message: 'No se recibió respuesta de la API de OAuth', request: error.request };
-  return { status: 500, message: error.message };
+function normalizarOpciones(args) {
+  if (Array.isArray(args[0]) || args.length > 1) {
+    const [atributos, atributosNuevoToken, loggeado] = args;
+    return { atributos, atributosNuevoToken, loggeado };
+  }
+  return args[0] || {};
 }
 
 /**
  * Crea y configura un router de Express para la autenticación OAuth.
- * @param {UsuarioModel} Usuario - El modelo de Sequelize para la entidad 'Usuario'.
- * @param {string[]} [atributos=['id', 'tipo_usuario_id', 'activo', 'nombre']] - Atributos a solicitar del modelo Usuario.
- * @param {Array<string|Array<string>>} [atributosNuevoToken=[['id', 'usuario_id'], 'tipo_usuario_id']] - Atributos para incluir en el nuevo token.
- * @param {function(Error|string|null, object=): void} [loggeado=function() {}] - Función de callback para registrar eventos de login.
+ * @param {UsuarioModel|import('./repositorios').RepositorioUsuarios} Usuario - El modelo de Sequelize para la
+ *   entidad 'Usuario' o un repositorio de usuarios.
+ * @param {OAuthRouterOpciones} [opciones={}] - Opciones del router y de configuración (ver `OAuthConfig` en `config.js`).
  * @returns {Router} El router de Express configurado.
  */
-function oauthRouter(
-  Usuario,
-  atributos = ['id', 'tipo_usuario_id', 'activo', 'nombre'],
-  atributosNuevoToken = [['id', 'usuario_id'], 'tipo_usuario_id'],
-  loggeado = function (error, datos) {}
-) {
+function oauthRouter(Usuario, ...args) {
+  const opciones = normalizarOpciones(args);
+  const {
+    atributos = ['id', 'tipo_usuario_id', 'activo', 'nombre'],
+    atributosNuevoToken = [['id', 'usuario_id'], 'tipo_usuario_id'],
+    loggeado = function (error, datos) {},
+    rutaRefreshProveedor = '/cliente/obtener/refresh-token',
+    revocaciones
+  } = opciones;
+  const repositorio = resolverRepositorio(Usuario);
+  const cliente = resolverCliente(opciones);
+  const { config, http, eventos, metricas } = cliente;
+  validarConfig(config, ['url', 'clienteId', 'clienteSecreto'], 'el router de OAuth');
+
+  const cookie = resolverOpcionesCookie(opciones.cookie);
+  const cacheDatos = resolverCache(opciones.cacheDatos);
+  const limites = crearControlLimites(opciones.limites, eventos);
+  const provision = opciones.provision ? crearProvision(opciones.provision, repositorio) : null;
+
+  let refreshTokens = null;
+  if (opciones.refresh && typeof opciones.refresh.canjear === 'function') refreshTokens = opciones.refresh;
+  else if (opciones.refresh) refreshTokens = crearRefreshTokens(opciones.refresh === true ? {} : opciones.refresh);
+
+  let flujoLogin = null;
+  if (opciones.login) {
+    if (!opciones.login.urlCallback) {
+      throw new Error("Configuración incompleta para el router de OAuth: falta 'login.urlCallback'");
+    }
+    flujoLogin = crearFlujoAutorizacion(opciones.login, config);
+  }
+
   const router = express.Router();
 
+  /**
+   * Registra un evento exitoso de una solicitud (ver `eventos.js`).
+   * @param {string} tipo - El tipo del evento.
+   * @param {Request} req - La solicitud.
+   * @param {object} [datos={}] - Datos adicionales, como el documento del usuario.
+   */
+  function registrarExito(tipo, req, datos = {}) {
+    eventos.registrar(tipo, 'info', { ...contextoSolicitud(req), ...datos });
+  }
+
+  /**
+   * Registra el evento de una solicitud fallida, con el nivel que corresponde al
+   * error, y responde con el error.
+   * @param {string} tipo - El tipo del evento.
+   * @param {Request} req - La solicitud.
+   * @param {Response} res - La respuesta.
+   * @param {*} error - El error.
+   * @param {object} [datos={}] - Datos adicionales, como el documento del usuario.
+   */
+  function fallar(tipo, req, res, error, datos = {}) {
+    const { nivel, datos: datosDelError } = datosError(error);
+    eventos.registrar(tipo, nivel, { ...contextoSolicitud(req), ...datos, ...datosDelError });
+    if (limites) limites.registrarFallo(req, error, datos.documento);
+    responderError(req, res, error, opciones.errores);
+  }
+
+  /**
+   * Middleware de ruta que rechaza la solicitud si su IP superó un límite.
+   * @param {Request} req - La solicitud.
+   * @param {Response} res - La respuesta.
+   * @param {NextFunction} next - La siguiente función de la cadena.
+   */
+  function limitar(req, res, next) {
+    if (!limites) return next();
+    limites.verificar(req)
+      .then(() => next(), (error) => responderError(req, res, error, opciones.errores));
+  }
+
+  /**
+   * Verifica los límites del documento de la solicitud, si están habilitados.
+   * @param {Request} req - La solicitud.
+   * @param {string|number} documento - El documento del usuario.
+   * @returns {Promise<void>} Rechaza con el error `429` si el documento superó un límite.
+   */
+  function limitarDocumento(req, documento) {
+    return limites ? limites.verificar(req, documento) : Promise.resolve();
+  }
+
+  /**
+   * Obtiene el token de la solicitud: del encabezado `Authorization` o, en modo cookie, de la cookie de sesión.
+   * @param {Request} req - La solicitud.
+   * @returns {string|null} El token, o `null` si no hay.
+   */
+  function obtenerTokenSolicitud(req) {
+    if (req.headers.authorization) return req.headers.authorization;
+    return cookie ? leerCookie(req, cookie.nombre) : null;
+  }
+
+  /**
+   * Responde con una sesión nueva: en modo cookie, guarda los tokens en cookies
+   * y devuelve solo el token CSRF; si no, devuelve los tokens en el cuerpo.
+   * @param {Response} res - La respuesta.
+   * @param {object} cuerpo - Campos adicionales de la respuesta.
+   * @param {string} token - El token de acceso.
+   * @param {string} [refreshToken] - El refresh token.
+   */
+  function responderSesion(res, cuerpo, token, refreshToken) {
+    if (cookie) {
+      const csrfToken = establecerSesion(res, cookie, token, refreshToken);
+      return res.json({ ...cuerpo, status: "ok", csrfToken });
+    }
+    const respuesta = { ...cuerpo, status: "ok", token };
+    if (refreshToken) respuesta.refreshToken = refreshToken;
+    res.json(respuesta);
+  }
+
+  /**
+   * Mide una llamada al servicio OAuth, si las métricas están habilitadas.
+   * @param {string} operacion - La operación, para la etiqueta `operacion` (`token`, `datos`, `nuevo_token` o `refresh`).
+   * @param {function(): Promise<*>} solicitud - Realiza la llamada.
+   * @returns {Promise<*>} El resultado de la llamada.
+   */
+  function medirProveedor(operacion, solicitud) {
+    return metricas ? metricas.medir('proveedor', { operacion }, solicitud) : solicitud();
+  }
+
   /**
    * Obtiene un token de acceso desde el servicio OAuth utilizando un código de autorización.
    * @param {string} codigo - El código de autorización proporcionado por el servicio OAuth.
-   * @returns {Promise<string>} Una promesa que resuelve con el token de acceso.
+   * @param {string} [codeVerifier] - El `code_verifier` de PKCE, si el código se obtuvo con `code_challenge`.
+   * @returns {Promise<{token: string, refreshToken?: string}>} Una promesa que resuelve con el token de acceso y,
+   * si el servicio lo entrega, su refresh token.
    */
-  function getToken(codigo) {
-    return new Promise((resolve, reject) => {
-      const url = `${OAUTH_URL}/cliente/obtener/token`;
-      const data = { codigo, cliente_id: OAUTH_ID, cliente_secreto: OAUTH_SECRET };
-      axios.post(url, data)
+  function getToken(codigo, codeVerifier) {
+    return medirProveedor('token', () => new Promise((resolve, reject) => {
+      const url = `${config.url}/cliente/obtener/token`;
+      const data = { codigo, cliente_id: config.clienteId, cliente_secreto: config.clienteSecreto };
+      if (codeVerifier) data.code_verifier = codeVerifier;
+      http.post(url, data)
         .then((resp) => {
-          if (resp.data.status === "ok") return resolve(resp.data.token);
-          return reject(resp.data.error || 'Error desconocido al obtener token');
+          if (resp.data.status === "ok") return resolve({ token: resp.data.token, refreshToken: resp.data.refresh_token });
+          return reject(crearError('PROVEEDOR_RECHAZO', undefined, { causa: resp.data.error }));
         })
-        .catch((error) => reject(formatearErrorAxios(error)));
-    });
+        .catch(reject);
+    }));
   }
 
   /**
    * Obtiene datos del usuario desde el servicio OAuth utilizando un token de acceso.
+   * Con `cacheDatos`, reutiliza la respuesta anterior para el mismo token y permiso.
    * @param {string} token - El token de acceso JWT.
    * @param {string|number} permiso_id - El ID del permiso que se solicita.
    * @returns {Promise<OAuthUserData>} Una promesa que resuelve con los datos del usuario.
    */
   function getDatos(token, permiso_id) {
-    return new Promise((resolve, reject) => {
-      const url = `${OAUTH_URL}/cliente/obtener/datos/${permiso_id}`;
-      const config = {
-        params: { cliente_id: OAUTH_ID },
+    if (!cacheDatos) return solicitarDatos(token, permiso_id);
+    const clave = `datos:${crypto.createHash('sha256').update(String(token)).digest('hex')}:${permiso_id}`;
+    return cacheDatos.obtener(clave).then((guardados) => {
+      if (guardados) return guardados;
+      return solicitarDatos(token, permiso_id)
+        .then((datos) => cacheDatos.guardar(clave, datos).then(() => datos));
+    });
+  }
+
+  /**
+   * Solicita los datos del usuario al servicio OAuth.
+   * @param {string} token - El token de acceso JWT.
+   * @param {string|number} permiso_id - El ID del permiso que se solicita.
+   * @returns {Promise<OAuthUserData>} Una promesa que resuelve con los datos del usuario.
+   */
+  function solicitarDatos(token, permiso_id) {
+    return medirProveedor('datos', () => new Promise((resolve, reject) => {
+      const url = `${config.url}/cliente/obtener/datos/${permiso_id}`;
+      const configAxios = {
+        params: { cliente_id: config.clienteId },
         headers: { authorization: token }
       };
-      axios.get(url, config)
+      http.get(url, configAxios)
         .then((resp) => {
           if (resp.data.status === "ok") return resolve(resp.data.datos);
-          return reject(resp.data.error || 'Error desconocido al obtener datos');
+          return reject(crearError('PROVEEDOR_RECHAZO', undefined, { causa: resp.data.error }));
         })
-        .catch((error) => reject(formatearErrorAxios(error)));
-    });
+        .catch(reject);
+    }));
   }
 
   /**
    * Valida un usuario contra la base de datos local, verifica su estado y actualiza sus datos si es necesario.
+   * Con `provision`, da de alta al usuario si no existe.
    * @param {OAuthUserData} datos - Los datos del usuario obtenidos del servicio OAuth.
-   * @returns {Promise<UsuarioModel>} Una promesa que resuelve con la instancia del usuario local validado y actualizado.
+   * @returns {Promise<object>} Una promesa que resuelve con los datos del usuario local validado y actualizado.
    */
   function validarUsuario(datos) {
-    return new Promise((resolve, reject) => {
-      if (OAUTH_VALIDADO?.toUpperCase() === "TRUE" && !datos.persona.validado) return reject("Usuario no validado");
-      Usuario.findOne({ where: { documento: datos.persona.documento }, attributes: atributos })
-        .then((usuario) => {
-          if (!usuario) return reject("Usuario no encontrado");
-          if (!usuario.activo) return reject("Usuario inactivo");
+    if (config.requerirValidado && !datos.persona.validado) return Promise.reject(crearError('USUARIO_NO_VALIDADO'));
+    const { documento } = datos.persona;
+    return repositorio.buscarPorDocumento(documento, atributos)
+      .then((usuario) => {
+        if (usuario || !provision) return { usuario, creado: false };
+        return provision.provisionar(datos, atributos);
+      })
+      .then(({ usuario, creado }) => {
+        if (!usuario) return Promise.reject(crearError('USUARIO_NO_ENCONTRADO'));
+        if (creado) registrarAlta(documento, usuario.id);
+        if (!usuario.activo) return Promise.reject(crearError('USUARIO_INACTIVO'));
 
+        const sincronizacion = provision && !creado ? provision.sincronizar(datos) : Promise.resolve({});
+        return sincronizacion.then((sincronizados) => {
           const nuevoNombre = (`${datos.persona.apellidos}, ${datos.persona.nombre}`).toUpperCase();
-          const debeActualizarNombre = OAUTH_REEMPLAZAR_NOMBRE?.toUpperCase() === "TRUE" && usuario.nombre !== nuevoNombre;
-          const updates = { ultimo_ingreso: new Date() };
+          const debeActualizarNombre = config.reemplazarNombre && usuario.nombre !== nuevoNombre;
+          const cambios = { ...sincronizados };
 
-          if (debeActualizarNombre) updates.nombre = nuevoNombre;
+          if (debeActualizarNombre) cambios.nombre = nuevoNombre;
 
-          return usuario.update(updates)
-            .then(() => resolve(usuario))
-            .catch(reject);
-        })
-        .catch(reject);
-    });
+          return repositorio.registrarIngreso(documento, cambios)
+            .then(() => ({ ...usuario, ...cambios }));
+        });
+      })
+      .catch((err) => Promise.reject(err instanceof OAuthError ? err : crearError('ERROR_BASE_DATOS', undefined, { causa: err })));
+  }
+
+  /**
+   * Registra el evento `usuario.creado` de un alta en el primer ingreso.
+   * @param {string} documento - El documento del usuario.
+   * @param {number} [usuario_id] - El ID local del usuario.
+   */
+  function registrarAlta(documento, usuario_id) {
+    eventos.registrar('usuario.creado', 'info', { documento, usuario_id });
+  }
+
+  /**
+   * Obtiene el usuario local de un login y, con `provision`, lo da de alta si no
+   * existe, con los datos de la persona que informa el servicio OAuth para el token.
+   * @param {string} token - El token de acceso obtenido en el login.
+   * @param {string} documento - El documento del token.
+   * @returns {Promise<object>} El usuario local, con `usuario_id`.
+   */
+  function obtenerUsuarioLogin(token, documento) {
+    const atributosLogin = [['id', 'usuario_id']];
+    if (!provision) return obtenerDatosUsuario(documento, atributosLogin);
+    return repositorio.buscarPorDocumento(documento, atributosLogin)
+      .catch((err) => Promise.reject(crearError('ERROR_BASE_DATOS', undefined, { causa: err })))
+      .then((usuario) => {
+        if (usuario) return usuario;
+        return getDatos(token, provision.permiso_id).then((datos) => {
+          if (String(datos.persona.documento) !== String(documento)) {
+            return Promise.reject(crearError('DATOS_INVALIDOS', "Los datos de la persona no corresponden al token"));
+          }
+          if (config.requerirValidado && !datos.persona.validado) return Promise.reject(crearError('USUARIO_NO_VALIDADO'));
+          return provision.provisionar(datos, atributosLogin).then(({ usuario: nuevo, creado }) => {
+            if (!nuevo) return Promise.reject(crearError('USUARIO_NO_ENCONTRADO', "Usuario local no encontrado"));
+            if (creado) registrarAlta(documento, nuevo.usuario_id);
+            return nuevo;
+          });
+        });
+      });
   }
 
   /**
    * Obtiene los datos de un usuario desde la base de datos local a partir de su documento.
    * @param {string} documento - El número de documento del usuario.
    * @param {Array<string|Array<string>>} atributosUsuario - Los atributos a recuperar del modelo de usuario.
-   * @returns {Promise<UsuarioModel>} Una promesa que resuelve con los datos del usuario local.
+   * @returns {Promise<object>} Una promesa que resuelve con los datos del usuario local.
    */
   function obtenerDatosUsuario(documento, atributosUsuario) {
     return new Promise((resolve, reject) => {
-      Usuario.findOne({ where: { documento }, attributes: atributosUsuario })
+      repositorio.buscarPorDocumento(documento, atributosUsuario)
         .then(usuario => {
-          if (!usuario) return reject("Usuario local no encontrado");
-          return resolve(usuario.dataValues);
+          if (!usuario) return reject(crearError('USUARIO_NO_ENCONTRADO', "Usuario local no encontrado"));
+          return resolve(usuario);
         })
-        .catch(reject);
+        .catch((err) => reject(crearError('ERROR_BASE_DATOS', undefined, { causa: err })));
     });
   }
 
@@ -156,28 +369,105 @@ function oauthRouter(
    * @returns {Promise<string>} Una promesa que resuelve con el nuevo token JWT.
    */
   function getNuevoToken(token, datos) {
-    return new Promise((resolve, reject) => {
-      const url = `${OAUTH_URL}/cliente/obtener/nuevo-token`;
-      const data = { token, cliente_id: OAUTH_ID, cliente_secreto: OAUTH_SECRET, datos };
-      axios.post(url, data)
+    return medirProveedor('nuevo_token', () => new Promise((resolve, reject) => {
+      const url = `${config.url}/cliente/obtener/nuevo-token`;
+      const data = { token, cliente_id: config.clienteId, cliente_secreto: config.clienteSecreto, datos };
+      http.post(url, data)
         .then((resp) => {
           if (resp.data.status === "ok") return resolve(resp.data.token);
-          return reject(resp.data.error || 'Error desconocido al obtener el nuevo token');
+          return reject(crearError('PROVEEDOR_RECHAZO', undefined, { causa: resp.data.error }));
         })
-        .catch((error) => reject(formatearErrorAxios(error)));
-    });
+        .catch(reject);
+    }));
   };
 
+  /**
+   * Canjea el refresh token del servicio OAuth por un nuevo token de acceso.
+   * @param {string} refreshProveedor - El refresh token entregado por el servicio OAuth.
+   * @returns {Promise<{token: string, refreshToken?: string}>} Una promesa que resuelve con el nuevo token de acceso
+   * y, si el servicio lo rota, su nuevo refresh token.
+   */
+  function getTokenRefrescado(refreshProveedor) {
+    return medirProveedor('refresh', () => new Promise((resolve, reject) => {
+      const url = `${config.url}${rutaRefreshProveedor}`;
+      const data = { refresh_token: refreshProveedor, cliente_id: config.clienteId, cliente_secreto: config.clienteSecreto };
+      http.post(url, data)
+        .then((resp) => {
+          if (resp.data.status === "ok") {
+            return resolve({ token: resp.data.token, refreshToken: resp.data.refresh_token || refreshProveedor });
+          }
+          return reject(crearError('PROVEEDOR_RECHAZO', undefined, { causa: resp.data.error }));
+        })
+        .catch(reject);
+    }));
+  }
+
+  /**
+   * Obtiene un nuevo token de acceso para una sesión de refresh, con el refresh
+   * token del servicio OAuth: es la única vía que no depende del token de acceso
+   * anterior, que puede haber expirado.
+   * @param {import('./refresh').RegistroRefresh} registro - El registro del refresh token canjeado.
+   * @returns {Promise<{token: string, refreshToken?: string}>} El nuevo token de acceso.
+   */
+  function renovarSesion(registro) {
+    return repositorio.estaActivo(registro.documento)
+      .then((activo) => {
+        if (activo === null) return Promise.reject(crearError('USUARIO_NO_ENCONTRADO', "Usuario local no encontrado"));
+        if (!activo) return Promise.reject(crearError('USUARIO_INACTIVO'));
+        if (!registro.refreshProveedor) return Promise.reject(crearError('REFRESH_INVALIDO'));
+        return getTokenRefrescado(registro.refreshProveedor);
+      });
+  }
+
+  /**
+   * Canjea un código de autorización, verifica el token obtenido, comprueba que
+   * el usuario exista localmente (o lo da de alta, con `provision`) y, si están
+   * habilitados, emite un refresh token.
+   * @param {Request} req - La solicitud, para los límites por documento.
+   * @param {string} codigo - El código de autorización.
+   * @param {string} [codeVerifier] - El `code_verifier` de PKCE, en el flujo de `/login`.
+   * @returns {Promise<{usuario: object, documento: string, token: string, refreshToken?: string}>} El usuario local,
+   *   su documento y los tokens.
+   */
+  function iniciarSesion(req, codigo, codeVerifier) {
+    let tokenObtenido;
+    let documento;
+    return getToken(codigo, codeVerifier)
+      .then(async ({ token, refreshToken }) => {
+        tokenObtenido = { token, refreshToken };
+        const decoded = await cliente.extraerDatosJWT(token);
+        documento = decoded.data.documento;
+        await limitarDocumento(req, documento);
+        return obtenerUsuarioLogin(token, documento);
+      })
+      .then((usuario) => {
+        if (!refreshTokens) return { usuario, documento, token: tokenObtenido.token };
+        if (!tokenObtenido.refreshToken) {
+          // Sin el refresh token del servicio OAuth la sesión no podría renovarse una vez expirado el token.
+          eventos.registrar('refresh.no_disponible', 'warn', { ...contextoSolicitud(req), documento });
+          return { usuario, documento, token: tokenObtenido.token };
+        }
+        const sesion = { documento, refreshProveedor: tokenObtenido.refreshToken };
+        return refreshTokens.emitir(sesion)
+          .then((refreshToken) => ({ usuario, documento, token: tokenObtenido.token, refreshToken }));
+      });
+  }
+
   /**
    * @api {post} /token Canjear Código por Token
    * @apiName PostToken
    * @apiGroup OAuth
    * @apiDescription Canjea un código de autorización de un solo uso por un token de acceso JWT.
+   * Con la opción `provision`, un usuario que no existe localmente se da de alta.
    *
    * @apiBody {String} codigo El código de autorización único proporcionado por el servicio OAuth.
    *
    * @apiSuccess {String} status Siempre será "ok".
    * @apiSuccess {String} token El token de acceso JWT generado.
+   * @apiSuccess {String} [refreshToken] Refresh token para `POST /refresh`, si está habilitado y el servicio OAuth
+   *   entregó el suyo.
+   * @apiSuccess {String} [csrfToken] En modo cookie, token CSRF a reenviar en el encabezado `X-CSRF-Token`.
+   *   En ese modo el token y el refresh token se entregan en cookies HttpOnly y no en el cuerpo.
    *
    * @apiSuccessExample {json} Respuesta de Éxito:
    * HTTP/1.1 200 OK
@@ -188,40 +478,89 @@ function oauthRouter(
    *
    * @apiError (400) {String} status Siempre será "error".
    * @apiError (400) {String} error Mensaje indicando que el código es requerido.
-   * @apiError (500) {String} status Siempre será "error".
-   * @apiError (500) {String} error Mensaje de error general o del servicio OAuth.
+   * @apiError (400) {String} codigo `CODIGO_REQUERIDO`.
+   * @apiError (401) {String} codigo `PROVEEDOR_RECHAZO` si el servicio OAuth rechazó el código, o un código de token
+   *   si el token obtenido no es válido.
+   * @apiError (403) {String} codigo `USUARIO_NO_ENCONTRADO`.
+   * @apiError (5xx) {String} codigo `PROVEEDOR_ERROR` (502), `PROVEEDOR_NO_DISPONIBLE` (503),
+   *   `PROVEEDOR_TIEMPO_AGOTADO` (504) o `ERROR_INTERNO` (500).
    *
    * @apiErrorExample {json} Error - Código Faltante:
    * HTTP/1.1 400 Bad Request
    * {
    * "status": "error",
-   * "error": "El código es requerido"
+   * "error": "El código es requerido",
+   * "codigo": "CODIGO_REQUERIDO"
    * }
    */
-  router.post('/token', function (req, res) {
+  router.post('/token', limitar, function (req, res) {
     const { codigo } = req.body;
-    if (!codigo) return res.status(400).json({ status: "error", error: "El código es requerido" });
+    if (!codigo) return fallar('login.fallo', req, res, crearError('CODIGO_REQUERIDO'));
 
-    let tokenObtenido;
-    getToken(codigo)
-      .then(async (token) => {
-        tokenObtenido = token;
-        const decoded = await extraerDatosJWT(token);
-        return obtenerDatosUsuario(decoded.data.documento, [['id', 'usuario_id']]);
-      })
-      .then((usuario) => {
+    iniciarSesion(req, codigo)
+      .then(({ usuario, documento, token, refreshToken }) => {
         loggeado(null, usuario);
-        res.json({ status: "ok", token: tokenObtenido });
+        registrarExito('login.exito', req, { documento, usuario_id: usuario.usuario_id });
+        responderSesion(res, {}, token, refreshToken);
       })
       .catch((error) => {
-        const errorMessage = error.message || error;
-        loggeado(errorMessage);
-        console.error("Error en /token:", error);
-        const status = error.status || 500;
-        res.status(status).json({ status: "error", error: errorMessage });
+        loggeado(normalizarError(error));
+        fallar('login.fallo', req, res, error);
       });
   });
 
+  /**
+   * @api {post} /refresh Renovar Token con Refresh Token
+   * @apiName PostRefresh
+   * @apiGroup OAuth
+   * @apiDescription Canjea un refresh token por un nuevo token de acceso y un nuevo refresh token (rotación), con el
+   * refresh token del servicio OAuth, aunque el token de acceso anterior ya haya expirado.
+   * Disponible solo si el router se creó con la opción `refresh`. Presentar un refresh token ya usado revoca la sesión.
+   *
+   * @apiBody {String} refreshToken El refresh token obtenido en `POST /token` o en un canje anterior.
+   * En modo cookie se toma de la cookie y se exige el encabezado `X-CSRF-Token`.
+   *
+   * @apiSuccess {String} status Siempre será "ok".
+   * @apiSuccess {String} token El nuevo token de acceso JWT.
+   * @apiSuccess {String} refreshToken El nuevo refresh token. El anterior deja de ser válido.
+   *
+   * @apiError (400) {String} error Mensaje indicando que el refresh token es requerido (`REFRESH_REQUERIDO`).
+   * @apiError (401) {String} error Refresh token inválido, expirado, revocado o reutilizado.
+   * @apiError (401) {String} codigo `REFRESH_INVALIDO`, `REFRESH_REVOCADO` o `REFRESH_REUTILIZADO`.
+   * @apiError (403) {String} codigo `USUARIO_NO_ENCONTRADO` o `USUARIO_INACTIVO`.
+   */
+  if (refreshTokens) {
+    router.post('/refresh', limitar, function (req, res) {
+      let { refreshToken } = req.body || {};
+      if (!refreshToken && cookie) {
+        if (!verificarCsrf(req, cookie)) return fallar('refresh.fallo', req, res, crearError('CSRF_INVALIDO'));
+        refreshToken = leerCookie(req, cookie.nombreRefresh);
+      }
+      if (!refreshToken) return fallar('refresh.fallo', req, res, crearError('REFRESH_REQUERIDO'));
+
+      let documento;
+      refreshTokens.canjear(refreshToken)
+        .catch((error) => {
+          if (error.documento) documento = error.documento;
+          if (error.codigo === 'REFRESH_REUTILIZADO' && revocaciones) {
+            return revocaciones.revocarDocumento(error.documento).then(() => Promise.reject(error));
+          }
+          return Promise.reject(error);
+        })
+        .then((registro) => {
+          documento = registro.documento;
+          return renovarSesion(registro)
+            .then(({ token, refreshToken: refreshProveedor }) => refreshTokens
+              .emitir({ documento, refreshProveedor }, registro.familia)
+              .then((nuevoRefresh) => {
+                registrarExito('refresh.exito', req, { documento });
+                responderSesion(res, {}, token, nuevoRefresh);
+              }));
+        })
+        .catch((error) => fallar('refresh.fallo', req, res, error, { documento }));
+    });
+  }
+
   /**
    * @api {get} /nuevo-token Refrescar Token
    * @apiName GetNewToken
@@ -231,7 +570,8 @@ function oauthRouter(
    * @apiHeader {String} Authorization El token de autorización JWT actual. (Ej: "Bearer eyJ...")
    *
    * @apiSuccess {String} status Siempre será "ok".
-   * @apiSuccess {String} nuevoToken El nuevo token de acceso JWT.
+   * @apiSuccess {String} nuevoToken El nuevo token de acceso JWT. En modo cookie se entrega en la cookie de sesión
+   *   y el cuerpo incluye en su lugar un nuevo `csrfToken`.
    *
    * @apiSuccessExample {json} Respuesta de Éxito:
    * HTTP/1.1 200 OK
@@ -241,24 +581,29 @@ function oauthRouter(
    * }
    *
    * @apiError (401) {String} status Siempre será "error".
-   * @apiError (401) {String} error Mensaje si el token de autorización no es provisto.
-   * @apiError (500) {String} status Siempre será "error".
-   * @apiError (500) {String} error Mensaje de error general o del servicio OAuth.
+   * @apiError (401) {String} codigo `TOKEN_REQUERIDO` si el token de autorización no es provisto, o `PROVEEDOR_RECHAZO`.
+   * @apiError (403) {String} codigo `USUARIO_NO_ENCONTRADO`.
+   * @apiError (5xx) {String} codigo `PROVEEDOR_ERROR`, `PROVEEDOR_NO_DISPONIBLE`, `PROVEEDOR_TIEMPO_AGOTADO` o `ERROR_INTERNO`.
    */
-  router.get('/nuevo-token', function (req, res) {
-    const token = req.headers.authorization;
-    if (!token) return res.status(401).json({ status: "error", error: "Token de autorización requerido" });
+  router.get('/nuevo-token', limitar, function (req, res) {
+    const token = obtenerTokenSolicitud(req);
+    if (!token) return fallar('token.fallo', req, res, crearError('TOKEN_REQUERIDO'));
 
+    let documento;
     getDatos(token, 1)
-      .then((datosOAuth) => obtenerDatosUsuario(datosOAuth.persona.documento, atributosNuevoToken))
+      .then((datosOAuth) => {
+        documento = datosOAuth.persona.documento;
+        return limitarDocumento(req, documento)
+          .then(() => obtenerDatosUsuario(documento, atributosNuevoToken));
+      })
       .then((usuarioLocal) => getNuevoToken(token, usuarioLocal))
-      .then((nuevoToken) => res.json({ nuevoToken, status: "ok" }))
-      .catch((error) => {
-        const errorMessage = error.message || error;
-        console.error("Error en /nuevo-token:", error);
-        const status = error.status || 500;
-        res.status(status).json({ status: "error", error: errorMessage });
-      });
+      .then((nuevoToken) => {
+        registrarExito('token.renovado', req, { documento });
+        if (!cookie) return res.json({ nuevoToken, status: "ok" });
+        const csrfToken = establecerSesion(res, cookie, nuevoToken);
+        res.json({ status: "ok", csrfToken });
+      })
+      .catch((error) => fallar('token.fallo', req, res, error, { documento }));
   });
 
   /**
@@ -266,6 +611,7 @@ function oauthRouter(
    * @apiName GetUserData
    * @apiGroup OAuth
    * @apiDescription Obtiene datos del usuario desde el servicio OAuth y los valida contra el sistema local, devolviendo una combinación de ambos.
+   * Con la opción `provision`, un usuario que no existe localmente se da de alta.
    *
    * @apiHeader {String} Authorization El token de autorización JWT. (Ej: "Bearer eyJ...")
    * @apiParam {Number} permiso_id El ID del conjunto de permisos a solicitar al servicio OAuth.
@@ -292,22 +638,25 @@ function oauthRouter(
    * }
    *
    * @apiError (401) {String} status Siempre será "error".
-   * @apiError (401) {String} error Mensaje si el token de autorización no es provisto.
-   * @apiError (403) {String} status Siempre será "error".
-   * @apiError (403) {String} error Mensaje si el usuario no es encontrado, está inactivo o no está validado.
-   * @apiError (500) {String} status Siempre será "error".
-   * @apiError (500) {String} error Mensaje de error general o del servicio OAuth.
+   * @apiError (401) {String} codigo `TOKEN_REQUERIDO` si el token de autorización no es provisto, o `PROVEEDOR_RECHAZO`.
+   * @apiError (403) {String} codigo `USUARIO_NO_ENCONTRADO`, `USUARIO_INACTIVO` o `USUARIO_NO_VALIDADO`.
+   * @apiError (5xx) {String} codigo `PROVEEDOR_ERROR`, `PROVEEDOR_NO_DISPONIBLE`, `PROVEEDOR_TIEMPO_AGOTADO` o `ERROR_INTERNO`.
    */
-  router.get('/datos/:permiso_id', function (req, res) {
+  router.get('/datos/:permiso_id', limitar, function (req, res) {
     const { permiso_id } = req.params;
-    const token = req.headers.authorization;
-    if (!token) return res.status(401).json({ status: "error", error: "Token de autorización requerido" });
+    const token = obtenerTokenSolicitud(req);
+    if (!token) return fallar('datos.fallo', req, res, crearError('TOKEN_REQUERIDO'), { permiso_id });
 
+    let documento;
     getDatos(token, permiso_id)
       .then((datosOAuth) => {
-        return validarUsuario(datosOAuth).then(usuarioValidado => ({ datosOAuth, usuarioValidado }));
+        documento = datosOAuth.persona.documento;
+        return limitarDocumento(req, documento)
+          .then(() => validarUsuario(datosOAuth))
+          .then(usuarioValidado => ({ datosOAuth, usuarioValidado }));
       })
       .then(({ datosOAuth, usuarioValidado }) => {
+        registrarExito('datos.acceso', req, { documento, usuario_id: usuarioValidado.id, permiso_id });
         res.json({
           status: "ok",
           datos: datosOAuth,
@@ -315,14 +664,125 @@ function oauthRouter(
           id: usuarioValidado.id
         });
       })
-      .catch((error) => {
-        const errorMessage = error.message || error;
-        console.error("Error en /datos:", error);
-        const status = (typeof error === 'string') ? 403 : (error.status || 500);
-        res.status(status).json({ status: "error", error: errorMessage });
-      });
+      .catch((error) => fallar('datos.fallo', req, res, error, { documento, permiso_id }));
   });
 
+  /**
+   * @api {get} /login Iniciar Login
+   * @apiName GetLogin
+   * @apiGroup OAuth
+   * @apiDescription Redirige al servicio OAuth para que el usuario inicie sesión. Genera un `state` y un
+   * `code_verifier` de PKCE, los guarda y envía su `code_challenge` (S256) en la URL de autorización. El `state`
+   * queda vinculado al navegador con una cookie HttpOnly (`login.cookie`), que `GET /callback` exige.
+   * Disponible solo si el router se creó con la opción `login`.
+   *
+   * @apiQuery {String} [retorno] Ruta relativa a la que volver al terminar. Se ignoran las URLs absolutas.
+   *
+   * @apiSuccessExample {text} Respuesta de Éxito:
+   * HTTP/1.1 302 Found
+   * Location: https://oauth.ejemplo.com/autorizar?response_type=code&cliente_id=...&state=...&code_challenge=...
+   */
+  /**
+   * @api {get} /callback Completar Login
+   * @apiName GetCallback
+   * @apiGroup OAuth
+   * @apiDescription Recibe el regreso desde el servicio OAuth: valida el `state`, canjea el código con su
+   * `code_verifier`, comprueba el usuario local y redirige a la URL de retorno. En modo cookie los tokens quedan
+   * en cookies; si no, se agregan al fragmento de la URL (`#token=...&refreshToken=...`).
+   * Si falla, redirige a `login.urlError` (o a la URL de retorno) con `#error=...&codigo=...`.
+   * Disponible solo si el router se creó con la opción `login`.
+   *
+   * @apiQuery {String} codigo El código de autorización (también se acepta `code`).
+   * @apiQuery {String} state El `state` generado en `GET /login`. Es de un solo uso y solo se acepta desde el
+   * navegador que inició el login (cookie `login.cookie`); si no, el login falla con `STATE_INVALIDO`.
+   *
+   * @apiSuccessExample {text} Respuesta de Éxito:
+   * HTTP/1.1 302 Found
+   * Location: /inicio#token=eyJhbGciOiJFUzI1NiIsInR5cCI6IkpXVCJ9...
+   */
+  if (flujoLogin) {
+    const { urlRetorno = '/', urlError } = opciones.login;
+
+    router.get('/login', limitar, function (req, res) {
+      flujoLogin.iniciar(res, req.query.retorno)
+        .then((url) => res.redirect(url))
+        .catch((error) => fallar('login.fallo', req, res, crearError('ERROR_INTERNO', "No se pudo iniciar el login", { causa: error })));
+    });
+
+    router.get('/callback', function (req, res) {
+      const codigo = req.query.codigo || req.query.code;
+      const { state } = req.query;
+      let destinoError = urlError || urlRetorno;
+
+      // Los rechazos por límite también vuelven a la aplicación, como cualquier error del login.
+      (limites ? limites.verificar(req) : Promise.resolve())
+        .then(() => (typeof state === 'string' && state ? flujoLogin.completar(req, res, state) : null))
+        .then((pendiente) => {
+          if (!pendiente) return Promise.reject(crearError('STATE_INVALIDO'));
+          if (!urlError) destinoError = pendiente.retorno;
+          if (!codigo) return Promise.reject(crearError('CODIGO_REQUERIDO'));
+          return iniciarSesion(req, codigo, pendiente.verificador)
+            .then((sesion) => ({ ...sesion, retorno: pendiente.retorno }));
+        })
+        .then(({ usuario, documento, token, refreshToken, retorno }) => {
+          loggeado(null, usuario);
+          registrarExito('login.exito', req, { documento, usuario_id: usuario.usuario_id });
+          if (cookie) {
+            establecerSesion(res, cookie, token, refreshToken);
+            return res.redirect(retorno);
+          }
+          const fragmento = { token };
+          if (refreshToken) fragmento.refreshToken = refreshToken;
+          res.redirect(agregarFragmento(retorno, fragmento));
+        })
+        .catch((error) => {
+          const normalizado = normalizarError(error);
+          const { nivel, datos } = datosError(normalizado);
+          loggeado(normalizado);
+          eventos.registrar('login.fallo', nivel, { ...contextoSolicitud(req), ...datos });
+          if (limites) limites.registrarFallo(req, normalizado);
+          res.redirect(agregarFragmento(destinoError, { error: normalizado.message, codigo: normalizado.codigo }));
+        });
+    });
+  }
+
+  // `GET /salud` (documentado en `salud.js`).
+  if (opciones.salud) {
+    const salud = crearSalud(repositorio, cliente, opciones.salud === true ? {} : opciones.salud);
+    router.get('/salud', salud.ruta());
+  }
+
+  /**
+   * @api {post} /logout Cerrar Sesión
+   * @apiName PostLogout
+   * @apiGroup OAuth
+   * @apiDescription Elimina las cookies de sesión y, si hay refresh tokens, revoca la sesión.
+   * Disponible solo en modo cookie. Requiere el encabezado `X-CSRF-Token`.
+   *
+   * @apiSuccess {String} status Siempre será "ok".
+   *
+   * @apiError (403) {String} error Mensaje si el token CSRF es inválido o falta.
+   * @apiError (403) {String} codigo `CSRF_INVALIDO`.
+   */
+  if (cookie) {
+    router.post('/logout', function (req, res) {
+      if (!verificarCsrf(req, cookie)) return fallar('sesion.cerrada', req, res, crearError('CSRF_INVALIDO'));
+      const refreshToken = leerCookie(req, cookie.nombreRefresh);
+      const revocacion = refreshTokens && refreshToken ? refreshTokens.revocar(refreshToken) : Promise.resolve();
+      revocacion
+        .then(() => registrarExito('sesion.cerrada', req))
+        .catch((error) => {
+          // La sesión se cierra igual: solo queda sin revocar el refresh token.
+          const { datos } = datosError(crearError('ERROR_INTERNO', "No se pudo revocar el refresh token", { causa: error }));
+          eventos.registrar('sesion.cerrada', 'error', { ...contextoSolicitud(req), ...datos });
+        })
+        .then(() => {
+          limpiarSesion(res, cookie);
+          res.json({ status: "ok" });
+        });
+    });
+  }
+
   return router;
 }
 
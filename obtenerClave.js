@@ -1,6 +1,23 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { crearClienteHttp } = require('./clienteHttp');
+const { huellaClave, validarClavePem } = require('./claves');
+
+/**
+ * @typedef {object} OpcionesDescarga
+ * @property {import('./clienteHttp').OpcionesHttp} [http] - Tiempo de espera y reintentos de la descarga.
+ * @property {string} [huella] - Huella esperada de la clave (SHA-256 de la clave en DER, en hexadecimal; se aceptan
+ *   mayúsculas y `:`). Si no coincide, la clave no se guarda.
+ * @property {number} [modo=0o644] - Permisos del archivo guardado.
+ */
+
+/**
+ * @typedef {object} ResultadoClave
+ * @property {string} ruta - Ruta completa del archivo de la clave.
+ * @property {string} huella - Huella de la clave.
+ * @property {boolean} [actualizada] - En la descarga, si el archivo se escribió (`false` si ya tenía la misma clave).
+ */
 
 /**
  * Extrae y formatea un error de una respuesta de Axios.
@@ -28,60 +45,131 @@ function formatearErrorAxios(error) {
 }
 
 /**
- * Comprueba si un directorio existe y, si no, lo crea de forma segura.
- * @param {string} rutaDirectorio - La ruta completa del directorio a crear.
- * @throws {Error} Si ocurre un error al crear el directorio.
+ * Lleva una huella al formato de `huellaClave`: hexadecimal en minúsculas, sin separadores.
+ * @param {string} huella - La huella.
+ * @returns {string} La huella normalizada.
  */
-function checkOrCreateDirectorio(rutaDirectorio) {
-  if (fs.existsSync(rutaDirectorio)) {
-    return;
-  }
-  try {
-    fs.mkdirSync(rutaDirectorio, { recursive: true });
-  } catch (error) {
-    // Lanza un error más descriptivo si falla la creación del directorio.
-    throw new Error(`No se pudo crear el directorio '${rutaDirectorio}': ${error.message}`);
+function normalizarHuella(huella) {
+  return String(huella).toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Comprueba que la huella de una clave sea la esperada.
+ * @param {string} huella - La huella de la clave.
+ * @param {string} [esperada] - La huella esperada. Sin valor, no se comprueba.
+ * @throws {Error} Si no coinciden.
+ */
+function comprobarHuella(huella, esperada) {
+  if (esperada && normalizarHuella(esperada) !== huella) {
+    throw new Error(`La huella de la clave pública no coincide: se esperaba ${normalizarHuella(esperada)} y se obtuvo ${huella}`);
   }
 }
 
 /**
- * Descarga una clave pública desde una URL y la guarda en un archivo local.
+ * Lee la huella de la clave guardada en un archivo.
+ * @param {string} rutaArchivo - La ruta del archivo.
+ * @returns {Promise<string|null>} La huella, o `null` si el archivo no existe o no tiene una clave válida.
+ */
+function leerHuellaArchivo(rutaArchivo) {
+  return fs.promises.readFile(rutaArchivo)
+    .then((contenido) => huellaClave(validarClavePem(contenido)))
+    .catch(() => null);
+}
+
+/**
+ * Escribe un archivo de forma atómica: primero en un temporal del mismo
+ * directorio y luego lo renombra, de modo que quien lo lea (o lo vigile)
+ * nunca encuentre un archivo a medio escribir.
+ * @param {string} rutaArchivo - La ruta del archivo.
+ * @param {string} contenido - El contenido.
+ * @param {number} modo - Los permisos del archivo.
+ * @returns {Promise<void>}
+ */
+function escribirAtomico(rutaArchivo, contenido, modo) {
+  const directorio = path.dirname(rutaArchivo);
+  const temporal = path.join(directorio, `.${path.basename(rutaArchivo)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  return fs.promises.mkdir(directorio, { recursive: true })
+    .catch((error) => Promise.reject(new Error(`No se pudo crear el directorio '${directorio}': ${error.message}`)))
+    .then(() => fs.promises.open(temporal, 'w', modo))
+    .then((archivo) => archivo.writeFile(contenido, { encoding: 'utf8' })
+      .then(() => archivo.sync())
+      .finally(() => archivo.close()))
+    // El modo de `open` se ve afectado por la umask del proceso.
+    .then(() => fs.promises.chmod(temporal, modo))
+    .then(() => fs.promises.rename(temporal, rutaArchivo))
+    .catch((error) => fs.promises.rm(temporal, { force: true }).then(() => Promise.reject(error)));
+}
+
+/**
+ * Descarga la clave pública del servicio de OAuth, valida que sea una clave
+ * EC P-256 en formato PEM (y, si se indica, su huella) y la guarda de forma
+ * atómica. Si el archivo ya contiene la misma clave, no se reescribe.
+ * @param {string} url - La URL de la clave pública.
+ * @param {string} rutaArchivo - La ruta completa del archivo.
+ * @param {OpcionesDescarga} [opciones={}] - Las opciones.
+ * @returns {Promise<ResultadoClave>} La ruta, la huella y si el archivo se actualizó.
+ * @rejects {Error} Si la descarga falla, el contenido no es una clave válida, la huella no coincide o no se pudo guardar.
+ */
+function descargarClave(url, rutaArchivo, opciones = {}) {
+  const { http, huella: esperada, modo = 0o644 } = opciones;
+  if (!url || !rutaArchivo) return Promise.reject(new Error("La URL y la ruta del archivo de la clave son obligatorias."));
+
+  return crearClienteHttp(http).get(url, { responseType: 'text' })
+    // El cliente HTTP conserva el error de Axios original en `causa`.
+    .catch((error) => Promise.reject(new Error(formatearErrorAxios(error.causa || error).message)))
+    .then((res) => {
+      const contenido = res.data;
+      if (!contenido) throw new Error("La respuesta de la URL no contenía datos para la clave pública.");
+      const huella = huellaClave(validarClavePem(contenido));
+      comprobarHuella(huella, esperada);
+
+      return leerHuellaArchivo(rutaArchivo).then((anterior) => {
+        if (anterior === huella) return { ruta: rutaArchivo, huella, actualizada: false };
+        return escribirAtomico(rutaArchivo, contenido, modo).then(() => ({ ruta: rutaArchivo, huella, actualizada: true }));
+      });
+    });
+}
+
+/**
+ * Valida el archivo de la clave pública y, si se indica, su huella.
+ * @param {string} rutaArchivo - La ruta completa del archivo.
+ * @param {{huella?: string}} [opciones={}] - La huella esperada.
+ * @returns {Promise<ResultadoClave>} La ruta y la huella de la clave.
+ * @rejects {Error} Si el archivo no existe, no contiene una clave válida o la huella no coincide.
+ */
+function verificarClave(rutaArchivo, opciones = {}) {
+  return fs.promises.readFile(rutaArchivo)
+    .catch((error) => Promise.reject(new Error(`No se pudo leer la clave pública '${rutaArchivo}': ${error.message}`)))
+    .then((contenido) => {
+      const huella = huellaClave(validarClavePem(contenido));
+      comprobarHuella(huella, opciones.huella);
+      return { ruta: rutaArchivo, huella };
+    });
+}
+
+/**
+ * Descarga una clave pública desde una URL y la guarda en un archivo local
+ * (ver {@link descargarClave}).
  * @param {string} urlOAuth - La URL para descargar la clave pública.
  * @param {string} rutaDirectorio - El directorio donde se guardará el archivo.
  * @param {string} nombreArchivo - El nombre del archivo para la clave.
+ * @param {import('./clienteHttp').OpcionesHttp} [opcionesHttp] - Tiempo de espera y reintentos de la descarga.
+ * @param {{huella?: string, modo?: number}} [opciones] - Huella esperada y permisos del archivo.
  * @returns {Promise<string>} Una promesa que resuelve con la ruta completa al archivo guardado.
- * @rejects {Error} Si ocurre un error durante la descarga o el guardado.
+ * @rejects {Error} Si ocurre un error durante la descarga, la validación o el guardado.
  */
-function obtenerClavePublica(urlOAuth, rutaDirectorio, nombreArchivo) {
-  return new Promise((resolve, reject) => {
-    // Validar que los argumentos no estén vacíos
-    if (!urlOAuth || !rutaDirectorio || !nombreArchivo) {
-      return reject(new Error("Los parámetros urlOAuth, rutaDirectorio y nombreArchivo son obligatorios."));
-    }
+function obtenerClavePublica(urlOAuth, rutaDirectorio, nombreArchivo, opcionesHttp, opciones = {}) {
+  // Validar que los argumentos no estén vacíos
+  if (!urlOAuth || !rutaDirectorio || !nombreArchivo) {
+    return Promise.reject(new Error("Los parámetros urlOAuth, rutaDirectorio y nombreArchivo son obligatorios."));
+  }
 
-    axios.get(urlOAuth)
-      .then((res) => {
-        const clavePublica = res.data;
-        if (!clavePublica) {
-          return reject(new Error("La respuesta de la URL no contenía datos para la clave pública."));
-        }
-        
-        try {
-          checkOrCreateDirectorio(rutaDirectorio);
-          const clavePath = path.join(rutaDirectorio, nombreArchivo);
-          fs.writeFileSync(clavePath, clavePublica, { encoding: 'utf8' });
-          resolve(clavePath); // Resuelve con la ruta del archivo para confirmación.
-        } catch (error) {
-          console.error('Error al guardar la clave pública en el archivo:', error.message);
-          reject(error);
-        }
-      })
-      .catch((error) => {
-        const errorFormateado = formatearErrorAxios(error);
-        console.error('Error al obtener la clave pública desde la URL:', errorFormateado.message);
-        reject(new Error(errorFormateado.message));
-      });
-  });
+  // El error no se escribe en la consola: quien llama lo recibe en el rechazo y decide cómo registrarlo.
+  return descargarClave(urlOAuth, path.join(rutaDirectorio, nombreArchivo), { ...opciones, http: opcionesHttp })
+    .then(({ ruta }) => ruta);
 }
 
-module.exports = obtenerClavePublica;
\ No newline at end of file
+// La función sigue siendo la exportación del módulo, como en las versiones anteriores; el resto se agrega como propiedades.
+module.exports = obtenerClavePublica;
+Object.assign(module.exports, { obtenerClavePublica, descargarClave, verificarClave });
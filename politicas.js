@@ -0,0 +1,183 @@
+/**
+ * @typedef {object} ContextoPolitica
+ * @property {object|null} user - El usuario autenticado (los datos del token).
+ * @property {import('express').Request} [req] - La solicitud, cuando la política se evalúa como middleware.
+ * @property {object} [recurso] - El recurso sobre el que se consulta, cuando se usa `puede`.
+ * @property {string} [accion] - La acción consultada, cuando se usa `puede`.
+ * @property {function(): Promise<string[]>} obtenerPermisos - Devuelve los permisos del usuario (se cargan una sola vez).
+ */
+
+/**
+ * @typedef {function(ContextoPolitica): (boolean|Promise<boolean>)} Politica
+ * Una política decide si el contexto está autorizado.
+ */
+
+/**
+ * @typedef {Politica|Array<number>|string} PoliticaDeclarada
+ * Una política, un arreglo de `tipo_usuario_id` (forma abreviada de {@link tipos})
+ * o el nombre de una política registrada o de un permiso (forma abreviada de {@link permiso}).
+ */
+
+/**
+ * Autoriza a los usuarios cuyo `tipo_usuario_id` esté en la lista.
+ * @param {number[]} tiposUsuarioId - Los tipos de usuario permitidos.
+ * @returns {Politica}
+ */
+function tipos(tiposUsuarioId) {
+  return ({ user }) => Boolean(user) && tiposUsuarioId.includes(user.tipo_usuario_id);
+}
+
+/**
+ * Autoriza a cualquier usuario autenticado.
+ * @type {Politica}
+ */
+function autenticado({ user }) {
+  return Boolean(user);
+}
+
+/**
+ * Autoriza a los usuarios que tengan todos los permisos indicados (por ejemplo, `expedientes:leer`).
+ * @param {...string} nombres - Los permisos requeridos.
+ * @returns {Politica}
+ */
+function permiso(...nombres) {
+  return (contexto) => Boolean(contexto.user) && contexto.obtenerPermisos()
+    .then((permisos) => nombres.every((nombre) => permisos.includes(nombre)));
+}
+
+/**
+ * Autoriza según el valor de un claim del usuario.
+ * @param {string} nombre - El claim a evaluar (por ejemplo, `area_id`).
+ * @param {*|Array<*>|function(*, ContextoPolitica): boolean} esperado - El valor requerido, una lista de valores
+ *   admitidos, o una función que recibe el valor y el contexto.
+ * @returns {Politica}
+ */
+function claim(nombre, esperado) {
+  return (contexto) => {
+    if (!contexto.user) return false;
+    const valor = contexto.user[nombre];
+    if (typeof esperado === 'function') return esperado(valor, contexto);
+    if (Array.isArray(esperado)) return esperado.includes(valor);
+    return valor === esperado;
+  };
+}
+
+/**
+ * Autoriza si el usuario es el dueño del recurso. El identificador del dueño se
+ * busca en el recurso pasado a `puede` o, si no hay, en los parámetros de la ruta.
+ * @param {string} campoRecurso - El campo del recurso o parámetro de la ruta con el dueño (por ejemplo, `usuario_id`).
+ * @param {string} [campoUsuario='usuario_id'] - El claim del usuario que lo identifica.
+ * @returns {Politica}
+ */
+function propietario(campoRecurso, campoUsuario = 'usuario_id') {
+  return ({ user, recurso, req }) => {
+    if (!user || user[campoUsuario] === undefined) return false;
+    const origen = recurso || (req && req.params) || {};
+    const duenio = origen[campoRecurso];
+    return duenio !== undefined && String(duenio) === String(user[campoUsuario]);
+  };
+}
+
+/**
+ * Autoriza si se cumplen todas las políticas (Y lógico). Se evalúan en orden y se detiene en la primera que falla.
+ * @param {...PoliticaDeclarada} politicas - Las políticas a combinar.
+ * @returns {Politica}
+ */
+function todas(...politicas) {
+  return (contexto) => politicas.reduce(
+    (anterior, politica) => anterior.then((ok) => ok && evaluar(politica, contexto)),
+    Promise.resolve(true)
+  );
+}
+
+/**
+ * Autoriza si se cumple alguna de las políticas (O lógico). Se evalúan en orden y se detiene en la primera que se cumple.
+ * @param {...PoliticaDeclarada} politicas - Las políticas a combinar.
+ * @returns {Politica}
+ */
+function alguna(...politicas) {
+  return (contexto) => politicas.reduce(
+    (anterior, politica) => anterior.then((ok) => ok || evaluar(politica, contexto)),
+    Promise.resolve(false)
+  );
+}
+
+/**
+ * Evalúa una política declarada en un contexto. Los nombres se resuelven con
+ * las políticas registradas en el contexto o, si no hay, como permisos.
+ * @param {PoliticaDeclarada} politica - La política a evaluar.
+ * @param {ContextoPolitica & {politicas?: Object<string, PoliticaDeclarada>}} contexto - El contexto.
+ * @returns {Promise<boolean>} Si el contexto está autorizado.
+ */
+function evaluar(politica, contexto) {
+  if (Array.isArray(politica)) return evaluar(tipos(politica), contexto);
+  if (typeof politica === 'string') {
+    const registrada = contexto.politicas && contexto.politicas[politica];
+    return evaluar(registrada || permiso(politica), contexto);
+  }
+  if (typeof politica !== 'function') return Promise.reject(new TypeError('Política inválida'));
+  return Promise.resolve().then(() => politica(contexto)).then(Boolean);
+}
+
+/**
+ * Crea un autorizador que evalúa políticas con una fuente de permisos y un registro de políticas con nombre.
+ * @param {object} [opciones={}]
+ * @param {Object<string, PoliticaDeclarada>} [opciones.politicas={}] - Políticas con nombre (por ejemplo, por acción).
+ * @param {function(object): (string[]|Promise<string[]>)} [opciones.cargarPermisos] - Obtiene los permisos de un
+ *   usuario. Por defecto, se leen del claim indicado en `claimPermisos`.
+ * @param {string} [opciones.claimPermisos='permisos'] - El claim del token con la lista de permisos.
+ * @returns {{evaluar: function(PoliticaDeclarada, object|null, object=): Promise<boolean>,
+ *   puede: function(object|null, string, object=): Promise<boolean>}} El autorizador.
+ */
+function crearAutorizador(opciones = {}) {
+  const {
+    politicas = {},
+    claimPermisos = 'permisos',
+    cargarPermisos = (user) => (user && user[claimPermisos]) || [],
+  } = opciones;
+
+  /**
+   * Arma el contexto de evaluación.
+   * @param {object|null} user - El usuario.
+   * @param {object} extra - Datos adicionales del contexto (`req`, `recurso`, `accion`).
+   * @returns {ContextoPolitica}
+   */
+  function crearContexto(user, extra) {
+    let permisos = null;
+    return {
+      ...extra,
+      user,
+      politicas,
+      obtenerPermisos() {
+        if (!permisos) permisos = Promise.resolve().then(() => cargarPermisos(user)).then((lista) => lista || []);
+        return permisos;
+      },
+    };
+  }
+
+  return {
+    /**
+     * Evalúa una política para un usuario.
+     * @param {PoliticaDeclarada} politica - La política.
+     * @param {object|null} user - El usuario.
+     * @param {object} [extra={}] - Datos adicionales del contexto (`req`, `recurso`, `accion`).
+     * @returns {Promise<boolean>}
+     */
+    evaluar(politica, user, extra = {}) {
+      return evaluar(politica, crearContexto(user, extra));
+    },
+    /**
+     * Indica si un usuario puede realizar una acción, opcionalmente sobre un recurso.
+     * La acción se busca entre las políticas registradas o, si no está, como permiso.
+     * @param {object|null} user - El usuario.
+     * @param {string} accion - La acción (por ejemplo, `expedientes:leer`).
+     * @param {object} [recurso] - El recurso sobre el que se actúa.
+     * @returns {Promise<boolean>}
+     */
+    puede(user, accion, recurso) {
+      return evaluar(accion, crearContexto(user, { accion, recurso }));
+    },
+  };
+}
+
+module.exports = { tipos, autenticado, permiso, claim, propietario, todas, alguna, crearAutorizador };
@@ -0,0 +1,100 @@
+const { crearError, OAuthError } = require('./errores');
+
+/**
+ * @typedef {object} OpcionesProvision
+ * @property {number} tipo_usuario_id - Tipo de usuario de los usuarios creados.
+ * @property {boolean} [activo=false] - Estado de los usuarios creados. Con `false` quedan pendientes de aprobación:
+ *   el login se rechaza con `USUARIO_INACTIVO` hasta que un administrador los active.
+ * @property {function(object, object): (object|null|Promise<object|null>)} [mapear] - Recibe la `persona` y los datos
+ *   completos del servicio OAuth y devuelve los campos del usuario local, o `null` si la persona no puede darse de
+ *   alta. Por defecto, `{ nombre: 'APELLIDOS, NOMBRE' }`. Los campos devueltos pueden reemplazar `tipo_usuario_id`
+ *   y `activo`; el `documento` siempre es el de la persona.
+ * @property {boolean|string[]} [sincronizar=false] - Campos devueltos por `mapear` que se actualizan en cada ingreso
+ *   de un usuario existente; `true` para todos salvo `activo` y `tipo_usuario_id`, que solo se actualizan si se
+ *   nombran en la lista (así, un usuario desactivado por un administrador no se reactiva en su próximo ingreso).
+ * @property {number} [permiso_id=1] - Permiso con el que se piden los datos de la persona en `POST /token` y
+ *   `GET /callback`, cuando el usuario todavía no existe.
+ */
+
+/**
+ * Campos que `sincronizar: true` no actualiza: el documento identifica al usuario, y el estado y el tipo se deciden
+ * en el alta (después puede cambiarlos un administrador). `activo` y `tipo_usuario_id` se sincronizan solo si se
+ * nombran en la lista.
+ */
+const NO_SINCRONIZADOS = ['documento', 'activo', 'tipo_usuario_id'];
+
+/**
+ * Campos por defecto de un usuario nuevo: el nombre, con el formato de `reemplazarNombre`.
+ * @param {import('./oauthRouter').OAuthUserData['persona']} persona - La persona.
+ * @returns {{nombre: string}}
+ */
+function mapearPersona(persona) {
+  return { nombre: (`${persona.apellidos}, ${persona.nombre}`).toUpperCase() };
+}
+
+/**
+ * Crea el alta de usuarios en el primer ingreso (aprovisionamiento "just in time").
+ * @param {OpcionesProvision} opciones - Las opciones.
+ * @param {import('./repositorios').RepositorioUsuarios} repositorio - El repositorio; debe implementar `crear`.
+ * @returns {{permiso_id: number, provisionar: function(object, Array<string|Array<string>>): Promise<{usuario: object|null, creado: boolean}>, sincronizar: function(object): Promise<object>}}
+ *   `provisionar` da de alta al usuario de los datos del servicio OAuth y lo devuelve con los atributos pedidos
+ *   (`null` si no es elegible); `sincronizar` devuelve los cambios a aplicar a un usuario existente.
+ * @throws {Error} Si falta `tipo_usuario_id` o el repositorio no implementa `crear`.
+ */
+function crearProvision(opciones, repositorio) {
+  const { tipo_usuario_id, activo = false, mapear = mapearPersona, sincronizar = false, permiso_id = 1 } = opciones;
+  if (tipo_usuario_id === undefined) {
+    throw new Error("Configuración incompleta para el alta de usuarios: falta 'provision.tipo_usuario_id'");
+  }
+  if (typeof repositorio.crear !== 'function') {
+    throw new TypeError("El repositorio de usuarios debe implementar 'crear' para el alta de usuarios");
+  }
+
+  /**
+   * Obtiene los campos del usuario local a partir de los datos del servicio OAuth.
+   * @param {object} datos - Los datos del servicio OAuth.
+   * @returns {Promise<object|null>} Los campos, o `null` si la persona no es elegible.
+   */
+  function obtenerCampos(datos) {
+    return Promise.resolve()
+      .then(() => mapear(datos.persona, datos))
+      .catch((error) => Promise.reject(crearError('ERROR_INTERNO', "No se pudieron obtener los datos del usuario", { causa: error })));
+  }
+
+  function errorBaseDatos(error) {
+    return Promise.reject(error instanceof OAuthError ? error : crearError('ERROR_BASE_DATOS', undefined, { causa: error }));
+  }
+
+  return {
+    permiso_id,
+    provisionar(datos, atributos) {
+      const { documento } = datos.persona;
+      return obtenerCampos(datos).then((campos) => {
+        if (!campos) return { usuario: null, creado: false };
+        return repositorio.crear({ tipo_usuario_id, activo, ...campos, documento })
+          .then(() => true, (error) => repositorio.buscarPorDocumento(documento, atributos).then((existente) => {
+            // Otro ingreso simultáneo pudo crearlo primero (clave única en `documento`).
+            if (!existente) return Promise.reject(error);
+            return false;
+          }))
+          .then((creado) => repositorio.buscarPorDocumento(documento, atributos).then((usuario) => ({ usuario, creado })))
+          .catch(errorBaseDatos);
+      });
+    },
+    sincronizar(datos) {
+      if (!sincronizar) return Promise.resolve({});
+      return obtenerCampos(datos).then((campos) => {
+        if (!campos) return {};
+        const nombres = sincronizar === true
+          ? Object.keys(campos).filter((nombre) => !NO_SINCRONIZADOS.includes(nombre))
+          : sincronizar;
+        return nombres.reduce((cambios, nombre) => {
+          if (nombre !== 'documento' && campos[nombre] !== undefined) cambios[nombre] = campos[nombre];
+          return cambios;
+        }, {});
+      });
+    },
+  };
+}
+
+module.exports = { crearProvision };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { crearCacheMemoria } = require('./cache');
+const { crearError } = require('./errores');
+
+/**
+ * @typedef {object} RegistroRefresh
+ * @property {string} familia - Identificador de la sesión: todos los refresh tokens rotados a partir del mismo login.
+ * @property {string} documento - Documento del usuario.
+ * @property {string} refreshProveedor - Refresh token entregado por el servicio OAuth, con el que se renueva la sesión.
+ * @property {number} vence - Instante (ms) en que vence el refresh token.
+ */
+
+/**
+ * @typedef {object} RefreshTokens
+ * @property {function(object, string=): Promise<string>} emitir - Emite un refresh token opaco para los datos de la
+ *   sesión (`documento`, `refreshProveedor`), en una familia nueva o en la indicada.
+ * @property {function(string): Promise<RegistroRefresh>} canjear - Marca un refresh token como usado y devuelve su
+ *   registro. Rechaza si es inválido, si su sesión fue revocada o si ya había sido usado (en ese caso revoca la
+ *   sesión). De dos canjes simultáneos del mismo token, solo uno tiene éxito.
+ * @property {function(string): Promise<void>} revocar - Revoca la sesión a la que pertenece un refresh token.
+ */
+
+/**
+ * Calcula la clave de almacenamiento de un refresh token, para no guardarlo en claro.
+ * @param {string} refreshToken - El refresh token.
+ * @returns {string} La clave.
+ */
+function claveRefresh(refreshToken) {
+  return `refresh:${crypto.createHash('sha256').update(String(refreshToken)).digest('hex')}`;
+}
+
+/**
+ * Crea el registro de refresh tokens con rotación y detección de reutilización:
+ * cada canje entrega un refresh token nuevo de la misma familia, y presentar
+ * uno ya usado revoca la familia completa (indicio de robo del token).
+ * @param {object} [opciones={}]
+ * @param {import('./cache').AlmacenCache} [opciones.almacen] - Almacén de los registros. Por defecto, uno en memoria
+ *   de hasta 100000 entradas (unas tres por sesión): al llenarse se descartan los registros menos usados, y esas
+ *   sesiones deben volver a iniciarse (`REFRESH_INVALIDO`). En producción, y siempre con varios procesos, conviene
+ *   uno compartido (por ejemplo, Redis). Debe implementar `guardarSiNoExiste`, con la que el token se marca como usado
+ *   de forma atómica.
+ * @param {number} [opciones.duracion=604800000] - Milisegundos de validez de cada refresh token.
+ * @returns {RefreshTokens} El registro.
+ * @throws {TypeError} Si el almacén no implementa `guardarSiNoExiste`.
+ */
+function crearRefreshTokens(opciones = {}) {
+  const {
+    // Con LRU, el registro de un token se descarta antes que su marca de uso o la revocación de su familia (que se
+    // consultan después de él), de modo que llenarse nunca vuelve a habilitar un token usado o revocado.
+    almacen = crearCacheMemoria({ maximo: 100 * 1000 }),
+    duracion = 7 * 24 * 60 * 60 * 1000,
+  } = opciones;
+  if (typeof almacen.guardarSiNoExiste !== 'function') {
+    throw new TypeError("El almacén de los refresh tokens debe implementar 'guardarSiNoExiste' (por ejemplo, SET NX en Redis)");
+  }
+
+  function revocarFamilia(familia) {
+    return almacen.guardar(`familia:${familia}`, 'revocada', duracion);
+  }
+
+  return {
+    emitir(datos, familia = crypto.randomUUID()) {
+      const refreshToken = crypto.randomBytes(32).toString('base64url');
+      const registro = { ...datos, familia, vence: Date.now() + duracion };
+      return almacen.guardar(claveRefresh(refreshToken), registro, duracion).then(() => refreshToken);
+    },
+    canjear(refreshToken) {
+      const clave = claveRefresh(refreshToken);
+      return almacen.obtener(clave).then((registro) => {
+        if (!registro) return Promise.reject(crearError('REFRESH_INVALIDO'));
+        return almacen.obtener(`familia:${registro.familia}`).then((estado) => {
+          if (estado === 'revocada') return Promise.reject(crearError('REFRESH_REVOCADO'));
+          // Marcar el token como usado es una sola operación atómica: si ya lo estaba, es una reutilización.
+          const restante = Math.max(registro.vence - Date.now(), 1);
+          return almacen.guardarSiNoExiste(`usado:${clave}`, true, restante).then((primerUso) => {
+            if (primerUso) return registro;
+            return revocarFamilia(registro.familia)
+              .then(() => Promise.reject(crearError('REFRESH_REUTILIZADO', undefined, { documento: registro.documento })));
+          });
+        });
+      });
+    },
+    revocar(refreshToken) {
+      return almacen.obtener(claveRefresh(refreshToken)).then((registro) => {
+        if (registro) return revocarFamilia(registro.familia);
+      });
+    },
+  };
+}
+
+module.exports = { crearRefreshTokens };
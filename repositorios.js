@@ -0,0 +1,115 @@
+/**
+ * @typedef {object} RepositorioUsuarios
+ * Interfaz mínima que la librería necesita del almacenamiento de usuarios locales.
+ * Puede implementarse sobre cualquier ORM, query builder o servicio REST.
+ * @property {function(string, Array<string|Array<string>>=): Promise<object|null>} buscarPorDocumento -
+ *   Devuelve un objeto plano con los atributos pedidos (con la misma sintaxis de alias de Sequelize,
+ *   `['columna', 'alias']`), o `null` si no existe.
+ * @property {function(string): Promise<boolean|null>} estaActivo - Indica si el usuario está activo, o `null` si no existe.
+ * @property {function(string, object=): Promise<void>} registrarIngreso - Registra la fecha de último ingreso,
+ *   aplicando además los cambios indicados (por ejemplo, `{ nombre }` para actualizar el nombre).
+ * @property {function(object): Promise<void>} [crear] - Opcional. Crea un usuario con los campos indicados
+ *   (`documento`, `tipo_usuario_id`, `activo`, `nombre`, ...); lo usa el alta de usuarios en el primer ingreso.
+ * @property {function(): Promise<void>} [verificar] - Opcional. Comprueba que el almacenamiento responda; lo usa el
+ *   endpoint `/salud`.
+ */
+
+/**
+ * @typedef {import('./oauthRouter').UsuarioModel} UsuarioModel
+ */
+
+/**
+ * Crea un repositorio sobre un modelo de Sequelize, con el comportamiento
+ * histórico de la librería (`findOne` por documento y `update` sobre la instancia).
+ * @param {UsuarioModel} Usuario - El modelo de Sequelize para la entidad 'Usuario'.
+ * @returns {RepositorioUsuarios} El repositorio.
+ */
+function repositorioSequelize(Usuario) {
+  return {
+    buscarPorDocumento(documento, atributos) {
+      return Usuario.findOne({ where: { documento }, attributes: atributos })
+        .then((usuario) => (usuario ? usuario.dataValues : null));
+    },
+    estaActivo(documento) {
+      return Usuario.findOne({ where: { documento }, attributes: ['activo'] })
+        .then((usuario) => (usuario ? Boolean(usuario.activo) : null));
+    },
+    registrarIngreso(documento, cambios = {}) {
+      // Se actualiza la instancia, como antes, para que corran los hooks y validaciones del modelo.
+      return Usuario.findOne({ where: { documento } })
+        .then((usuario) => (usuario ? usuario.update({ ...cambios, ultimo_ingreso: new Date() }) : null))
+        .then(() => {});
+    },
+    crear(datos) {
+      return Usuario.create(datos).then(() => {});
+    },
+    verificar() {
+      return Usuario.findOne({ attributes: ['id'] }).then(() => {});
+    },
+  };
+}
+
+/**
+ * Proyecta un objeto a los atributos pedidos, resolviendo alias `['columna', 'alias']`.
+ * @param {object} usuario - El objeto completo.
+ * @param {Array<string|Array<string>>} [atributos] - Los atributos a incluir. Sin valor, se copian todos.
+ * @returns {object} Una copia con los atributos pedidos.
+ */
+function proyectar(usuario, atributos) {
+  if (!atributos) return { ...usuario };
+  return atributos.reduce((resultado, atributo) => {
+    const [columna, alias] = Array.isArray(atributo) ? atributo : [atributo, atributo];
+    resultado[alias] = usuario[columna];
+    return resultado;
+  }, {});
+}
+
+/**
+ * Crea un repositorio en memoria, útil para pruebas y prototipos.
+ * @param {object[]} [usuarios=[]] - Los usuarios iniciales. El arreglo se usa como almacenamiento, por lo que
+ *   refleja los cambios que hace la librería (por ejemplo, `ultimo_ingreso`).
+ * @returns {RepositorioUsuarios} El repositorio.
+ */
+function repositorioMemoria(usuarios = []) {
+  const buscar = (documento) => usuarios.find((usuario) => String(usuario.documento) === String(documento));
+
+  return {
+    buscarPorDocumento(documento, atributos) {
+      const usuario = buscar(documento);
+      return Promise.resolve(usuario ? proyectar(usuario, atributos) : null);
+    },
+    estaActivo(documento) {
+      const usuario = buscar(documento);
+      return Promise.resolve(usuario ? Boolean(usuario.activo) : null);
+    },
+    registrarIngreso(documento, cambios = {}) {
+      const usuario = buscar(documento);
+      if (usuario) Object.assign(usuario, cambios, { ultimo_ingreso: new Date() });
+      return Promise.resolve();
+    },
+    crear(datos) {
+      if (buscar(datos.documento)) return Promise.reject(new Error(`Ya existe un usuario con el documento '${datos.documento}'`));
+      const id = usuarios.reduce((maximo, usuario) => Math.max(maximo, usuario.id || 0), 0) + 1;
+      usuarios.push({ id, ...datos });
+      return Promise.resolve();
+    },
+    verificar() {
+      return Promise.resolve();
+    },
+  };
+}
+
+/**
+ * Obtiene el repositorio a usar: el recibido, si ya implementa la interfaz,
+ * o un adaptador de Sequelize si se recibe un modelo.
+ * @param {RepositorioUsuarios|UsuarioModel} Usuario - Un repositorio o un modelo de Sequelize.
+ * @returns {RepositorioUsuarios} El repositorio.
+ * @throws {TypeError} Si no es ni un repositorio ni un modelo.
+ */
+function resolverRepositorio(Usuario) {
+  if (Usuario && typeof Usuario.buscarPorDocumento === 'function') return Usuario;
+  if (Usuario && typeof Usuario.findOne === 'function') return repositorioSequelize(Usuario);
+  throw new TypeError('Se esperaba un repositorio de usuarios o un modelo de Sequelize');
+}
+
+module.exports = { repositorioSequelize, repositorioMemoria, resolverRepositorio };
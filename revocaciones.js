@@ -0,0 +1,72 @@
+const { crearCacheMemoria } = require('./cache');
+const { crearError } = require('./errores');
+
+/**
+ * @typedef {object} Revocaciones
+ * @property {function(string, number=): Promise<void>} revocarToken - Revoca un token por su `jti`. El segundo
+ *   parámetro es su `exp` (segundos desde epoch): la revocación se descarta cuando el token igual habría expirado.
+ * @property {function(string, (Date|number)=): Promise<void>} revocarDocumento - Revoca todos los tokens de un
+ *   documento emitidos antes del instante indicado (por defecto, ahora).
+ * @property {function(object): Promise<boolean>} estaRevocado - Indica si un token decodificado está revocado.
+ */
+
+/**
+ * Crea el registro de revocaciones de tokens sobre un almacén clave/valor con vencimiento.
+ * @param {object} [opciones={}]
+ * @param {import('./cache').AlmacenCache} [opciones.almacen] - Almacén donde guardar las revocaciones.
+ *   Por defecto, uno en memoria sin límite de entradas: descartar una revocación antes de su vencimiento volvería a
+ *   habilitar el token, así que cada una se conserva hasta el `exp` del token (o `duracionMaximaToken`). Ese almacén
+ *   no se comparte entre procesos ni sobrevive a un reinicio: en producción se necesita uno compartido (por ejemplo,
+ *   Redis).
+ * @param {number} [opciones.duracionMaximaToken=86400000] - Milisegundos que se conserva una revocación cuando no se
+ *   conoce el `exp` del token, y una revocación por documento. Debe cubrir la vida máxima de un token.
+ * @returns {Revocaciones} El registro de revocaciones.
+ */
+function crearRevocaciones(opciones = {}) {
+  const {
+    almacen = crearCacheMemoria({ maximo: Infinity }),
+    duracionMaximaToken = 24 * 60 * 60 * 1000,
+  } = opciones;
+
+  return {
+    revocarToken(jti, exp) {
+      const ttl = exp ? exp * 1000 - Date.now() : duracionMaximaToken;
+      if (ttl <= 0) return Promise.resolve();
+      return almacen.guardar(`jti:${jti}`, true, ttl);
+    },
+    revocarDocumento(documento, antesDe = new Date()) {
+      const instante = antesDe instanceof Date ? antesDe.getTime() : antesDe;
+      return almacen.guardar(`documento:${documento}`, Math.floor(instante / 1000), duracionMaximaToken);
+    },
+    estaRevocado(decoded) {
+      const documento = decoded.data && decoded.data.documento;
+      return Promise.all([
+        decoded.jti ? almacen.obtener(`jti:${decoded.jti}`) : undefined,
+        documento !== undefined ? almacen.obtener(`documento:${documento}`) : undefined,
+      ]).then(([porJti, antesDe]) => {
+        if (porJti) return true;
+        // Un token sin `iat` no permite saber si es anterior a la revocación: se considera revocado.
+        return antesDe !== undefined && (decoded.iat === undefined || decoded.iat <= antesDe);
+      });
+    },
+  };
+}
+
+/**
+ * Verifica que un token decodificado no haya sido revocado.
+ * @param {Revocaciones} [revocaciones] - El registro de revocaciones. Sin valor, no se comprueba.
+ * @param {object} decoded - Los datos decodificados del token.
+ * @returns {Promise<object>} Una promesa que resuelve con los mismos datos si el token no está revocado.
+ * @rejects {import('./errores').OAuthError} `TOKEN_REVOCADO`, o `REVOCACION_NO_DISPONIBLE` si el registro falla.
+ */
+function comprobarRevocacion(revocaciones, decoded) {
+  if (!revocaciones) return Promise.resolve(decoded);
+  return revocaciones.estaRevocado(decoded)
+    .catch((err) => Promise.reject(crearError('REVOCACION_NO_DISPONIBLE', undefined, { causa: err })))
+    .then((revocado) => {
+      if (revocado) return Promise.reject(crearError('TOKEN_REVOCADO'));
+      return decoded;
+    });
+}
+
+module.exports = { crearRevocaciones, comprobarRevocacion };
@@ -0,0 +1,205 @@
+const express = require('express');
+const { resolverCliente } = require('./cliente');
+const { crearClienteHttp } = require('./clienteHttp');
+const { resolverRepositorio } = require('./repositorios');
+const { crearError, normalizarError } = require('./errores');
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ * @typedef {import('express').Router} Router
+ */
+
+/**
+ * @typedef {object} OpcionesSalud
+ * @property {boolean} [proveedor=true] - Si se comprueba que el servicio OAuth responda.
+ * @property {string} [rutaProveedor=''] - Ruta del servicio OAuth a consultar, relativa a `url`. Cualquier respuesta
+ *   con estado menor a 500 se considera disponible.
+ * @property {boolean} [baseDatos=true] - Si se comprueba el repositorio de usuarios (con su método `verificar`).
+ * @property {number} [timeout=3000] - Milisegundos máximos de espera de cada comprobación.
+ * @property {boolean} [detalle=false] - Si la respuesta incluye el detalle de cada comprobación (huellas y fechas de
+ *   la clave, estado del circuito, código y mensaje de los errores). Por defecto solo se informan `estado` y
+ *   `latencia`, porque el endpoint suele quedar expuesto sin autenticación.
+ */
+
+/**
+ * @typedef {object} ResultadoComprobacion
+ * @property {('ok'|'error'|'omitida')} estado - El resultado.
+ * @property {number} [latencia] - Milisegundos que tardó la comprobación.
+ * @property {string} [codigo] - Código del error (ver `errores.js`), si falló.
+ * @property {string} [error] - Mensaje del error, si falló.
+ */
+
+/**
+ * Rechaza si la promesa no se resuelve a tiempo.
+ * @param {Promise<*>} promesa - La promesa.
+ * @param {number} timeout - Milisegundos máximos de espera.
+ * @param {function(): Error} crearErrorTiempo - Crea el error a rechazar.
+ * @returns {Promise<*>}
+ */
+function conTiempoMaximo(promesa, timeout, crearErrorTiempo) {
+  let temporizador;
+  const tiempo = new Promise((resolve, reject) => {
+    temporizador = setTimeout(() => reject(crearErrorTiempo()), timeout);
+  });
+  return Promise.race([promesa, tiempo]).finally(() => clearTimeout(temporizador));
+}
+
+/**
+ * Ejecuta una comprobación, midiendo su latencia. Los errores se informan con
+ * su código y el mensaje del catálogo, sin detalles internos.
+ * @param {function(): Promise<object=>} comprobacion - La comprobación; puede resolver con datos adicionales.
+ * @returns {Promise<ResultadoComprobacion>}
+ */
+function comprobar(comprobacion) {
+  const inicio = Date.now();
+  return Promise.resolve()
+    .then(comprobacion)
+    .then((datos) => ({ estado: 'ok', latencia: Date.now() - inicio, ...datos }))
+    .catch((error) => {
+      const normalizado = normalizarError(error);
+      return { estado: 'error', latencia: Date.now() - inicio, codigo: normalizado.codigo, error: normalizado.message };
+    });
+}
+
+/**
+ * Reduce el informe al estado y la latencia de cada comprobación.
+ * @param {{status: string} & Object<string, ResultadoComprobacion>} informe - El informe completo.
+ * @returns {object} El informe resumido.
+ */
+function resumir(informe) {
+  const { status, ...comprobaciones } = informe;
+  return Object.entries(comprobaciones).reduce((resumen, [nombre, { estado, latencia }]) => {
+    resumen[nombre] = latencia === undefined ? { estado } : { estado, latencia };
+    return resumen;
+  }, { status });
+}
+
+/**
+ * Crea las comprobaciones de salud de la integración: clave pública cargada,
+ * servicio OAuth disponible y repositorio de usuarios accesible.
+ * @param {import('./repositorios').RepositorioUsuarios} repositorio - El repositorio de usuarios.
+ * @param {import('./cliente').OAuthCliente} cliente - La instancia.
+ * @param {OpcionesSalud} [opciones={}] - Las opciones.
+ * @returns {{verificar: function(): Promise<{ok: boolean, informe: object}>, ruta: function(): function(Request, Response): void}}
+ *   `verificar` realiza las comprobaciones, con su detalle; `ruta` devuelve el handler de Express que responde el
+ *   informe (resumido, salvo con `detalle`) con estado 200 o 503.
+ */
+function crearSalud(repositorio, cliente, opciones = {}) {
+  const { proveedor = true, rutaProveedor = '', baseDatos = true, timeout = 3 * 1000, detalle = false } = opciones;
+  const { config, http } = cliente;
+  // La sonda usa su propio cliente, sin reintentos ni corte de circuito: informa el estado real del servicio en cada
+  // consulta y sus fallas no abren el circuito de las llamadas de la aplicación.
+  const sonda = crearClienteHttp({ timeout, reintentos: 0, circuito: false });
+
+  function comprobarClave() {
+    return comprobar(() => conTiempoMaximo(cliente.estadoClave(), timeout, () => crearError('CLAVE_NO_DISPONIBLE'))
+      .catch((error) => Promise.reject(crearError('CLAVE_NO_DISPONIBLE', undefined, { causa: error })))
+      .then(({ origen, claves, cargadaEn, modificadaEn }) => {
+        const desde = modificadaEn || cargadaEn;
+        const datos = { origen, claves, cargadaEn: new Date(cargadaEn).toISOString(), edad: Math.floor((Date.now() - desde) / 1000) };
+        if (modificadaEn) datos.modificadaEn = new Date(modificadaEn).toISOString();
+        return datos;
+      }));
+  }
+
+  function comprobarProveedor() {
+    if (!proveedor || !config.url) return Promise.resolve({ estado: 'omitida' });
+    const url = `${config.url}${rutaProveedor}`;
+    return comprobar(() => sonda.get(url, { validateStatus: (status) => status < 500 })
+      .then(() => ({})))
+      .then((resultado) => {
+        const circuito = estadoCircuito(url);
+        return circuito ? { ...resultado, circuito } : resultado;
+      });
+  }
+
+  // Sin circuito si la URL no es válida (el error ya lo informa la comprobación) o si no hubo llamadas a su origen.
+  function estadoCircuito(url) {
+    let origen;
+    try {
+      origen = new URL(url).origin;
+    } catch (error) {
+      return undefined;
+    }
+    const circuito = http.estadoCircuitos()[origen];
+    return circuito && circuito.estado;
+  }
+
+  function comprobarBaseDatos() {
+    if (!baseDatos || typeof repositorio.verificar !== 'function') return Promise.resolve({ estado: 'omitida' });
+    return comprobar(() => conTiempoMaximo(repositorio.verificar(), timeout, () => crearError('ERROR_BASE_DATOS', "La base de datos no respondió a tiempo"))
+      .catch((error) => Promise.reject(error && error.codigo ? error : crearError('ERROR_BASE_DATOS', undefined, { causa: error })))
+      .then(() => ({})));
+  }
+
+  function verificar() {
+    return Promise.all([comprobarClave(), comprobarProveedor(), comprobarBaseDatos()])
+      .then(([clave, servicio, datos]) => {
+        const ok = [clave, servicio, datos].every((resultado) => resultado.estado !== 'error');
+        return { ok, informe: { status: ok ? "ok" : "error", clave, proveedor: servicio, baseDatos: datos } };
+      });
+  }
+
+  return {
+    verificar,
+    ruta() {
+      return function (req, res) {
+        verificar()
+          .then(({ ok, informe }) => {
+            res.set('Cache-Control', 'no-store');
+            res.status(ok ? 200 : 503).json(detalle ? informe : resumir(informe));
+          })
+          .catch((error) => {
+            const { codigo, message } = normalizarError(error);
+            res.set('Cache-Control', 'no-store');
+            res.status(503).json(detalle ? { status: 'error', codigo, error: message } : { status: 'error' });
+          });
+      };
+    },
+  };
+}
+
+/**
+ * Crea un router de Express con `GET /salud`, para usar sin `oauthRouter` (por
+ * ejemplo, en una aplicación que solo usa el middleware).
+ * @param {import('./repositorios').RepositorioUsuarios|import('./oauthRouter').UsuarioModel} Usuario - El modelo de
+ *   Sequelize o un repositorio de usuarios.
+ * @param {OpcionesSalud & {cliente?: import('./cliente').OAuthCliente}} [opciones={}] - Las opciones de
+ *   {@link crearSalud} y de configuración (ver `OAuthConfig` en `config.js`).
+ * @returns {Router} El router.
+ */
+function saludRouter(Usuario, opciones = {}) {
+  const salud = crearSalud(resolverRepositorio(Usuario), resolverCliente(opciones), opciones);
+  const router = express.Router();
+
+  /**
+   * @api {get} /salud Estado de la Integración
+   * @apiName GetSalud
+   * @apiGroup OAuth
+   * @apiDescription Comprueba que haya una clave pública cargada, que el servicio OAuth responda y que el repositorio
+   * de usuarios sea accesible. Responde 200 si todo funciona y 503 si alguna comprobación falla; apto para la
+   * readiness probe de Kubernetes. Cada comprobación informa `estado` ("ok", "error" u "omitida") y `latencia` (ms);
+   * el resto de los campos se incluye solo con la opción `detalle`.
+   *
+   * @apiSuccess {String} status "ok" o "error".
+   * @apiSuccess {Object} clave `estado` y `latencia`. Con `detalle`: `origen`, `claves` (`kid` y `huella`),
+   *   `cargadaEn`, `modificadaEn` (archivo) y `edad` (segundos).
+   * @apiSuccess {Object} proveedor `estado` y `latencia`. Con `detalle`: `circuito` (el de las llamadas de la
+   *   aplicación; la comprobación no pasa por él).
+   * @apiSuccess {Object} baseDatos `estado` y `latencia`.
+   *
+   * @apiSuccessExample {json} Respuesta de Éxito:
+   * HTTP/1.1 200 OK
+   * {
+   * "status": "ok",
+   * "clave": { "estado": "ok", "latencia": 1 },
+   * "proveedor": { "estado": "ok", "latencia": 35 },
+   * "baseDatos": { "estado": "ok", "latencia": 4 }
+   * }
+   */
+  router.get('/salud', salud.ruta());
+  return router;
+}
+
+module.exports = { crearSalud, saludRouter };
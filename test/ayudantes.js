@@ -0,0 +1,56 @@
+const http = require('http');
+
+/**
+ * Inicia una aplicación de Express en un puerto libre.
+ * @param {import('express').Express} app - La aplicación.
+ * @returns {Promise<{url: string, cerrar: function(): Promise<void>}>} Su URL base y la función para detenerla.
+ */
+function iniciarApp(app) {
+  const servidor = http.createServer(app);
+  return new Promise((resolve, reject) => {
+    servidor.once('error', reject);
+    servidor.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${servidor.address().port}`,
+        cerrar: () => new Promise((resolveCierre) => {
+          servidor.close(() => resolveCierre());
+          servidor.closeAllConnections();
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Realiza una solicitud sin seguir redirecciones.
+ * @param {string} url - La URL.
+ * @param {object} [opciones={}]
+ * @param {string} [opciones.metodo='GET'] - El método.
+ * @param {string} [opciones.token] - Token a enviar en `Authorization`.
+ * @param {object} [opciones.cuerpo] - Cuerpo a enviar como JSON.
+ * @param {string} [opciones.cookie] - Encabezado `Cookie` a enviar.
+ * @param {Object<string, string>} [opciones.encabezados] - Otros encabezados a enviar.
+ * @returns {Promise<{status: number, headers: Headers, cuerpo: *}>} La respuesta, con el cuerpo interpretado si es JSON.
+ */
+function solicitar(url, opciones = {}) {
+  const { metodo = 'GET', token, cuerpo, cookie, encabezados } = opciones;
+  const headers = { 'content-type': 'application/json', ...encabezados };
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (cookie) headers.cookie = cookie;
+  return fetch(url, { method: metodo, headers, body: cuerpo && JSON.stringify(cuerpo), redirect: 'manual' })
+    .then((res) => res.text().then((texto) => {
+      const esJSON = (res.headers.get('content-type') || '').includes('json');
+      return { status: res.status, headers: res.headers, cuerpo: esJSON ? JSON.parse(texto) : texto };
+    }));
+}
+
+/**
+ * Arma el encabezado `Cookie` con las cookies que estableció una respuesta.
+ * @param {{headers: Headers}} respuesta - La respuesta.
+ * @returns {string} Las cookies, como `nombre=valor; ...`.
+ */
+function cookiesDe(respuesta) {
+  return respuesta.headers.getSetCookie().map((cookie) => cookie.split(';')[0]).join('; ');
+}
+
+module.exports = { iniciarApp, solicitar, cookiesDe };
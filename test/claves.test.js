@@ -0,0 +1,203 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { crearCliente, middleware, repositorioMemoria } = require('mbcj-oauth-sv');
+const { crearProveedorFalso, crearClaves } = require('mbcj-oauth-sv/testing');
+const { iniciarApp, solicitar } = require('./ayudantes');
+
+describe('claves desde un JWKS', () => {
+  let proveedor;
+  const nueva = crearClaves({ kid: 'nueva' });
+  const clientes = [];
+
+  /**
+   * Crea un cliente que toma las claves del `/jwks` del proveedor.
+   * @param {object} [extra] - Opciones adicionales.
+   * @returns {import('mbcj-oauth-sv').OAuthCliente}
+   */
+  function crearClienteJwks(extra) {
+    const cliente = crearCliente(proveedor.opcionesCliente({ logger: false, http: { reintentos: 0 }, ...extra }));
+    clientes.push(cliente);
+    return cliente;
+  }
+
+  const descargas = () => proveedor.solicitudes.filter((s) => s.ruta === '/jwks').length;
+
+  beforeEach(async () => {
+    proveedor = await crearProveedorFalso();
+  });
+
+  afterEach(async () => {
+    mock.timers.reset();
+    clientes.splice(0).forEach((cliente) => cliente.cerrar());
+    await proveedor.cerrar();
+  });
+
+  it('elige la clave por el kid del token', async () => {
+    proveedor.publicarClaves([proveedor.claves, nueva]);
+    const cliente = crearClienteJwks();
+    const conNueva = proveedor.tokens.firmar({ documento: '1' }, { claves: nueva });
+    assert.equal((await cliente.extraerDatosJWT(conNueva)).data.documento, '1');
+    assert.equal((await cliente.extraerDatosJWT(proveedor.tokens.firmar({ documento: '2' }))).data.documento, '2');
+
+    // Firmado con la clave original pero con el kid de la nueva: solo se prueba la clave de ese kid.
+    const kidAjeno = proveedor.tokens.firmar({ documento: '1' }, { kid: 'nueva' });
+    await assert.rejects(cliente.extraerDatosJWT(kidAjeno), { codigo: 'FIRMA_INVALIDA' });
+  });
+
+  it('rota las claves del proveedor y publica también las anteriores', async () => {
+    const cliente = crearClienteJwks();
+    const anterior = proveedor.claves;
+    const conAnterior = proveedor.tokens.firmar({ documento: '1' });
+
+    const rotadas = proveedor.rotarClaves({ kid: 'rotada' });
+    assert.equal(proveedor.claves, rotadas);
+    assert.equal(proveedor.tokens.claves, rotadas);
+    await cliente.recargarClave();
+    assert.deepEqual((await cliente.estadoClave()).claves.map((c) => c.kid), ['rotada', anterior.kid]);
+    assert.equal((await cliente.extraerDatosJWT(conAnterior)).data.documento, '1');
+    const conRotada = proveedor.tokens.firmar({ documento: '2' });
+    assert.equal(jwt.decode(conRotada, { complete: true }).header.kid, 'rotada');
+    assert.equal((await cliente.extraerDatosJWT(conRotada)).data.documento, '2');
+    // El proveedor sigue aceptando en sus rutas los tokens firmados con la clave anterior.
+    assert.equal((await cliente.http.get(`${proveedor.url}/cliente/obtener/datos/1`, {
+      params: { cliente_id: 'cliente-prueba' },
+      headers: { Authorization: `Bearer ${conAnterior}` },
+    })).data.status, 'ok');
+  });
+
+  it('vuelve a descargar el JWKS ante un kid desconocido, con un mínimo entre descargas', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const cliente = crearClienteJwks();
+    await cliente.extraerDatosJWT(proveedor.tokens.firmar({ documento: '1' }));
+    const antes = descargas();
+
+    proveedor.rotarClaves();
+    const conNueva = proveedor.tokens.firmar({ documento: '1' });
+    // Recién descargado, un kid desconocido no provoca otra descarga.
+    await assert.rejects(cliente.extraerDatosJWT(conNueva));
+    assert.equal(descargas(), antes);
+
+    mock.timers.tick(31 * 1000);
+    assert.equal((await cliente.extraerDatosJWT(conNueva)).data.documento, '1');
+    assert.equal(descargas(), antes + 1);
+  });
+
+  it('acepta las claves rotadas durante la ventana de gracia', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const cliente = crearClienteJwks({ graciaClaves: 60 * 1000 });
+    const conAnterior = proveedor.tokens.firmar({ documento: '1' }, { expiraEn: 3600 });
+    await cliente.extraerDatosJWT(conAnterior);
+
+    proveedor.rotarClaves({ kid: 'rotada' });
+    proveedor.publicarClaves([proveedor.claves]);
+    await cliente.recargarClave();
+    assert.equal((await cliente.extraerDatosJWT(conAnterior)).data.documento, '1');
+    assert.deepEqual((await cliente.estadoClave()).claves.map((c) => c.kid), ['rotada']);
+
+    mock.timers.tick(61 * 1000);
+    await assert.rejects(cliente.extraerDatosJWT(conAnterior));
+  });
+});
+
+describe('clave PEM remota', () => {
+  let proveedor;
+  let cliente;
+  let servidorClave;
+  let app;
+  let respuestaClave;
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    const aplicacionClave = express();
+    aplicacionClave.get('/clave', (req, res) => respuestaClave(res));
+    servidorClave = await iniciarApp(aplicacionClave);
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: false, jwksUrl: undefined, claveUrl: `${servidorClave.url}/clave` }));
+    const MW = middleware(repositorioMemoria([{ id: 1, documento: '1', activo: true, tipo_usuario_id: 3 }]), { cliente });
+    const aplicacion = express();
+    aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+    app = await iniciarApp(aplicacion);
+  });
+
+  after(async () => {
+    await app.cerrar();
+    await servidorClave.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  it('responde 503 mientras la clave no está disponible y la carga en el primer uso', async () => {
+    const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+    // Una página de error del proxy no se toma como clave.
+    respuestaClave = (res) => res.type('text/html').send('<html><body>Servicio no disponible</body></html>');
+    const sinClave = await solicitar(`${app.url}/protegida`, { token });
+    assert.equal(sinClave.status, 503);
+    assert.equal(sinClave.cuerpo.codigo, 'CLAVE_NO_DISPONIBLE');
+    await assert.rejects(cliente.recargarClave(), /formato PEM/);
+
+    respuestaClave = (res) => res.json({ status: 'ok' });
+    await assert.rejects(cliente.recargarClave(), /formato PEM/);
+
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    respuestaClave = (res) => res.type('application/x-pem-file').send(publicKey.export({ type: 'spki', format: 'pem' }));
+    await assert.rejects(cliente.recargarClave(), /EC P-256/);
+
+    respuestaClave = (res) => res.type('application/x-pem-file').send(proveedor.claves.publica);
+    await cliente.recargarClave();
+    const conClave = await solicitar(`${app.url}/protegida`, { token });
+    assert.equal(conClave.status, 200);
+    assert.equal(conClave.cuerpo.documento, '1');
+  });
+});
+
+describe('clave en un archivo vigilado', () => {
+  let proveedor;
+  let directorio;
+  let cliente;
+  let alRecargar = () => {};
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'mbcj-oauth-vigilada-'));
+    fs.writeFileSync(path.join(directorio, 'clave.pem'), proveedor.claves.publica);
+    cliente = crearCliente(proveedor.opcionesCliente({
+      logger: false,
+      jwksUrl: undefined,
+      claveDir: directorio,
+      claveArchivo: 'clave.pem',
+      alRecargarClave: (error) => alRecargar(error),
+    }));
+  });
+
+  after(async () => {
+    cliente.cerrar();
+    await proveedor.cerrar();
+    fs.rmSync(directorio, { recursive: true, force: true });
+  });
+
+  it('recarga la clave cuando se reemplaza el archivo', { timeout: 10 * 1000 }, async () => {
+    const anterior = proveedor.tokens.firmar({ documento: '1' });
+    assert.equal((await cliente.extraerDatosJWT(anterior)).data.documento, '1');
+
+    const rotadas = proveedor.rotarClaves();
+    const conRotada = proveedor.tokens.firmar({ documento: '2' });
+    const recargada = new Promise((resolve) => {
+      alRecargar = (error) => {
+        if (!error) resolve();
+      };
+    });
+    // Reemplazo atómico, como el de `mbcj-oauth-clave`: el archivo nunca queda a medio escribir.
+    const temporal = path.join(directorio, 'clave.pem.tmp');
+    fs.writeFileSync(temporal, rotadas.publica);
+    fs.renameSync(temporal, path.join(directorio, 'clave.pem'));
+    await recargada;
+
+    assert.equal((await cliente.extraerDatosJWT(conRotada)).data.documento, '2');
+    assert.equal((await cliente.estadoClave()).claves[0].huella, rotadas.huella);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { crearCliente, oauthRouter, repositorioMemoria } = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+const { iniciarApp, solicitar } = require('./ayudantes');
+
+describe('cliente HTTP del servicio OAuth', () => {
+  let proveedor;
+  let cliente;
+  let app;
+
+  beforeEach(async () => {
+    proveedor = await crearProveedorFalso();
+    cliente = crearCliente(proveedor.opcionesCliente({
+      logger: false,
+      http: { reintentos: 2, esperaBase: 50, esperaMaxima: 1000, circuito: { umbral: 3, espera: 30 * 1000 } },
+    }));
+    const aplicacion = express();
+    aplicacion.use(express.json());
+    aplicacion.use('/auth', oauthRouter(repositorioMemoria([{ id: 1, documento: '1', activo: true, tipo_usuario_id: 3 }]), { cliente }));
+    app = await iniciarApp(aplicacion);
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    mock.timers.reset();
+    await app.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  const llamadas = (ruta) => proveedor.solicitudes.filter((s) => s.ruta.startsWith(ruta)).length;
+  const circuito = () => cliente.http.estadoCircuitos()[proveedor.url];
+  const pedirDatos = () => solicitar(`${app.url}/auth/datos/5`, { token: proveedor.tokens.firmar({ documento: '1' }) });
+  const pedirToken = () => solicitar(`${app.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo: proveedor.emitirCodigo({ documento: '1' }) } });
+
+  it('reintenta GET /datos ante fallas del servicio, con espera exponencial', async () => {
+    // Sin la variación aleatoria, las esperas son exactamente 50 y 100 ms.
+    mock.method(Math, 'random', () => 1);
+    proveedor.fallar('/cliente/obtener/datos', { status: 503, veces: 2 });
+    const inicio = Date.now();
+    const respuesta = await pedirDatos();
+    assert.equal(respuesta.status, 200);
+    assert.equal(llamadas('/cliente/obtener/datos'), 3);
+    assert.ok(Date.now() - inicio >= 150);
+    assert.deepEqual(circuito(), { estado: 'cerrado', fallas: 0 });
+  });
+
+  it('agota los reintentos y responde el error del servicio', async () => {
+    proveedor.fallar('/cliente/obtener/datos', { status: 500, veces: 3 });
+    const respuesta = await pedirDatos();
+    assert.equal(respuesta.status, 502);
+    assert.equal(respuesta.cuerpo.codigo, 'PROVEEDOR_ERROR');
+    assert.equal(llamadas('/cliente/obtener/datos'), 3);
+  });
+
+  it('no reintenta POST /token si la solicitud llegó al servicio', async () => {
+    proveedor.fallar('/cliente/obtener/token', { status: 500 });
+    const fallida = await pedirToken();
+    assert.equal(fallida.status, 502);
+    assert.equal(fallida.cuerpo.codigo, 'PROVEEDOR_ERROR');
+    assert.equal(llamadas('/cliente/obtener/token'), 1);
+
+    assert.equal((await pedirToken()).status, 200);
+    assert.equal(circuito().estado, 'cerrado');
+  });
+
+  it('abre el circuito tras fallas seguidas y lo cierra con una prueba exitosa al vencer la espera', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    proveedor.fallar('/cliente/obtener/datos', { status: 503, veces: 3 });
+    assert.equal((await pedirDatos()).cuerpo.codigo, 'PROVEEDOR_ERROR');
+    assert.equal(circuito().estado, 'abierto');
+
+    // Con el circuito abierto, /datos y /token fallan sin llegar al servicio.
+    const antes = proveedor.solicitudes.length;
+    const datos = await pedirDatos();
+    assert.equal(datos.status, 503);
+    assert.equal(datos.cuerpo.codigo, 'PROVEEDOR_NO_DISPONIBLE');
+    assert.equal((await pedirToken()).cuerpo.codigo, 'PROVEEDOR_NO_DISPONIBLE');
+    assert.equal(proveedor.solicitudes.length, antes);
+
+    // Vencida la espera pasa una sola solicitud de prueba: si falla, el circuito vuelve a abrirse sin reintentos.
+    mock.timers.tick(31 * 1000);
+    proveedor.fallar('/cliente/obtener/token', { status: 500 });
+    assert.equal((await pedirToken()).cuerpo.codigo, 'PROVEEDOR_ERROR');
+    assert.equal(proveedor.solicitudes.length, antes + 1);
+    assert.equal(circuito().estado, 'abierto');
+
+    mock.timers.tick(31 * 1000);
+    assert.equal((await pedirDatos()).status, 200);
+    assert.deepEqual(circuito(), { estado: 'cerrado', fallas: 0 });
+  });
+});
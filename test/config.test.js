@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { crearCliente, oauthRouter, repositorioMemoria } = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+const { crearConfig } = require('../config');
+const { resolverCliente } = require('../cliente');
+
+describe('crearConfig', () => {
+  it('toma del entorno las opciones que no se pasan, interpretando su tipo', () => {
+    const config = crearConfig({
+      env: {
+        OAUTH_URL: 'https://oauth.ejemplo.gob.ar/api//',
+        OAUTH_ID: 'mi-app',
+        OAUTH_VALIDADO: 'true',
+        OAUTH_EMISOR: 'https://a.gob.ar, https://b.gob.ar',
+        OAUTH_TOLERANCIA_RELOJ: '30',
+      },
+    });
+    assert.equal(config.url, 'https://oauth.ejemplo.gob.ar/api');
+    assert.equal(config.clienteId, 'mi-app');
+    assert.equal(config.audiencia, 'mi-app');
+    assert.equal(config.requerirValidado, true);
+    assert.equal(config.reemplazarNombre, false);
+    assert.deepEqual(config.emisor, ['https://a.gob.ar', 'https://b.gob.ar']);
+    assert.equal(config.toleranciaReloj, 30);
+    assert.equal(config.clienteSecreto, undefined);
+    assert.ok(Object.isFrozen(config));
+    assert.equal(crearConfig({ env: { OAUTH_ID: 'mi-app', OAUTH_AUDIENCIA: 'FALSE' } }).audiencia, false);
+  });
+
+  it('usa process.env si no se indica env', () => {
+    const anterior = process.env.OAUTH_ID;
+    process.env.OAUTH_ID = 'desde-process-env';
+    try {
+      assert.equal(crearConfig().clienteId, 'desde-process-env');
+      assert.equal(crearConfig({ env: {} }).clienteId, undefined);
+    } finally {
+      if (anterior === undefined) delete process.env.OAUTH_ID;
+      else process.env.OAUTH_ID = anterior;
+    }
+  });
+
+  it('da prioridad a las opciones explícitas sobre el entorno', () => {
+    const env = { OAUTH_ID: 'del-entorno', OAUTH_VALIDADO: 'TRUE', OAUTH_TOLERANCIA_RELOJ: '30', OAUTH_AUDIENCIA: 'otra' };
+    const config = crearConfig({ env, clienteId: 'explicito', requerirValidado: false, toleranciaReloj: 0, audiencia: false });
+    assert.equal(config.clienteId, 'explicito');
+    assert.equal(config.requerirValidado, false);
+    assert.equal(config.toleranciaReloj, 0);
+    assert.equal(config.audiencia, false);
+  });
+
+  it('rechaza opciones con un tipo inválido y url que no sean http o https', () => {
+    assert.throws(() => crearConfig({ env: {}, clienteId: 5 }), { name: 'TypeError', message: "La opción 'clienteId' debe ser un texto" });
+    assert.throws(() => crearConfig({ env: {}, emisor: [1] }), /La opción 'emisor' debe ser un texto o una lista de textos/);
+    assert.throws(() => crearConfig({ env: { OAUTH_TOLERANCIA_RELOJ: '-1' } }), /La opción 'toleranciaReloj' debe ser un número no negativo/);
+    for (const url of ['oauth.ejemplo.gob.ar:8080', 'oauth.ejemplo.gob.ar', 'ftp://oauth.ejemplo.gob.ar']) {
+      assert.throws(() => crearConfig({ env: { OAUTH_URL: url } }), {
+        name: 'TypeError',
+        message: `La opción 'url' debe ser una URL http o https: '${url}'`,
+      });
+    }
+    assert.equal(crearConfig({ env: {}, url: 'http://localhost:3000/' }).url, 'http://localhost:3000');
+  });
+});
+
+describe('configuración incompleta', () => {
+  let proveedor;
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+  });
+
+  after(() => proveedor.cerrar());
+
+  it('crearCliente exige una fuente de la clave pública', () => {
+    assert.throws(() => crearCliente({ env: {} }), {
+      message: "Configuración incompleta para la verificación de tokens: falta 'jwksUrl' (OAUTH_JWKS_URL), "
+        + "'claveDir' y 'claveArchivo' (OAUTH_CLAVE_DIR, OAUTH_CLAVE_FILE) o 'claveUrl' (OAUTH_CLAVE_URL)",
+    });
+    assert.throws(() => crearCliente({ env: { OAUTH_CLAVE_DIR: '/app/claves' } }), {
+      message: "Configuración incompleta para la verificación de tokens: falta 'claveArchivo' (OAUTH_CLAVE_FILE)",
+    });
+  });
+
+  it('oauthRouter exige la url y las credenciales del cliente', () => {
+    const cliente = crearCliente(proveedor.opcionesCliente({ logger: false, url: undefined, clienteSecreto: undefined }));
+    try {
+      assert.throws(() => oauthRouter(repositorioMemoria([]), { cliente }), {
+        message: "Configuración incompleta para el router de OAuth: falta 'url' (OAUTH_URL), 'clienteSecreto' (OAUTH_SECRET)",
+      });
+    } finally {
+      cliente.cerrar();
+    }
+  });
+
+  it('resolverCliente usa el cliente recibido o crea uno con las opciones', () => {
+    const cliente = crearCliente(proveedor.opcionesCliente({ logger: false }));
+    const creado = resolverCliente(proveedor.opcionesCliente({ logger: false, clienteId: 'otra-app' }));
+    try {
+      assert.equal(resolverCliente({ cliente, clienteId: 'ignorado' }), cliente);
+      assert.notEqual(creado, cliente);
+      assert.equal(creado.config.clienteId, 'otra-app');
+      assert.throws(() => resolverCliente({ env: {} }), /Configuración incompleta para la verificación de tokens/);
+    } finally {
+      creado.cerrar();
+      cliente.cerrar();
+    }
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { crearCliente, middleware, oauthRouter, repositorioMemoria, loggerConsolaJSON } = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+const { iniciarApp, solicitar } = require('./ayudantes');
+
+describe('logger', () => {
+  let proveedor;
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+  });
+
+  after(() => proveedor.cerrar());
+
+  afterEach(() => mock.restoreAll());
+
+  /**
+   * Crea un cliente con el logger indicado, registra un evento de cada nivel y lo cierra.
+   * @param {*} logger - La opción `logger`.
+   */
+  function registrarNiveles(logger) {
+    const cliente = crearCliente(proveedor.opcionesCliente({ logger }));
+    cliente.eventos.registrar('acceso.denegado', 'warn', { codigo: 'TOKEN_REQUERIDO' });
+    cliente.eventos.registrar('clave.fallo', 'error', { codigo: 'CLAVE_NO_DISPONIBLE', detalle: 'sin conexión' });
+    cliente.cerrar();
+  }
+
+  it('por defecto escribe en la consola solo las fallas del servidor', () => {
+    const consola = mock.method(console, 'error', () => {});
+    registrarNiveles(undefined);
+    assert.equal(consola.mock.callCount(), 1);
+    assert.match(consola.mock.calls[0].arguments[0], /clave\.fallo: sin conexión/);
+  });
+
+  it('no registra nada con logger: false', () => {
+    const consola = mock.method(console, 'error', () => {});
+    registrarNiveles(false);
+    assert.equal(consola.mock.callCount(), 0);
+  });
+
+  it('pasa cada evento a un logger propio, a uno con la interfaz de pino o a loggerConsolaJSON', () => {
+    const recibidos = [];
+    registrarNiveles((evento) => recibidos.push(evento));
+    assert.deepEqual(recibidos.map(({ tipo, nivel }) => `${nivel} ${tipo}`), ['warn acceso.denegado', 'error clave.fallo']);
+    assert.ok(!Number.isNaN(Date.parse(recibidos[0].fecha)));
+
+    const pino = { info: mock.fn(), warn: mock.fn(), error: mock.fn() };
+    registrarNiveles(pino);
+    assert.deepEqual(pino.warn.mock.calls[0].arguments, [
+      { evento: 'acceso.denegado', fecha: pino.warn.mock.calls[0].arguments[0].fecha, codigo: 'TOKEN_REQUERIDO' },
+      'acceso.denegado',
+    ]);
+    assert.equal(pino.error.mock.callCount(), 1);
+
+    const lineas = [];
+    registrarNiveles(loggerConsolaJSON({ nivel: 'error', salida: { write: (linea) => lineas.push(linea) } }));
+    assert.equal(lineas.length, 1);
+    assert.equal(JSON.parse(lineas[0]).tipo, 'clave.fallo');
+  });
+
+  it('rechaza una opción logger inválida', () => {
+    assert.throws(() => crearCliente(proveedor.opcionesCliente({ logger: 42 })), /La opción 'logger'/);
+  });
+});
+
+describe('eventos de acceso y de límites', () => {
+  let proveedor;
+  let cliente;
+  let app;
+  const eventos = [];
+  const usuarios = [{ id: 1, documento: '1', activo: true, tipo_usuario_id: 3 }];
+  const almacenCaido = {
+    obtener: () => Promise.reject(new Error('sin conexión')),
+    guardar: () => Promise.reject(new Error('sin conexión')),
+    eliminar: () => Promise.reject(new Error('sin conexión')),
+  };
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: (evento) => eventos.push(evento), http: { reintentos: 0 } }));
+    const repositorio = repositorioMemoria(usuarios);
+    const bloqueos = middleware(repositorio, { cliente, limites: { solicitudes: false, fallos: { maximo: 1 } } });
+    const caido = middleware(repositorio, { cliente, limites: { almacen: almacenCaido } });
+    const aplicacion = express();
+    aplicacion.use(express.json());
+    aplicacion.get('/bloqueos', bloqueos.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+    aplicacion.get('/caido', caido.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+    aplicacion.use('/auth', oauthRouter(repositorio, { cliente, limites: { solicitudes: { maximo: 1 }, fallos: false } }));
+    app = await iniciarApp(aplicacion);
+  });
+
+  after(async () => {
+    await app.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  const delTipo = (tipo) => eventos.filter((evento) => evento.tipo === tipo);
+
+  it('registra acceso.denegado y acceso.bloqueado al rechazar y bloquear por fallos', async () => {
+    const falso = proveedor.tokens.conOtraClave({ documento: '1', tipo_usuario_id: 3 });
+    const rechazo = await solicitar(`${app.url}/bloqueos?x=1`, { token: falso, encabezados: { 'x-request-id': 'sol-1' } });
+    assert.equal(rechazo.status, 401);
+    const [denegado] = delTipo('acceso.denegado');
+    assert.equal(denegado.nivel, 'warn');
+    assert.equal(denegado.codigo, 'FIRMA_INVALIDA');
+    assert.equal(denegado.idSolicitud, 'sol-1');
+    assert.equal(denegado.metodo, 'GET');
+    assert.equal(denegado.ruta, '/bloqueos?x=1');
+    assert.equal(JSON.stringify(denegado).includes(falso), false);
+
+    const bloqueado = await solicitar(`${app.url}/bloqueos`, { token: proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }) });
+    assert.equal(bloqueado.status, 429);
+    assert.equal(bloqueado.cuerpo.codigo, 'ACCESO_BLOQUEADO');
+    const [bloqueo] = delTipo('acceso.bloqueado');
+    assert.equal(bloqueo.nivel, 'warn');
+    assert.match(bloqueo.clave, /^ip:/);
+    assert.equal(bloqueo.codigo, 'FIRMA_INVALIDA');
+    assert.ok(bloqueo.reintentarEn > 0);
+  });
+
+  it('registra limite.excedido una sola vez al superar el límite de solicitudes', async () => {
+    const token = proveedor.tokens.firmar({ documento: '1' });
+    assert.equal((await solicitar(`${app.url}/auth/datos/1`, { token })).status, 200);
+    const excedido = await solicitar(`${app.url}/auth/datos/1`, { token });
+    assert.equal(excedido.status, 429);
+    assert.ok(Number(excedido.headers.get('retry-after')) > 0);
+    await solicitar(`${app.url}/auth/datos/1`, { token });
+
+    const registrados = delTipo('limite.excedido');
+    assert.equal(registrados.length, 1);
+    assert.equal(registrados[0].codigo, 'DEMASIADAS_SOLICITUDES');
+    assert.equal(registrados[0].ruta, '/auth/datos/1');
+  });
+
+  it('registra limite.fallo y deja pasar la solicitud si el almacén de límites falla', async () => {
+    const respuesta = await solicitar(`${app.url}/caido`, { token: proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }) });
+    assert.equal(respuesta.status, 200);
+    const [fallo] = delTipo('limite.fallo');
+    assert.equal(fallo.nivel, 'error');
+    assert.equal(fallo.codigo, 'ERROR_INTERNO');
+    assert.match(fallo.detalle, /sin conexión/);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { crearLimitador, crearCacheMemoria } = require('mbcj-oauth-sv');
+
+describe('crearLimitador', () => {
+  it('rechaza las solicitudes que superan el máximo de la ventana', async () => {
+    const limitador = crearLimitador({ solicitudes: { maximo: 2, ventana: 60 * 1000 }, fallos: false });
+    assert.equal((await limitador.consultar(['ip:1'])).permitido, true);
+    assert.equal((await limitador.consultar(['ip:1'])).permitido, true);
+
+    const rechazo = await limitador.consultar(['ip:1']);
+    assert.equal(rechazo.permitido, false);
+    assert.equal(rechazo.limite, 'solicitudes');
+    assert.equal(rechazo.nuevo, true);
+    assert.ok(rechazo.espera > 0 && rechazo.espera <= 60 * 1000);
+    assert.equal((await limitador.consultar(['ip:1'])).nuevo, false);
+    assert.equal((await limitador.consultar(['ip:2'])).permitido, true);
+  });
+
+  it('bloquea una clave luego del máximo de fallos', async () => {
+    const limitador = crearLimitador({ solicitudes: false, fallos: { maximo: 2, bloqueo: 60 * 1000 } });
+    assert.deepEqual(await limitador.registrarFallo(['ip:1', 'documento:1']), []);
+    const bloqueadas = await limitador.registrarFallo(['ip:1']);
+    assert.deepEqual(bloqueadas, [{ clave: 'ip:1', espera: 60 * 1000 }]);
+
+    const rechazo = await limitador.consultar(['ip:1']);
+    assert.equal(rechazo.permitido, false);
+    assert.equal(rechazo.limite, 'bloqueo');
+    assert.equal((await limitador.consultar(['documento:1'])).permitido, true);
+  });
+
+  it('reinicia el bloqueo de una clave', async () => {
+    const limitador = crearLimitador({ solicitudes: false, fallos: { maximo: 1 } });
+    await limitador.registrarFallo(['ip:1']);
+    assert.equal((await limitador.consultar(['ip:1'])).permitido, false);
+    await limitador.reiniciar('ip:1');
+    assert.equal((await limitador.consultar(['ip:1'])).permitido, true);
+  });
+
+  it('consulta los bloqueos sin contar la solicitud', async () => {
+    const limitador = crearLimitador({ solicitudes: { maximo: 1 }, fallos: { maximo: 1 } });
+    assert.equal((await limitador.consultarBloqueo(['ip:1'])).permitido, true);
+    assert.equal((await limitador.consultar(['ip:1'])).permitido, true);
+    assert.equal((await limitador.consultarBloqueo(['ip:1'])).permitido, true);
+
+    await limitador.registrarFallo(['ip:1']);
+    assert.equal((await limitador.consultarBloqueo(['ip:1'])).limite, 'bloqueo');
+  });
+
+  it('no descarta los bloqueos vigentes al llenarse los contadores', async () => {
+    const limitador = crearLimitador({ solicitudes: { maximo: 100 }, fallos: { maximo: 1 } });
+    await limitador.registrarFallo(['ip:1']);
+    for (let i = 0; i < 10001; i += 1) await limitador.consultar([`ip:otra-${i}`]);
+    assert.equal((await limitador.consultar(['ip:1'])).limite, 'bloqueo');
+  });
+
+  it('guarda los bloqueos en almacenBloqueos', async () => {
+    const almacenBloqueos = crearCacheMemoria();
+    const limitador = crearLimitador({ almacen: crearCacheMemoria({ maximo: 1 }), almacenBloqueos, fallos: { maximo: 1 } });
+    await limitador.registrarFallo(['ip:1']);
+    assert.ok(await almacenBloqueos.obtener('bloqueo:ip:1'));
+  });
+});
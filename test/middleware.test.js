@@ -0,0 +1,404 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const {
+  crearCliente, middleware, repositorioMemoria, hashearCredencial, crearRevocaciones,
+} = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+const { iniciarApp, solicitar } = require('./ayudantes');
+
+describe('validarUsuarioMW', () => {
+  let proveedor;
+  let cliente;
+  let app;
+  const usuarios = [
+    { id: 1, documento: '1', activo: true, tipo_usuario_id: 3, nombre: 'PAZ, ANA' },
+    { id: 2, documento: '2', activo: false, tipo_usuario_id: 3, nombre: 'GIL, EVA' },
+  ];
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: false }));
+    const MW = middleware(repositorioMemoria(usuarios), { cliente });
+    const aplicacion = express();
+    aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+    aplicacion.get('/admin', MW.validarUsuarioMW([1]), (req, res) => res.json(req.user));
+    aplicacion.get('/opcional', MW.validarUsuarioMW(null, false), (req, res) => res.json({ user: req.user }));
+    app = await iniciarApp(aplicacion);
+  });
+
+  after(async () => {
+    await app.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  function codigoDe(respuesta) {
+    return `${respuesta.status} ${respuesta.cuerpo.codigo}`;
+  }
+
+  it('acepta un token válido y expone sus datos en req.user', async () => {
+    const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+    const respuesta = await solicitar(`${app.url}/protegida`, { token });
+    assert.equal(respuesta.status, 200);
+    assert.deepEqual(respuesta.cuerpo, { documento: '1', tipo_usuario_id: 3 });
+  });
+
+  it('rechaza la solicitud sin token', async () => {
+    assert.equal(codigoDe(await solicitar(`${app.url}/protegida`)), '401 TOKEN_REQUERIDO');
+  });
+
+  it('permite continuar sin token si no es requerido', async () => {
+    const respuesta = await solicitar(`${app.url}/opcional`);
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.cuerpo.user, null);
+  });
+
+  it('rechaza tokens vencidos', async () => {
+    const token = proveedor.tokens.expirado({ documento: '1', tipo_usuario_id: 3 });
+    assert.equal(codigoDe(await solicitar(`${app.url}/protegida`, { token })), '401 TOKEN_EXPIRADO');
+  });
+
+  it('rechaza tokens firmados con otra clave', async () => {
+    const token = proveedor.tokens.conOtraClave({ documento: '1', tipo_usuario_id: 3 });
+    assert.equal(codigoDe(await solicitar(`${app.url}/protegida`, { token })), '401 FIRMA_INVALIDA');
+  });
+
+  it('rechaza tokens emitidos para otra audiencia', async () => {
+    const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }, { audiencia: 'otra-aplicacion' });
+    assert.equal(codigoDe(await solicitar(`${app.url}/protegida`, { token })), '401 AUDIENCIA_INVALIDA');
+  });
+
+  it('rechaza tokens sin documento', async () => {
+    const token = proveedor.tokens.firmar({ tipo_usuario_id: 3 });
+    assert.equal(codigoDe(await solicitar(`${app.url}/protegida`, { token })), '401 DATOS_INVALIDOS');
+  });
+
+  it('rechaza usuarios inactivos o inexistentes', async () => {
+    const inactivo = proveedor.tokens.firmar({ documento: '2', tipo_usuario_id: 3 });
+    const inexistente = proveedor.tokens.firmar({ documento: '9', tipo_usuario_id: 3 });
+    assert.equal(codigoDe(await solicitar(`${app.url}/protegida`, { token: inactivo })), '403 USUARIO_INACTIVO');
+    assert.equal(codigoDe(await solicitar(`${app.url}/protegida`, { token: inexistente })), '403 USUARIO_NO_ENCONTRADO');
+  });
+
+  it('rechaza tipos de usuario no permitidos', async () => {
+    const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+    assert.equal(codigoDe(await solicitar(`${app.url}/admin`, { token })), '403 SIN_PERMISO');
+  });
+
+  describe('limites', () => {
+    let appLimites;
+
+    before(async () => {
+      const MW = middleware(repositorioMemoria(usuarios), {
+        cliente,
+        limites: { solicitudes: { maximo: 2 }, fallos: { maximo: 2 } },
+      });
+      const aplicacion = express();
+      aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      appLimites = await iniciarApp(aplicacion);
+    });
+
+    after(() => appLimites.cerrar());
+
+    it('no cuenta las solicitudes autenticadas, solo los fallos', async () => {
+      const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+      for (let i = 0; i < 4; i += 1) {
+        assert.equal((await solicitar(`${appLimites.url}/protegida`, { token })).status, 200);
+      }
+
+      const invalido = proveedor.tokens.conOtraClave({ documento: '1', tipo_usuario_id: 3 });
+      assert.equal(codigoDe(await solicitar(`${appLimites.url}/protegida`, { token: invalido })), '401 FIRMA_INVALIDA');
+      assert.equal(codigoDe(await solicitar(`${appLimites.url}/protegida`, { token: invalido })), '401 FIRMA_INVALIDA');
+      // La IP quedó bloqueada: se rechaza sin verificar el token.
+      assert.equal(codigoDe(await solicitar(`${appLimites.url}/protegida`, { token })), '429 ACCESO_BLOQUEADO');
+    });
+  });
+
+  describe('formato de errores', () => {
+    let appErrores;
+
+    before(async () => {
+      const rfc = middleware(repositorioMemoria(usuarios), { cliente, errores: { rfc7807: true } });
+      const personalizado = middleware(repositorioMemoria(usuarios), {
+        cliente,
+        errores: {
+          rfc7807: true,
+          personalizar: (cuerpo, error, req) => ({ ...cuerpo, type: `https://app.local/errores/${error.codigo}`, metodo: req.method }),
+        },
+      });
+      const clasico = middleware(repositorioMemoria(usuarios), {
+        cliente,
+        errores: { personalizar: (cuerpo, error) => ({ ...cuerpo, reintentar: error.status >= 500 }) },
+      });
+      const aplicacion = express();
+      aplicacion.get('/rfc', rfc.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      aplicacion.get('/personalizado', personalizado.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      aplicacion.get('/clasico', clasico.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      appErrores = await iniciarApp(aplicacion);
+    });
+
+    after(() => appErrores.cerrar());
+
+    it('responde application/problem+json con la opción rfc7807', async () => {
+      const respuesta = await solicitar(`${appErrores.url}/rfc?pagina=2`);
+      assert.equal(respuesta.status, 401);
+      assert.match(respuesta.headers.get('content-type'), /^application\/problem\+json/);
+      assert.deepEqual(respuesta.cuerpo, {
+        type: 'about:blank',
+        title: 'Unauthorized',
+        status: 401,
+        detail: respuesta.cuerpo.detail,
+        instance: '/rfc?pagina=2',
+        codigo: 'TOKEN_REQUERIDO',
+      });
+      assert.equal(typeof respuesta.cuerpo.detail, 'string');
+    });
+
+    it('aplica personalizar sobre el cuerpo armado, con el error y la solicitud', async () => {
+      const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 1 });
+      const personalizado = await solicitar(`${appErrores.url}/personalizado`, { token });
+      assert.equal(personalizado.status, 403);
+      assert.match(personalizado.headers.get('content-type'), /^application\/problem\+json/);
+      assert.equal(personalizado.cuerpo.type, 'https://app.local/errores/SIN_PERMISO');
+      assert.equal(personalizado.cuerpo.metodo, 'GET');
+      assert.equal(personalizado.cuerpo.status, 403);
+
+      const clasico = await solicitar(`${appErrores.url}/clasico`, { token: proveedor.tokens.expirado({ documento: '1' }) });
+      assert.match(clasico.headers.get('content-type'), /^application\/json/);
+      assert.deepEqual(clasico.cuerpo, { status: 'error', error: clasico.cuerpo.error, codigo: 'TOKEN_EXPIRADO', reintentar: false });
+    });
+  });
+
+  describe('revocaciones', () => {
+    let appRevocaciones;
+    const revocaciones = crearRevocaciones();
+
+    before(async () => {
+      const MW = middleware(repositorioMemoria(usuarios), { cliente, revocaciones });
+      const aplicacion = express();
+      aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      appRevocaciones = await iniciarApp(aplicacion);
+    });
+
+    after(() => appRevocaciones.cerrar());
+
+    it('rechaza un token revocado por su jti', async () => {
+      const perdido = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }, { claims: { jti: 'perdido' } });
+      const otro = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }, { claims: { jti: 'otro' } });
+      await revocaciones.revocarToken('perdido');
+      assert.equal(codigoDe(await solicitar(`${appRevocaciones.url}/protegida`, { token: perdido })), '401 TOKEN_REVOCADO');
+      assert.equal((await solicitar(`${appRevocaciones.url}/protegida`, { token: otro })).status, 200);
+    });
+
+    it('rechaza los tokens de un documento emitidos antes de revocarlo', async () => {
+      const ahora = Math.floor(Date.now() / 1000);
+      const anterior = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }, { claims: { iat: ahora - 60 } });
+      await revocaciones.revocarDocumento('1', new Date((ahora - 30) * 1000));
+      assert.equal(codigoDe(await solicitar(`${appRevocaciones.url}/protegida`, { token: anterior })), '401 TOKEN_REVOCADO');
+
+      const posterior = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+      assert.equal((await solicitar(`${appRevocaciones.url}/protegida`, { token: posterior })).status, 200);
+    });
+
+    it('responde 503 si no puede consultar las revocaciones', async () => {
+      const almacen = { obtener: () => Promise.reject(new Error('sin conexión')) };
+      const MW = middleware(repositorioMemoria(usuarios), { cliente, revocaciones: crearRevocaciones({ almacen }) });
+      const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+      await assert.rejects(MW.validarUsuario(token), { codigo: 'REVOCACION_NO_DISPONIBLE', status: 503 });
+    });
+  });
+
+  describe('credenciales de servicio', () => {
+    let appServicio;
+    const usos = [];
+
+    before(async () => {
+      const MW = middleware(repositorioMemoria(usuarios), {
+        cliente,
+        credencialesServicio: [
+          { nombre: 'tareas', hash: hashearCredencial('clave-tareas'), tipo_usuario_id: 3 },
+          { nombre: 'vieja', hash: hashearCredencial('clave-vieja'), expira: '2020-01-01' },
+        ],
+        auditarCredencial: (uso) => usos.push(uso),
+      });
+      const aplicacion = express();
+      aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      appServicio = await iniciarApp(aplicacion);
+    });
+
+    after(() => appServicio.cerrar());
+
+    it('acepta la clave de un servicio y audita su uso', async () => {
+      const respuesta = await solicitar(`${appServicio.url}/protegida`, { token: 'clave-tareas' });
+      assert.equal(respuesta.status, 200);
+      assert.equal(respuesta.cuerpo.tipo_usuario_id, 3);
+      assert.deepEqual(usos.map(({ nombre, resultado }) => ({ nombre, resultado })), [{ nombre: 'tareas', resultado: 'aceptada' }]);
+    });
+
+    it('rechaza las credenciales vencidas o desconocidas', async () => {
+      assert.equal(codigoDe(await solicitar(`${appServicio.url}/protegida`, { token: 'clave-vieja' })), '401 CREDENCIAL_EXPIRADA');
+      assert.equal(codigoDe(await solicitar(`${appServicio.url}/protegida`, { token: 'clave-otra' })), '401 TOKEN_INVALIDO');
+      assert.equal(usos.at(-1).nombre, 'vieja');
+    });
+  });
+
+  describe('cookie de sesión', () => {
+    let appCookie;
+
+    before(async () => {
+      const MW = middleware(repositorioMemoria(usuarios), { cliente, cookie: true });
+      const aplicacion = express();
+      aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      aplicacion.post('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      appCookie = await iniciarApp(aplicacion);
+    });
+
+    after(() => appCookie.cerrar());
+
+    it('acepta el token desde la cookie y exige el token CSRF en los métodos que modifican estado', async () => {
+      const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+      const cookie = `mbcj_token=${token}; mbcj_csrf=csrf-prueba`;
+      assert.equal((await solicitar(`${appCookie.url}/protegida`, { cookie })).status, 200);
+      assert.equal(codigoDe(await solicitar(`${appCookie.url}/protegida`, { metodo: 'POST', cookie })), '403 CSRF_INVALIDO');
+
+      const otro = { 'x-csrf-token': 'otro' };
+      assert.equal(codigoDe(await solicitar(`${appCookie.url}/protegida`, { metodo: 'POST', cookie, encabezados: otro })), '403 CSRF_INVALIDO');
+
+      const propio = { 'x-csrf-token': 'csrf-prueba' };
+      const respuesta = await solicitar(`${appCookie.url}/protegida`, { metodo: 'POST', cookie, encabezados: propio });
+      assert.equal(respuesta.status, 200);
+      assert.equal(respuesta.cuerpo.documento, '1');
+    });
+  });
+
+  describe('cache de usuarios', () => {
+    it('consulta el repositorio una vez por usuario hasta invalidarlo', async () => {
+      const filas = [{ id: 1, documento: '1', activo: true, tipo_usuario_id: 3 }];
+      const repositorio = repositorioMemoria(filas);
+      let consultas = 0;
+      const MW = middleware({
+        ...repositorio,
+        estaActivo: (documento) => {
+          consultas += 1;
+          return repositorio.estaActivo(documento);
+        },
+      }, { cliente, cacheUsuarios: true });
+      const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+
+      await MW.validarUsuario(token);
+      await MW.validarUsuario(token);
+      assert.equal(consultas, 1);
+      assert.deepEqual(MW.estadisticasCache(), { aciertos: 1, fallos: 1 });
+
+      filas[0].activo = false;
+      await MW.invalidarUsuario('1');
+      await assert.rejects(MW.validarUsuario(token), { codigo: 'USUARIO_INACTIVO' });
+      assert.equal(consultas, 2);
+    });
+  });
+
+  describe('metricas', () => {
+    it('cuenta las validaciones y las verificaciones por resultado', async () => {
+      const conMetricas = crearCliente(proveedor.opcionesCliente({ logger: false, metricas: true }));
+      const MW = middleware(repositorioMemoria(usuarios), { cliente: conMetricas });
+      const aplicacion = express();
+      aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      aplicacion.get('/metricas', conMetricas.metricas.ruta());
+      const appMetricas = await iniciarApp(aplicacion);
+      try {
+        await solicitar(`${appMetricas.url}/protegida`, { token: proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }) });
+        await solicitar(`${appMetricas.url}/protegida`, { token: proveedor.tokens.expirado({ documento: '1' }) });
+
+        const { status, cuerpo } = await solicitar(`${appMetricas.url}/metricas`);
+        assert.equal(status, 200);
+        assert.match(cuerpo, /^mbcj_oauth_validacion_total\{resultado="exito"\} 1$/m);
+        assert.match(cuerpo, /^mbcj_oauth_validacion_total\{resultado="error",codigo="TOKEN_EXPIRADO"\} 1$/m);
+        assert.match(cuerpo, /^mbcj_oauth_verificacion_total\{resultado="exito"\} 1$/m);
+        assert.match(cuerpo, /^mbcj_oauth_validacion_duracion_segundos_count\{resultado="exito"\} 1$/m);
+      } finally {
+        await appMetricas.cerrar();
+        conMetricas.cerrar();
+      }
+    });
+  });
+
+  describe('aviso de expiración', () => {
+    it('informa los segundos restantes y pide renovar cerca del exp', async () => {
+      const MW = middleware(repositorioMemoria(usuarios), { cliente, avisoExpiracion: 5 * 60 });
+      const aplicacion = express();
+      aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      const appAviso = await iniciarApp(aplicacion);
+      try {
+        const lejano = await solicitar(`${appAviso.url}/protegida`, { token: proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }) });
+        assert.equal(lejano.status, 200);
+        assert.ok(Number(lejano.headers.get('x-token-expira-en')) > 3500);
+        assert.equal(lejano.headers.get('x-token-renovar'), null);
+
+        const cercano = await solicitar(`${appAviso.url}/protegida`, { token: proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }, { expiraEn: 120 }) });
+        assert.equal(cercano.status, 200);
+        assert.ok(Number(cercano.headers.get('x-token-expira-en')) <= 120);
+        assert.equal(cercano.headers.get('x-token-renovar'), 'true');
+
+        // Sin la opción, no se agregan los encabezados.
+        const sinAviso = await solicitar(`${app.url}/protegida`, { token: proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 }, { expiraEn: 120 }) });
+        assert.equal(sinAviso.headers.get('x-token-expira-en'), null);
+        assert.equal(sinAviso.headers.get('x-token-renovar'), null);
+      } finally {
+        await appAviso.cerrar();
+      }
+    });
+  });
+
+  describe('validación de claims', () => {
+    let conClaims;
+    let appClaims;
+    const emisor = 'https://oauth.ejemplo.gob.ar';
+
+    before(async () => {
+      conClaims = crearCliente(proveedor.opcionesCliente({
+        logger: false,
+        emisor,
+        toleranciaReloj: 30,
+        esquemaDatos: { documento: 'string', tipo_usuario_id: 'number', area_id: { tipo: 'number', opcional: true } },
+      }));
+      const MW = middleware(repositorioMemoria(usuarios), { cliente: conClaims });
+      const aplicacion = express();
+      aplicacion.get('/protegida', MW.validarUsuarioMW([3]), (req, res) => res.json(req.user));
+      appClaims = await iniciarApp(aplicacion);
+    });
+
+    after(async () => {
+      await appClaims.cerrar();
+      conClaims.cerrar();
+    });
+
+    const firmar = (datos, opciones) => proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3, ...datos }, { emisor, ...opciones });
+    const pedir = (token) => solicitar(`${appClaims.url}/protegida`, { token })
+      .then((respuesta) => (respuesta.status === 200 ? 'ok' : codigoDe(respuesta)));
+
+    it('rechaza tokens de otro emisor o sin iss', async () => {
+      assert.equal(await pedir(firmar({})), 'ok');
+      assert.equal(await pedir(firmar({}, { emisor: 'https://otro.ejemplo.gob.ar' })), '401 EMISOR_INVALIDO');
+      assert.equal(await pedir(proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 })), '401 EMISOR_INVALIDO');
+    });
+
+    it('acepta exp y nbf dentro de la tolerancia del reloj y los rechaza fuera de ella', async () => {
+      assert.equal(await pedir(firmar({}, { expiraEn: -10 })), 'ok');
+      assert.equal(await pedir(firmar({}, { expiraEn: -60 })), '401 TOKEN_EXPIRADO');
+      assert.equal(await pedir(firmar({}, { noAntes: 10 })), 'ok');
+      assert.equal(await pedir(firmar({}, { noAntes: 60 })), '401 TOKEN_NO_VIGENTE');
+    });
+
+    it('rechaza los datos que no cumplen esquemaDatos', async () => {
+      assert.equal(await pedir(firmar({ area_id: 4 })), 'ok');
+      assert.equal(await pedir(firmar({ documento: 1 })), '401 DATOS_INVALIDOS');
+      assert.equal(await pedir(firmar({ tipo_usuario_id: undefined })), '401 DATOS_INVALIDOS');
+      assert.equal(await pedir(firmar({ area_id: '4' })), '401 DATOS_INVALIDOS');
+      await assert.rejects(conClaims.extraerDatosJWT(firmar({ area_id: '4' })), {
+        codigo: 'DATOS_INVALIDOS',
+        message: "Datos del token inválidos: 'area_id' debe ser de tipo number",
+      });
+    });
+  });
+});
@@ -0,0 +1,385 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { crearCliente, oauthRouter, repositorioMemoria, verificarToken } = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+const { iniciarApp, solicitar, cookiesDe } = require('./ayudantes');
+
+describe('oauthRouter', () => {
+  let proveedor;
+  let cliente;
+  let app;
+  const usuarios = [
+    { id: 1, documento: '1', activo: true, tipo_usuario_id: 3, nombre: 'PAZ, ANA' },
+    { id: 2, documento: '2', activo: false, tipo_usuario_id: 3, nombre: 'GIL, EVA' },
+  ];
+
+  before(async () => {
+    proveedor = await crearProveedorFalso({
+      personas: [{ documento: '1', nombre: 'Ana', apellidos: 'Paz', validado: true }],
+    });
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: false, http: { reintentos: 0 }, metricas: true }));
+    const repositorio = repositorioMemoria(usuarios);
+    const aplicacion = express();
+    aplicacion.use(express.json());
+    aplicacion.use('/auth', oauthRouter(repositorio, {
+      cliente,
+      login: { urlCallback: 'http://app.local/auth/callback' },
+    }));
+    aplicacion.use('/alta', oauthRouter(repositorio, { cliente, provision: { tipo_usuario_id: 4, activo: true } }));
+    app = await iniciarApp(aplicacion);
+  });
+
+  after(async () => {
+    await app.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  describe('POST /token', () => {
+    it('canjea un código por el token del servicio OAuth', async () => {
+      const codigo = proveedor.emitirCodigo({ documento: '1' });
+      const respuesta = await solicitar(`${app.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+      assert.equal(respuesta.status, 200);
+      assert.equal(jwt.decode(respuesta.cuerpo.token).data.documento, '1');
+      const canje = proveedor.solicitudes.find((s) => s.ruta === '/cliente/obtener/token' && s.cuerpo.codigo === codigo);
+      assert.equal(canje.cuerpo.cliente_secreto, 'secreto-prueba');
+    });
+
+    it('rechaza un código ya usado', async () => {
+      const codigo = proveedor.emitirCodigo({ documento: '1' });
+      await solicitar(`${app.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+      const respuesta = await solicitar(`${app.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+      assert.equal(respuesta.status, 401);
+      assert.equal(respuesta.cuerpo.codigo, 'PROVEEDOR_RECHAZO');
+    });
+
+    it('exige el código', async () => {
+      const respuesta = await solicitar(`${app.url}/auth/token`, { metodo: 'POST', cuerpo: {} });
+      assert.equal(respuesta.status, 400);
+      assert.equal(respuesta.cuerpo.codigo, 'CODIGO_REQUERIDO');
+    });
+
+    it('rechaza a los usuarios que no existen localmente', async () => {
+      const codigo = proveedor.emitirCodigo({ documento: '9' });
+      const respuesta = await solicitar(`${app.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+      assert.equal(respuesta.status, 403);
+      assert.equal(respuesta.cuerpo.codigo, 'USUARIO_NO_ENCONTRADO');
+    });
+  });
+
+  describe('GET /datos/:permiso_id', () => {
+    it('combina los datos del servicio OAuth con el usuario local', async () => {
+      const token = proveedor.tokens.firmar({ documento: '1' });
+      const respuesta = await solicitar(`${app.url}/auth/datos/5`, { token });
+      assert.equal(respuesta.status, 200);
+      assert.deepEqual(respuesta.cuerpo, {
+        status: 'ok',
+        datos: { persona: { documento: '1', nombre: 'Ana', apellidos: 'Paz', validado: true } },
+        tipo_usuario_id: 3,
+        id: 1,
+      });
+    });
+
+    it('informa las fallas del servicio OAuth con el estado 502', async () => {
+      proveedor.fallar('/cliente/obtener/datos');
+      const token = proveedor.tokens.firmar({ documento: '1' });
+      const respuesta = await solicitar(`${app.url}/auth/datos/5`, { token });
+      assert.equal(respuesta.status, 502);
+      assert.equal(respuesta.cuerpo.codigo, 'PROVEEDOR_ERROR');
+    });
+  });
+
+  describe('GET /nuevo-token', () => {
+    it('pide un token enriquecido con los datos locales', async () => {
+      const token = proveedor.tokens.firmar({ documento: '1' });
+      const respuesta = await solicitar(`${app.url}/auth/nuevo-token`, { token });
+      assert.equal(respuesta.status, 200);
+      const { data } = jwt.decode(respuesta.cuerpo.nuevoToken);
+      assert.equal(data.documento, '1');
+      assert.equal(data.tipo_usuario_id, 3);
+    });
+  });
+
+  describe('GET /login y GET /callback', () => {
+    /**
+     * Inicia un login y obtiene del proveedor la URL de regreso a `/callback`.
+     * @returns {Promise<{callback: string, cookie: string}>} La URL y la cookie que vincula el `state` al navegador.
+     */
+    async function iniciarLogin() {
+      const login = await solicitar(`${app.url}/auth/login?retorno=/inicio`);
+      assert.equal(login.status, 302);
+      proveedor.autorizarComo({ documento: '1' });
+      const autorizacion = await solicitar(login.headers.get('location'));
+      const callback = new URL(autorizacion.headers.get('location'));
+      assert.equal(callback.pathname, '/auth/callback');
+      return { callback: `${app.url}${callback.pathname}${callback.search}`, cookie: cookiesDe(login) };
+    }
+
+    it('completa el flujo de autorización con PKCE', async () => {
+      const { callback, cookie } = await iniciarLogin();
+      assert.match(cookie, /^mbcj_login=/);
+
+      const respuesta = await solicitar(callback, { cookie });
+      assert.equal(respuesta.status, 302);
+      const destino = respuesta.headers.get('location');
+      assert.match(destino, /^\/inicio#token=/);
+      assert.match(respuesta.headers.getSetCookie()[0], /^mbcj_login=;/);
+      const canje = proveedor.solicitudes.filter((s) => s.ruta === '/cliente/obtener/token').pop();
+      assert.ok(canje.cuerpo.code_verifier);
+    });
+
+    it('vincula el state al navegador con una cookie HttpOnly y SameSite=Lax', async () => {
+      const login = await solicitar(`${app.url}/auth/login`);
+      const [cookie] = login.headers.getSetCookie();
+      assert.match(cookie, /HttpOnly/);
+      assert.match(cookie, /SameSite=Lax/);
+      assert.match(cookie, /Path=\/auth\/callback/);
+      assert.doesNotMatch(cookie, new RegExp(new URL(login.headers.get('location')).searchParams.get('state')));
+    });
+
+    it('rechaza el callback abierto en otro navegador (sin la cookie del login)', async () => {
+      const { callback, cookie } = await iniciarLogin();
+      const ajeno = await solicitar(callback);
+      assert.equal(ajeno.status, 302);
+      assert.match(ajeno.headers.get('location'), /codigo=STATE_INVALIDO/);
+
+      const otraCookie = cookiesDe(await solicitar(`${app.url}/auth/login`));
+      const conOtraCookie = await solicitar(callback, { cookie: otraCookie });
+      assert.match(conOtraCookie.headers.get('location'), /codigo=STATE_INVALIDO/);
+
+      // El state no se consumió: el navegador que inició el login todavía puede completarlo.
+      const propio = await solicitar(callback, { cookie });
+      assert.match(propio.headers.get('location'), /^\/inicio#token=/);
+    });
+
+    it('rechaza un state desconocido', async () => {
+      const respuesta = await solicitar(`${app.url}/auth/callback?codigo=x&state=desconocido`);
+      assert.equal(respuesta.status, 302);
+      assert.match(respuesta.headers.get('location'), /codigo=STATE_INVALIDO/);
+    });
+  });
+
+  describe('provision', () => {
+    it('da de alta al usuario en su primer ingreso', async () => {
+      proveedor.agregarPersona({ documento: '7', nombre: 'Luz', apellidos: 'Sosa', validado: true });
+      const codigo = proveedor.emitirCodigo({ documento: '7' });
+      const respuesta = await solicitar(`${app.url}/alta/token`, { metodo: 'POST', cuerpo: { codigo } });
+      assert.equal(respuesta.status, 200);
+      const creado = usuarios.find((usuario) => usuario.documento === '7');
+      assert.equal(creado.nombre, 'SOSA, LUZ');
+      assert.equal(creado.tipo_usuario_id, 4);
+    });
+
+    it('da de alta con los campos de mapear y rechaza a quien no es elegible', async () => {
+      const filas = [];
+      const mapear = (persona) => (persona.validado ? { nombre: persona.nombre, tipo_usuario_id: 5, activo: true } : null);
+      const aplicacion = express();
+      aplicacion.use(express.json());
+      aplicacion.use('/auth', oauthRouter(repositorioMemoria(filas), { cliente, provision: { tipo_usuario_id: 4, mapear } }));
+      const appMapear = await iniciarApp(aplicacion);
+      try {
+        proveedor.agregarPersona({ documento: '8', nombre: 'Teo', apellidos: 'Vera', validado: true });
+        proveedor.agregarPersona({ documento: '9', nombre: 'Ema', apellidos: 'Rey', validado: false });
+
+        const alta = await solicitar(`${appMapear.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo: proveedor.emitirCodigo({ documento: '8' }) } });
+        assert.equal(alta.status, 200);
+        assert.deepEqual(filas.map(({ documento, nombre, tipo_usuario_id, activo }) => ({ documento, nombre, tipo_usuario_id, activo })),
+          [{ documento: '8', nombre: 'Teo', tipo_usuario_id: 5, activo: true }]);
+
+        const rechazo = await solicitar(`${appMapear.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo: proveedor.emitirCodigo({ documento: '9' }) } });
+        assert.equal(rechazo.cuerpo.codigo, 'USUARIO_NO_ENCONTRADO');
+        assert.equal(filas.length, 1);
+      } finally {
+        await appMapear.cerrar();
+      }
+    });
+
+    it('sincroniza los campos de mapear en cada ingreso, y activo y tipo_usuario_id solo si se nombran', async () => {
+      const filas = [{ id: 1, documento: '11', activo: true, tipo_usuario_id: 3, email: 'viejo@correo' }];
+      const mapear = (persona) => ({ email: persona.email, activo: false, tipo_usuario_id: 9 });
+      const aplicacion = express();
+      aplicacion.use('/todos', oauthRouter(repositorioMemoria(filas), { cliente, provision: { tipo_usuario_id: 4, mapear, sincronizar: true } }));
+      aplicacion.use('/lista', oauthRouter(repositorioMemoria(filas), { cliente, provision: { tipo_usuario_id: 4, mapear, sincronizar: ['tipo_usuario_id'] } }));
+      const appSincronizar = await iniciarApp(aplicacion);
+      try {
+        proveedor.agregarPersona({ documento: '11', nombre: 'Noe', apellidos: 'Luna', validado: true, email: 'nuevo@correo' });
+        const token = proveedor.tokens.firmar({ documento: '11' });
+
+        assert.equal((await solicitar(`${appSincronizar.url}/todos/datos/1`, { token })).status, 200);
+        assert.equal(filas[0].email, 'nuevo@correo');
+        assert.equal(filas[0].activo, true);
+        assert.equal(filas[0].tipo_usuario_id, 3);
+
+        proveedor.agregarPersona({ documento: '11', nombre: 'Noe', apellidos: 'Luna', validado: true, email: 'otro@correo' });
+        assert.equal((await solicitar(`${appSincronizar.url}/lista/datos/1`, { token })).status, 200);
+        assert.equal(filas[0].tipo_usuario_id, 9);
+        assert.equal(filas[0].email, 'nuevo@correo');
+        assert.equal(filas[0].activo, true);
+      } finally {
+        await appSincronizar.cerrar();
+      }
+    });
+  });
+
+  describe('POST /refresh', () => {
+    let proveedorRefresh;
+    let clienteRefresh;
+    let appRefresh;
+
+    before(async () => {
+      proveedorRefresh = await crearProveedorFalso({ refresh: true, expiraEn: 2 });
+      clienteRefresh = crearCliente(proveedorRefresh.opcionesCliente({ logger: false, http: { reintentos: 0 }, metricas: true }));
+      const aplicacion = express();
+      aplicacion.use(express.json());
+      aplicacion.use('/auth', oauthRouter(repositorioMemoria(usuarios), { cliente: clienteRefresh, refresh: true }));
+      appRefresh = await iniciarApp(aplicacion);
+    });
+
+    after(async () => {
+      await appRefresh.cerrar();
+      await proveedorRefresh.cerrar();
+      clienteRefresh.cerrar();
+    });
+
+    it('renueva la sesión aunque el token de acceso ya haya expirado', async () => {
+      const codigo = proveedorRefresh.emitirCodigo({ documento: '1' });
+      const login = await solicitar(`${appRefresh.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+      assert.equal(login.status, 200);
+      assert.ok(login.cuerpo.refreshToken);
+
+      const { exp } = jwt.decode(login.cuerpo.token);
+      await new Promise((resolve) => setTimeout(resolve, exp * 1000 - Date.now() + 50));
+      await assert.rejects(verificarToken(login.cuerpo.token, { cliente: clienteRefresh }), { codigo: 'TOKEN_EXPIRADO' });
+
+      const respuesta = await solicitar(`${appRefresh.url}/auth/refresh`, {
+        metodo: 'POST',
+        cuerpo: { refreshToken: login.cuerpo.refreshToken },
+      });
+      assert.equal(respuesta.status, 200);
+      assert.equal(jwt.decode(respuesta.cuerpo.token).data.documento, '1');
+      assert.notEqual(respuesta.cuerpo.refreshToken, login.cuerpo.refreshToken);
+      assert.ok(!proveedor.solicitudes.concat(proveedorRefresh.solicitudes).some((s) => s.ruta === '/cliente/obtener/nuevo-token'
+        && s.cuerpo.token === login.cuerpo.token));
+    });
+
+    it('no entrega refresh tokens si el servicio OAuth no entrega el suyo', async () => {
+      const eventos = [];
+      const aplicacion = express();
+      aplicacion.use(express.json());
+      aplicacion.use('/auth', oauthRouter(repositorioMemoria(usuarios), {
+        ...proveedor.opcionesCliente({ logger: (evento) => eventos.push(evento) }),
+        refresh: true,
+      }));
+      const sinRefresh = await iniciarApp(aplicacion);
+      try {
+        const codigo = proveedor.emitirCodigo({ documento: '1' });
+        const login = await solicitar(`${sinRefresh.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+        assert.equal(login.status, 200);
+        assert.equal(login.cuerpo.refreshToken, undefined);
+        assert.ok(eventos.some((evento) => evento.tipo === 'refresh.no_disponible' && evento.documento === '1'));
+      } finally {
+        await sinRefresh.cerrar();
+      }
+    });
+  });
+
+  describe('modo cookie', () => {
+    let appCookie;
+
+    before(async () => {
+      const aplicacion = express();
+      aplicacion.use(express.json());
+      aplicacion.use('/auth', oauthRouter(repositorioMemoria(usuarios), { cliente, cookie: true }));
+      appCookie = await iniciarApp(aplicacion);
+    });
+
+    after(() => appCookie.cerrar());
+
+    it('entrega la sesión en cookies HttpOnly y un token CSRF legible', async () => {
+      const codigo = proveedor.emitirCodigo({ documento: '1' });
+      const login = await solicitar(`${appCookie.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+      assert.equal(login.status, 200);
+      assert.equal(login.cuerpo.token, undefined);
+      assert.ok(login.cuerpo.csrfToken);
+
+      const [sesion, csrf] = ['mbcj_token', 'mbcj_csrf'].map((nombre) => login.headers.getSetCookie()
+        .find((cookie) => cookie.startsWith(`${nombre}=`)));
+      assert.match(sesion, /HttpOnly/);
+      assert.match(sesion, /SameSite=Strict/);
+      assert.doesNotMatch(csrf, /HttpOnly/);
+      assert.ok(csrf.startsWith(`mbcj_csrf=${login.cuerpo.csrfToken};`));
+    });
+
+    it('exige el token CSRF para cerrar la sesión', async () => {
+      const codigo = proveedor.emitirCodigo({ documento: '1' });
+      const login = await solicitar(`${appCookie.url}/auth/token`, { metodo: 'POST', cuerpo: { codigo } });
+      const cookie = cookiesDe(login);
+
+      const sinCsrf = await solicitar(`${appCookie.url}/auth/logout`, { metodo: 'POST', cookie });
+      assert.equal(sinCsrf.status, 403);
+      assert.equal(sinCsrf.cuerpo.codigo, 'CSRF_INVALIDO');
+
+      const encabezados = { 'x-csrf-token': login.cuerpo.csrfToken };
+      const logout = await solicitar(`${appCookie.url}/auth/logout`, { metodo: 'POST', cookie, encabezados });
+      assert.equal(logout.status, 200);
+      assert.ok(logout.headers.getSetCookie().some((c) => /^mbcj_token=;/.test(c)));
+    });
+  });
+
+  describe('cacheDatos y métricas', () => {
+    let clienteCache;
+    let appCache;
+
+    before(async () => {
+      clienteCache = crearCliente(proveedor.opcionesCliente({ logger: false, http: { reintentos: 0 }, metricas: true }));
+      const aplicacion = express();
+      aplicacion.use(express.json());
+      aplicacion.use('/auth', oauthRouter(repositorioMemoria(usuarios), { cliente: clienteCache, cacheDatos: true }));
+      appCache = await iniciarApp(aplicacion);
+    });
+
+    after(async () => {
+      await appCache.cerrar();
+      clienteCache.cerrar();
+    });
+
+    it('reutiliza los datos del mismo token y permiso, y mide solo la llamada al servicio OAuth', async () => {
+      const token = proveedor.tokens.firmar({ documento: '1' });
+      const consultas = () => proveedor.solicitudes.filter((s) => s.ruta === '/cliente/obtener/datos/5').length;
+      const antes = consultas();
+
+      const primera = await solicitar(`${appCache.url}/auth/datos/5`, { token });
+      const segunda = await solicitar(`${appCache.url}/auth/datos/5`, { token });
+      assert.equal(segunda.status, 200);
+      assert.deepEqual(segunda.cuerpo, primera.cuerpo);
+      assert.equal(consultas(), antes + 1);
+
+      const otroToken = proveedor.tokens.firmar({ documento: '1' }, { claims: { jti: 'otro' } });
+      await solicitar(`${appCache.url}/auth/datos/5`, { token: otroToken });
+      assert.equal(consultas(), antes + 2);
+      assert.match(clienteCache.metricas.texto(), /^mbcj_oauth_proveedor_total\{operacion="datos",resultado="exito"\} 2$/m);
+    });
+  });
+
+  describe('salud', () => {
+    let appSalud;
+
+    before(async () => {
+      const aplicacion = express();
+      aplicacion.use('/auth', oauthRouter(repositorioMemoria(usuarios), { cliente, salud: true }));
+      appSalud = await iniciarApp(aplicacion);
+    });
+
+    after(() => appSalud.cerrar());
+
+    it('agrega GET /salud con la opción salud', async () => {
+      const respuesta = await solicitar(`${appSalud.url}/auth/salud`);
+      assert.equal(respuesta.status, 200);
+      assert.equal(respuesta.cuerpo.status, 'ok');
+      assert.equal(respuesta.cuerpo.clave.estado, 'ok');
+      assert.deepEqual(Object.keys(respuesta.cuerpo.proveedor).sort(), ['estado', 'latencia']);
+    });
+  });
+});
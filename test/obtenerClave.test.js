@@ -0,0 +1,139 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { crearCliente, descargarClave, verificarClave, obtenerClavePublica } = require('mbcj-oauth-sv');
+const { validarClavePem } = require('../claves');
+const { crearProveedorFalso, crearClaves } = require('mbcj-oauth-sv/testing');
+
+const CLI = path.join(__dirname, '..', 'bin', 'mbcj-oauth-clave.js');
+
+/**
+ * Ejecuta la línea de comandos.
+ * @param {string[]} argumentos - Los argumentos.
+ * @returns {Promise<{codigo: number, salida: string, error: string}>}
+ */
+function ejecutarCli(argumentos) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...argumentos], { env: {}, timeout: 10 * 1000 }, (error, salida, errorSalida) => {
+      resolve({ codigo: error ? error.code : 0, salida: salida.trim(), error: errorSalida.trim() });
+    });
+  });
+}
+
+describe('descarga de la clave pública', () => {
+  let proveedor;
+  let directorio;
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'mbcj-oauth-clave-'));
+  });
+
+  after(async () => {
+    await proveedor.cerrar();
+    fs.rmSync(directorio, { recursive: true, force: true });
+  });
+
+  it('valida y guarda la clave, e informa su huella', async () => {
+    const ruta = path.join(directorio, 'nueva', 'publica.pem');
+    const resultado = await descargarClave(`${proveedor.url}/clave`, ruta, { http: { reintentos: 0 } });
+    assert.deepEqual(resultado, { ruta, huella: proveedor.claves.huella, actualizada: true });
+    assert.equal(fs.readFileSync(ruta, 'utf8'), proveedor.claves.publica);
+    assert.equal(fs.statSync(ruta).mode & 0o777, 0o644);
+    assert.deepEqual(fs.readdirSync(path.dirname(ruta)), ['publica.pem']);
+  });
+
+  it('no reescribe el archivo si la clave no cambió', async () => {
+    const ruta = path.join(directorio, 'sin-cambios.pem');
+    await descargarClave(`${proveedor.url}/clave`, ruta);
+    const antes = fs.statSync(ruta).mtimeMs;
+    const resultado = await descargarClave(`${proveedor.url}/clave`, ruta);
+    assert.equal(resultado.actualizada, false);
+    assert.equal(fs.statSync(ruta).mtimeMs, antes);
+  });
+
+  it('rechaza la clave si la huella no coincide con la fijada', async () => {
+    const ruta = path.join(directorio, 'fijada.pem');
+    const otra = crearClaves().huella;
+    await assert.rejects(descargarClave(`${proveedor.url}/clave`, ruta, { huella: otra }), /huella de la clave pública no coincide/);
+    assert.equal(fs.existsSync(ruta), false);
+
+    const huella = proveedor.claves.huella.toUpperCase().match(/../g).join(':');
+    assert.equal((await descargarClave(`${proveedor.url}/clave`, ruta, { huella })).actualizada, true);
+  });
+
+  it('rechaza contenidos que no son una clave pública EC P-256 y conserva el archivo anterior', async () => {
+    const ruta = path.join(directorio, 'conservada.pem');
+    await descargarClave(`${proveedor.url}/clave`, ruta);
+
+    proveedor.fallar('/clave', { status: 200, cuerpo: { status: 'ok' } });
+    await assert.rejects(descargarClave(`${proveedor.url}/clave`, ruta), /no es una clave pública en formato PEM/);
+    assert.equal(fs.readFileSync(ruta, 'utf8'), proveedor.claves.publica);
+  });
+
+  it('acepta solo claves públicas EC P-256', () => {
+    const p384 = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }).publicKey.export({ type: 'spki', format: 'pem' });
+    assert.throws(() => validarClavePem(proveedor.claves.privada), /no es una clave pública en formato PEM/);
+    assert.throws(() => validarClavePem(p384), /no es EC P-256/);
+    assert.throws(() => validarClavePem('-----BEGIN PUBLIC KEY-----\nbasura\n-----END PUBLIC KEY-----'), /no es válida/);
+  });
+
+  it('no carga desde claveArchivo una clave RSA, P-384 o privada', async () => {
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey.export({ type: 'spki', format: 'pem' });
+    const p384 = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }).publicKey.export({ type: 'spki', format: 'pem' });
+    const casos = [[rsa, /no es EC P-256/], [p384, /no es EC P-256/], [proveedor.claves.privada, /no es una clave pública/]];
+    for (const [indice, [contenido, error]] of casos.entries()) {
+      const ruta = path.join(directorio, `invalida-${indice}.pem`);
+      fs.writeFileSync(ruta, contenido);
+      const cliente = crearCliente({ claveDir: directorio, claveArchivo: path.basename(ruta), logger: false, vigilarClave: false });
+      await assert.rejects(cliente.recargarClave(), error);
+      cliente.cerrar();
+    }
+  });
+
+  it('obtenerClavePublica rechaza sin escribir en la consola', async () => {
+    const consola = mock.method(console, 'error', () => {});
+    try {
+      proveedor.fallar('/clave', { status: 404 });
+      await assert.rejects(obtenerClavePublica(`${proveedor.url}/clave`, directorio, 'ausente.pem', { reintentos: 0 }), /estado 404/);
+      assert.equal(consola.mock.callCount(), 0);
+      assert.equal(await obtenerClavePublica(`${proveedor.url}/clave`, directorio, 'obtenida.pem'), path.join(directorio, 'obtenida.pem'));
+    } finally {
+      consola.mock.restore();
+    }
+  });
+
+  it('verifica el archivo guardado', async () => {
+    const ruta = path.join(directorio, 'verificada.pem');
+    fs.writeFileSync(ruta, proveedor.claves.publica);
+    assert.deepEqual(await verificarClave(ruta), { ruta, huella: proveedor.claves.huella });
+    await assert.rejects(verificarClave(ruta, { huella: crearClaves().huella }), /no coincide/);
+    await assert.rejects(verificarClave(path.join(directorio, 'inexistente.pem')), /No se pudo leer/);
+  });
+
+  describe('mbcj-oauth-clave', () => {
+    it('descarga la clave y muestra la huella', async () => {
+      const ruta = path.join(directorio, 'cli.pem');
+      const descarga = await ejecutarCli(['descargar', '--url', `${proveedor.url}/clave`, ruta]);
+      assert.equal(descarga.codigo, 0);
+      assert.match(descarga.salida, /^Clave guardada/);
+
+      const huella = await ejecutarCli(['huella', ruta]);
+      assert.deepEqual(huella, { codigo: 0, salida: proveedor.claves.huella, error: '' });
+    });
+
+    it('sale con código 1 si la verificación falla y 2 ante argumentos inválidos', async () => {
+      const ruta = path.join(directorio, 'cli.pem');
+      const verificacion = await ejecutarCli(['verificar', '--huella', crearClaves().huella, '--json', ruta]);
+      assert.equal(verificacion.codigo, 1);
+      assert.match(JSON.parse(verificacion.error).error, /no coincide/);
+      assert.equal((await ejecutarCli(['rotar', ruta])).codigo, 2);
+      assert.equal((await ejecutarCli(['descargar', ruta])).codigo, 2);
+    });
+  });
+});
+
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('exports del paquete', () => {
+  it('mantiene los módulos que se importaban directamente', () => {
+    const { middleware, extraerDatosJWT } = require('mbcj-oauth-sv/middleware');
+    assert.equal(typeof middleware, 'function');
+    assert.equal(typeof extraerDatosJWT, 'function');
+    assert.equal(require('mbcj-oauth-sv/middleware.js').middleware, middleware);
+    assert.equal(require('mbcj-oauth-sv/oauthRouter'), require('mbcj-oauth-sv').oauthRouter);
+    const obtenerClave = require('mbcj-oauth-sv/obtenerClave.js');
+    assert.equal(obtenerClave, require('mbcj-oauth-sv').obtenerClavePublica);
+    assert.equal(obtenerClave.obtenerClavePublica, obtenerClave);
+    assert.equal(typeof obtenerClave.descargarClave, 'function');
+    assert.equal(require('mbcj-oauth-sv/package.json').name, 'mbcj-oauth-sv');
+  });
+
+  it('no expone los módulos internos', () => {
+    assert.throws(() => require('mbcj-oauth-sv/claves'), { code: 'ERR_PACKAGE_PATH_NOT_EXPORTED' });
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { crearCliente, middleware, repositorioMemoria, politicas } = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+const { iniciarApp, solicitar } = require('./ayudantes');
+
+const { permiso, claim, propietario, todas, alguna, crearAutorizador } = politicas;
+
+describe('combinadores de políticas', () => {
+  const autorizador = crearAutorizador();
+  const evaluar = (politica, user, extra) => autorizador.evaluar(politica, user, extra);
+  const user = { documento: '1', usuario_id: 7, tipo_usuario_id: 3, area_id: 4, permisos: ['expedientes:leer', 'expedientes:editar'] };
+
+  it('claim compara con un valor, una lista o una función, y rechaza sin usuario', async () => {
+    assert.equal(await evaluar(claim('area_id', 4), user), true);
+    assert.equal(await evaluar(claim('area_id', '4'), user), false);
+    assert.equal(await evaluar(claim('area_id', [3, 4]), user), true);
+    assert.equal(await evaluar(claim('area_id', [1, 2]), user), false);
+    const mayorQue = mock.fn((valor) => valor > 3);
+    assert.equal(await evaluar(claim('area_id', mayorQue), user, { accion: 'x' }), true);
+    assert.equal(mayorQue.mock.calls[0].arguments[0], 4);
+    assert.equal(mayorQue.mock.calls[0].arguments[1].accion, 'x');
+    assert.equal(await evaluar(claim('area_id', 4), null), false);
+  });
+
+  it('permiso exige todos los permisos indicados, leídos del claim o de cargarPermisos', async () => {
+    assert.equal(await evaluar(permiso('expedientes:leer'), user), true);
+    assert.equal(await evaluar(permiso('expedientes:leer', 'expedientes:editar'), user), true);
+    assert.equal(await evaluar(permiso('expedientes:leer', 'expedientes:borrar'), user), false);
+    assert.equal(await evaluar(permiso('expedientes:leer'), null), false);
+    assert.equal(await evaluar(permiso('expedientes:leer'), { documento: '2' }), false);
+
+    const otroClaim = crearAutorizador({ claimPermisos: 'scopes' });
+    assert.equal(await otroClaim.evaluar('expedientes:leer', { scopes: ['expedientes:leer'] }), true);
+    assert.equal(await otroClaim.evaluar('expedientes:leer', user), false);
+
+    // Los permisos se cargan una sola vez por evaluación, aunque varias políticas los consulten.
+    const cargarPermisos = mock.fn(() => Promise.resolve(['reportes:ver']));
+    const cargados = crearAutorizador({ cargarPermisos });
+    assert.equal(await cargados.evaluar(todas('reportes:ver', permiso('reportes:ver')), user), true);
+    assert.equal(cargarPermisos.mock.callCount(), 1);
+    assert.equal(cargarPermisos.mock.calls[0].arguments[0], user);
+  });
+
+  it('todas se detiene en la primera que falla y alguna en la primera que se cumple', async () => {
+    const nunca = mock.fn(() => false);
+    const siempre = mock.fn(() => true);
+    assert.equal(await evaluar(todas([3], claim('area_id', 4), 'expedientes:leer'), user), true);
+    assert.equal(await evaluar(todas(nunca, siempre), user), false);
+    assert.equal(siempre.mock.callCount(), 0);
+    assert.equal(await evaluar(alguna([1], propietario('usuario_id'), siempre), user, { recurso: { usuario_id: '7' } }), true);
+    assert.equal(siempre.mock.callCount(), 0);
+    assert.equal(await evaluar(alguna([1], nunca), user), false);
+    assert.equal(nunca.mock.callCount(), 2);
+    assert.equal(await evaluar(todas(), user), true);
+    assert.equal(await evaluar(alguna(), user), false);
+  });
+
+  it('resuelve los nombres con las políticas registradas y rechaza una política inválida', async () => {
+    const registradas = crearAutorizador({
+      politicas: { 'expedientes:editar': todas(permiso('expedientes:editar'), claim('area_id', 4)), supervisor: [5] },
+    });
+    assert.equal(await registradas.evaluar('expedientes:editar', user), true);
+    assert.equal(await registradas.evaluar('expedientes:editar', { ...user, area_id: 1 }), false);
+    assert.equal(await registradas.evaluar('supervisor', user), false);
+    assert.equal(await registradas.puede(user, 'expedientes:leer'), true);
+    await assert.rejects(evaluar(42, user), { name: 'TypeError', message: 'Política inválida' });
+  });
+});
+
+describe('puede y autorizar del middleware', () => {
+  let proveedor;
+  let cliente;
+  let app;
+  let mw;
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: false }));
+    mw = middleware(repositorioMemoria([{ id: 1, documento: '1', activo: true, tipo_usuario_id: 3 }]), {
+      cliente,
+      politicas: {
+        'expedientes:editar': todas(permiso('expedientes:editar'), propietario('autor_id')),
+        'reportes:ver': claim('area_id', [3, 4]),
+        fallida: () => Promise.reject(new Error('sin conexión')),
+      },
+    });
+    const aplicacion = express();
+    aplicacion.get('/reportes', mw.validarUsuarioMW('reportes:ver'), (req, res) => res.json({ ok: true }));
+    aplicacion.get('/expedientes', mw.validarUsuarioMW(null), mw.autorizar('expedientes:leer'), (req, res) => res.json({ ok: true }));
+    aplicacion.put('/expedientes/:autor_id', mw.validarUsuarioMW(null), mw.autorizar('expedientes:editar'), (req, res) => res.json({ ok: true }));
+    aplicacion.get('/fallida', mw.validarUsuarioMW(null), mw.autorizar('fallida'), (req, res) => res.json({ ok: true }));
+    app = await iniciarApp(aplicacion);
+  });
+
+  after(async () => {
+    await app.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  const token = (datos) => proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3, ...datos });
+
+  it('validarUsuarioMW aplica una política registrada por nombre', async () => {
+    assert.equal((await solicitar(`${app.url}/reportes`, { token: token({ area_id: 4 }) })).status, 200);
+    const rechazo = await solicitar(`${app.url}/reportes`, { token: token({ area_id: 1 }) });
+    assert.equal(rechazo.status, 403);
+    assert.equal(rechazo.cuerpo.codigo, 'SIN_PERMISO');
+  });
+
+  it('autorizar evalúa la política con el usuario ya validado y los parámetros de la ruta', async () => {
+    const lector = token({ usuario_id: 7, permisos: ['expedientes:leer'] });
+    assert.equal((await solicitar(`${app.url}/expedientes`, { token: lector })).status, 200);
+    assert.equal((await solicitar(`${app.url}/expedientes`, { token: token({}) })).cuerpo.codigo, 'SIN_PERMISO');
+
+    const editor = token({ usuario_id: 7, permisos: ['expedientes:editar'] });
+    assert.equal((await solicitar(`${app.url}/expedientes/7`, { metodo: 'PUT', token: editor })).status, 200);
+    assert.equal((await solicitar(`${app.url}/expedientes/8`, { metodo: 'PUT', token: editor })).status, 403);
+    assert.equal((await solicitar(`${app.url}/expedientes/7`, { metodo: 'PUT', token: lector })).status, 403);
+  });
+
+  it('autorizar responde ERROR_PERMISOS si la política falla', async () => {
+    const respuesta = await solicitar(`${app.url}/fallida`, { token: token({}) });
+    assert.equal(respuesta.status, 500);
+    assert.equal(respuesta.cuerpo.codigo, 'ERROR_PERMISOS');
+  });
+
+  it('puede usa las políticas registradas, con el recurso indicado', async () => {
+    const editor = { documento: '1', usuario_id: 7, permisos: ['expedientes:editar'] };
+    assert.equal(await mw.puede(editor, 'expedientes:editar', { autor_id: 7 }), true);
+    assert.equal(await mw.puede(editor, 'expedientes:editar', { autor_id: 8 }), false);
+    assert.equal(await mw.puede({ area_id: 3 }, 'reportes:ver'), true);
+    assert.equal(await mw.puede(editor, 'expedientes:leer'), false);
+    assert.equal(await mw.puede(null, 'expedientes:editar', { autor_id: 7 }), false);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { crearCacheMemoria } = require('mbcj-oauth-sv');
+const { crearRefreshTokens } = require('../refresh');
+
+describe('crearRefreshTokens', () => {
+  it('rota el refresh token y detecta su reutilización', async () => {
+    const refresh = crearRefreshTokens();
+    const token = await refresh.emitir({ documento: '1' });
+    const registro = await refresh.canjear(token);
+    assert.equal(registro.documento, '1');
+    const siguiente = await refresh.emitir({ documento: '1' }, registro.familia);
+
+    await assert.rejects(refresh.canjear(token), { codigo: 'REFRESH_REUTILIZADO' });
+    // La reutilización revoca la sesión completa.
+    await assert.rejects(refresh.canjear(siguiente), { codigo: 'REFRESH_REVOCADO' });
+  });
+
+  it('acepta solo uno de dos canjes simultáneos del mismo token', async () => {
+    const refresh = crearRefreshTokens();
+    const token = await refresh.emitir({ documento: '1' });
+    const resultados = await Promise.allSettled([refresh.canjear(token), refresh.canjear(token)]);
+    assert.deepEqual(resultados.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(resultados.find((r) => r.status === 'rejected').reason.codigo, 'REFRESH_REUTILIZADO');
+  });
+
+  it('exige un almacén con guardarSiNoExiste', () => {
+    const { guardarSiNoExiste, ...sinOperacionAtomica } = crearCacheMemoria();
+    assert.throws(() => crearRefreshTokens({ almacen: sinOperacionAtomica }), /guardarSiNoExiste/);
+  });
+
+  it('descarta primero los registros al llenarse el almacén, sin volver a habilitar un token usado', async () => {
+    const refresh = crearRefreshTokens({ almacen: crearCacheMemoria({ maximo: 4 }) });
+    const usado = await refresh.emitir({ documento: '1' });
+    const { familia } = await refresh.canjear(usado);
+    await refresh.canjear(await refresh.emitir({ documento: '1' }, familia));
+    await refresh.emitir({ documento: '2' });
+
+    await assert.rejects(refresh.canjear(usado), { codigo: 'REFRESH_INVALIDO' });
+  });
+
+  it('rechaza tokens desconocidos', async () => {
+    await assert.rejects(crearRefreshTokens().canjear('desconocido'), { codigo: 'REFRESH_INVALIDO' });
+  });
+});
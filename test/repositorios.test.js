@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositorioSequelize } = require('mbcj-oauth-sv');
+
+/**
+ * Modelo mínimo con la forma de Sequelize: `update` estático no dispara los
+ * hooks de instancia, así que aquí falla para detectar su uso.
+ * @param {object[]} filas - Los registros.
+ * @returns {object} El modelo.
+ */
+function crearModelo(filas) {
+  return {
+    findOne({ where }) {
+      const fila = filas.find((f) => f.documento === where.documento);
+      if (!fila) return Promise.resolve(null);
+      return Promise.resolve({
+        dataValues: fila,
+        update(cambios) {
+          fila.hooks = (fila.hooks || 0) + 1;
+          Object.assign(fila, cambios);
+          return Promise.resolve(this);
+        },
+      });
+    },
+    update() {
+      return Promise.reject(new Error('update estático: no corren los hooks de instancia'));
+    },
+  };
+}
+
+describe('repositorioSequelize', () => {
+  it('registra el ingreso sobre la instancia, con sus hooks', async () => {
+    const filas = [{ documento: '1', nombre: 'PAZ, ANA' }];
+    const repositorio = repositorioSequelize(crearModelo(filas));
+    await repositorio.registrarIngreso('1', { nombre: 'PAZ, ANA MARÍA' });
+    assert.equal(filas[0].hooks, 1);
+    assert.equal(filas[0].nombre, 'PAZ, ANA MARÍA');
+    assert.ok(filas[0].ultimo_ingreso instanceof Date);
+  });
+
+  it('no falla si el usuario ya no existe', async () => {
+    const repositorio = repositorioSequelize(crearModelo([]));
+    await repositorio.registrarIngreso('9');
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { crearCliente, saludRouter, repositorioMemoria } = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+const { iniciarApp, solicitar } = require('./ayudantes');
+
+describe('GET /salud', () => {
+  let proveedor;
+  let cliente;
+  let app;
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: false, http: { reintentos: 2, circuito: { umbral: 1 } } }));
+    const usuarios = repositorioMemoria([]);
+    const aplicacion = express();
+    aplicacion.use('/resumen', saludRouter(usuarios, { cliente, rutaProveedor: '/estado' }));
+    aplicacion.use('/detalle', saludRouter(usuarios, { cliente, rutaProveedor: '/estado', detalle: true }));
+    app = await iniciarApp(aplicacion);
+  });
+
+  after(async () => {
+    await app.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  it('informa solo el estado y la latencia de cada comprobación', async () => {
+    const respuesta = await solicitar(`${app.url}/resumen/salud`);
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.headers.get('cache-control'), 'no-store');
+    assert.equal(respuesta.cuerpo.status, 'ok');
+    for (const nombre of ['clave', 'proveedor', 'baseDatos']) {
+      assert.deepEqual(Object.keys(respuesta.cuerpo[nombre]).sort(), ['estado', 'latencia']);
+    }
+  });
+
+  it('agrega el detalle con la opción detalle', async () => {
+    const respuesta = await solicitar(`${app.url}/detalle/salud`);
+    assert.equal(respuesta.status, 200);
+    assert.equal(respuesta.cuerpo.clave.claves[0].huella, proveedor.claves.huella);
+    assert.equal(respuesta.cuerpo.proveedor.circuito, 'cerrado');
+  });
+
+  it('consulta al servicio OAuth sin reintentos y sin pasar por el corte de circuito', async () => {
+    proveedor.fallar('/estado', { status: 503, veces: 2 });
+    const antes = proveedor.solicitudes.length;
+    const caido = await solicitar(`${app.url}/detalle/salud`);
+    assert.equal(caido.status, 503);
+    assert.equal(caido.cuerpo.proveedor.codigo, 'PROVEEDOR_ERROR');
+    assert.equal(proveedor.solicitudes.slice(antes).filter((s) => s.ruta === '/estado').length, 1);
+    // La falla de la sonda no abre el circuito de la aplicación.
+    assert.equal(caido.cuerpo.proveedor.circuito, 'cerrado');
+
+    // Con el circuito de la aplicación abierto, la sonda informa el estado real del servicio.
+    proveedor.fallar('/cliente/obtener/datos', { status: 500 });
+    await assert.rejects(cliente.http.get(`${proveedor.url}/cliente/obtener/datos/1`));
+    const abierto = await solicitar(`${app.url}/detalle/salud`);
+    assert.equal(abierto.status, 503);
+    assert.equal(abierto.cuerpo.proveedor.circuito, 'abierto');
+
+    const recuperado = await solicitar(`${app.url}/detalle/salud`);
+    assert.equal(recuperado.status, 200);
+    assert.equal(recuperado.cuerpo.proveedor.estado, 'ok');
+    assert.equal(recuperado.cuerpo.proveedor.circuito, 'abierto');
+  });
+
+  it('oculta los errores sin la opción detalle', async () => {
+    proveedor.fallar('/estado', { status: 503 });
+    const respuesta = await solicitar(`${app.url}/resumen/salud`);
+    assert.equal(respuesta.status, 503);
+    assert.equal(respuesta.cuerpo.proveedor.estado, 'error');
+    assert.equal(respuesta.cuerpo.proveedor.codigo, undefined);
+  });
+});
+
+describe('GET /salud con errores de configuración', () => {
+  let proveedor;
+  let cliente;
+  let app;
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: false }));
+    const usuarios = repositorioMemoria([]);
+    const sinCircuitos = { ...cliente, http: { estadoCircuitos: () => { throw new Error('sin circuitos'); } } };
+    const aplicacion = express();
+    aplicacion.use('/ruta', saludRouter(usuarios, { cliente, rutaProveedor: ':x', detalle: true }));
+    aplicacion.use('/roto', saludRouter(usuarios, { cliente: sinCircuitos }));
+    app = await iniciarApp(aplicacion);
+  });
+
+  after(async () => {
+    await app.cerrar();
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  it('informa como error una URL del servicio OAuth inválida', async () => {
+    const respuesta = await solicitar(`${app.url}/ruta/salud`);
+    assert.equal(respuesta.status, 503);
+    assert.equal(respuesta.cuerpo.proveedor.estado, 'error');
+    assert.equal(respuesta.cuerpo.proveedor.circuito, undefined);
+    assert.equal(respuesta.cuerpo.clave.estado, 'ok');
+  });
+
+  it('responde 503 si no puede armar el informe', async () => {
+    const respuesta = await solicitar(`${app.url}/roto/salud`);
+    assert.equal(respuesta.status, 503);
+    assert.equal(respuesta.headers.get('cache-control'), 'no-store');
+    assert.deepEqual(respuesta.cuerpo, { status: 'error' });
+  });
+});
@@ -0,0 +1,66 @@
+// Verificación de los tipos públicos (`index.d.ts` y `testing.d.ts`). No se
+// ejecuta: se comprueba que compile con `npm run test:tipos`.
+// Las líneas con `@ts-expect-error` deben seguir siendo errores.
+
+import express from 'express';
+import {
+  crearCliente,
+  crearLimitador,
+  middleware,
+  oauthRouter,
+  repositorioMemoria,
+  verificarToken,
+} from '../index';
+import type { RefreshTokens, RegistroRefresh, TokenVerificado } from '../index';
+import { crearProveedorFalso } from '../testing';
+import type { ClavesPrueba } from '../testing';
+
+async function comprobar(): Promise<void> {
+  const proveedor = await crearProveedorFalso({ refresh: true });
+  const cliente = crearCliente(proveedor.opcionesCliente({ logger: false }));
+  const usuarios = repositorioMemoria([{ id: 1, documento: '1', activo: true, tipo_usuario_id: 3 }]);
+
+  // refresh.js: `emitir` recibe los datos de la sesión y, opcionalmente, la familia.
+  const registros = new Map<string, RegistroRefresh>();
+  const refresh: RefreshTokens = {
+    emitir(datos, familia = 'nueva') {
+      registros.set(familia, { familia, ...datos, vence: Date.now() });
+      return Promise.resolve(familia);
+    },
+    canjear(refreshToken) {
+      const registro = registros.get(refreshToken);
+      return registro ? Promise.resolve(registro) : Promise.reject(new Error('REFRESH_INVALIDO'));
+    },
+    revocar() {
+      return Promise.resolve();
+    },
+  };
+  const emitido: string = await refresh.emitir({ documento: '1', refreshProveedor: 'r' }, 'familia');
+  const { familia, refreshProveedor }: RegistroRefresh = await refresh.canjear(emitido);
+  // @ts-expect-error: el segundo argumento es la familia, no el refresh token del proveedor.
+  await refresh.emitir({ documento: '1', refreshProveedor: 'r' }, { familia });
+  // @ts-expect-error: la sesión se renueva con el refresh token del proveedor, que es obligatorio.
+  await refresh.emitir({ documento: '1' });
+
+  const limites = crearLimitador({ almacenBloqueos: undefined, fallos: { maximo: 5 } });
+  const MW = middleware(usuarios, { cliente, limites });
+  const app = express();
+  app.use('/auth', oauthRouter(usuarios, { cliente, refresh, limites }));
+  app.get('/perfil', MW.validarUsuarioMW([3]), (req, res) => {
+    res.json({ documento: req.user?.documento, refreshProveedor });
+  });
+
+  const verificado: TokenVerificado = await verificarToken(proveedor.tokens.firmar({ documento: '1' }), { cliente, usuarios });
+  const conMiddleware = await verificarToken('Bearer x', { middleware: MW, politica: [3] });
+  const documento: string | number = verificado.usuario.documento ?? conMiddleware.usuario.documento;
+  void documento;
+  void (await limites.consultarBloqueo(['ip:1'])).permitido;
+
+  const rotadas: ClavesPrueba = proveedor.rotarClaves({ kid: 'rotada' });
+  proveedor.publicarClaves([rotadas]);
+
+  cliente.cerrar();
+  await proveedor.cerrar();
+}
+
+void comprobar;
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  crearCliente, verificarToken, crearRevocaciones, repositorioMemoria, middleware, hashearCredencial, politicas, ErrorAutorizacion,
+} = require('mbcj-oauth-sv');
+const { crearProveedorFalso } = require('mbcj-oauth-sv/testing');
+
+describe('verificarToken', () => {
+  let proveedor;
+  let cliente;
+  const usuarios = repositorioMemoria([
+    { id: 1, documento: '1', activo: true, tipo_usuario_id: 3 },
+    { id: 2, documento: '2', activo: false, tipo_usuario_id: 3 },
+  ]);
+
+  before(async () => {
+    proveedor = await crearProveedorFalso();
+    cliente = crearCliente(proveedor.opcionesCliente({ logger: false }));
+  });
+
+  after(async () => {
+    await proveedor.cerrar();
+    cliente.cerrar();
+  });
+
+  it('resuelve los datos del token, con o sin el prefijo Bearer', async () => {
+    const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3 });
+    const resultado = await verificarToken(token, { cliente });
+    assert.deepEqual(resultado.usuario, { documento: '1', tipo_usuario_id: 3 });
+    assert.equal(resultado.exp, resultado.decodificado.exp);
+    assert.deepEqual((await verificarToken(`Bearer ${token}`, { cliente })).usuario, resultado.usuario);
+  });
+
+  it('rechaza con los mismos códigos que el middleware', async () => {
+    await assert.rejects(verificarToken('', { cliente }), { codigo: 'TOKEN_REQUERIDO', status: 401 });
+    await assert.rejects(verificarToken(proveedor.tokens.expirado({ documento: '1' }), { cliente }), { codigo: 'TOKEN_EXPIRADO' });
+    await assert.rejects(verificarToken(proveedor.tokens.conOtraClave({ documento: '1' }), { cliente }), { codigo: 'FIRMA_INVALIDA' });
+  });
+
+  it('consulta las revocaciones', async () => {
+    const revocaciones = crearRevocaciones();
+    const token = proveedor.tokens.firmar({ documento: '1' }, { claims: { jti: 'revocado' } });
+    await revocaciones.revocarToken('revocado');
+    await assert.rejects(verificarToken(token, { cliente, revocaciones }), { codigo: 'TOKEN_REVOCADO' });
+  });
+
+  it('exige que el usuario exista y esté activo si se indica el repositorio', async () => {
+    const activo = proveedor.tokens.firmar({ documento: '1' });
+    assert.equal((await verificarToken(activo, { cliente, usuarios })).usuario.documento, '1');
+    await assert.rejects(verificarToken(proveedor.tokens.firmar({ documento: '2' }), { cliente, usuarios }), { codigo: 'USUARIO_INACTIVO' });
+    await assert.rejects(verificarToken(proveedor.tokens.firmar({ documento: '9' }), { cliente, usuarios }), { codigo: 'USUARIO_NO_ENCONTRADO' });
+  });
+
+  it('crea un solo middleware por cliente, repositorio y registro de revocaciones', async () => {
+    const repositorio = repositorioMemoria([{ id: 4, documento: '4', activo: true, tipo_usuario_id: 3 }]);
+    let creados = 0;
+    // `middleware` comprueba el repositorio al crearse; la validación no vuelve a leer `buscarPorDocumento`.
+    const contado = {
+      ...repositorio,
+      get buscarPorDocumento() {
+        creados += 1;
+        return repositorio.buscarPorDocumento;
+      },
+    };
+    const token = proveedor.tokens.firmar({ documento: '4' });
+    await verificarToken(token, { cliente, usuarios: contado });
+    await verificarToken(token, { cliente, usuarios: contado });
+    assert.equal(creados, 1);
+
+    await verificarToken(token, { cliente, usuarios: contado, revocaciones: crearRevocaciones() });
+    assert.equal(creados, 2);
+  });
+
+  it('usa la validación del middleware indicado, con su cache de usuarios', async () => {
+    const filas = [{ id: 3, documento: '3', activo: true, tipo_usuario_id: 3 }];
+    const MW = middleware(repositorioMemoria(filas), { cliente, cacheUsuarios: true });
+    const token = proveedor.tokens.firmar({ documento: '3' });
+    assert.equal((await verificarToken(token, { middleware: MW })).usuario.documento, '3');
+
+    filas[0].activo = false;
+    assert.equal((await verificarToken(token, { middleware: MW })).usuario.documento, '3');
+    assert.deepEqual(MW.estadisticasCache(), { aciertos: 1, fallos: 1 });
+    await MW.invalidarUsuario('3');
+    await assert.rejects(verificarToken(token, { middleware: MW }), { codigo: 'USUARIO_INACTIVO' });
+  });
+
+  it('no acepta credenciales de servicio', async () => {
+    const MW = middleware(usuarios, {
+      cliente,
+      credencialesServicio: [{ nombre: 'tareas', hash: hashearCredencial('clave-servicio') }],
+    });
+    assert.equal((await MW.validarUsuario('clave-servicio')).status, 'SERVICIO');
+    await assert.rejects(verificarToken('clave-servicio', { middleware: MW }), { codigo: 'TOKEN_INVALIDO' });
+  });
+
+  it('evalúa la política con el contexto indicado', async () => {
+    const token = proveedor.tokens.firmar({ documento: '1', tipo_usuario_id: 3, permisos: ['expedientes:leer'] });
+    assert.ok(await verificarToken(token, { cliente, politica: [3] }));
+    assert.ok(await verificarToken(token, { cliente, politica: 'expedientes:leer' }));
+
+    const propio = politicas.propietario('usuario_id', 'documento');
+    assert.ok(await verificarToken(token, { cliente, politica: propio, contexto: { recurso: { usuario_id: '1' } } }));
+    await assert.rejects(
+      verificarToken(token, { cliente, politica: propio, contexto: { recurso: { usuario_id: '2' } } }),
+      (error) => error instanceof ErrorAutorizacion && error.codigo === 'SIN_PERMISO',
+    );
+  });
+});
+
+describe('entrada ESM', () => {
+  it('expone las mismas funciones que la entrada CommonJS', async () => {
+    const esm = await import('mbcj-oauth-sv');
+    const testing = await import('mbcj-oauth-sv/testing');
+    assert.equal(esm.verificarToken, verificarToken);
+    assert.equal(esm.default, require('mbcj-oauth-sv'));
+    assert.deepEqual(Object.keys(esm).filter((nombre) => nombre !== 'default').sort(), Object.keys(esm.default).sort());
+    assert.equal(testing.crearProveedorFalso, crearProveedorFalso);
+  });
+});
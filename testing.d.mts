@@ -0,0 +1,5 @@
+// Tipos de la entrada ESM de `mbcj-oauth-sv/testing`: los mismos de `testing.d.ts`.
+import * as lib from './testing.js';
+
+export * from './testing.js';
+export default lib;
@@ -0,0 +1,70 @@
+// Tipos de mbcj-oauth-sv/testing (ver `testing.js`).
+
+import type { OpcionesCliente, OAuthUserData } from './index';
+
+export interface ClavesPrueba {
+  kid: string;
+  privada: string;
+  publica: string;
+  jwk: { kid: string; use: string; alg: string; [campo: string]: unknown };
+  huella: string;
+}
+
+export interface OpcionesToken {
+  expiraEn?: number;
+  noAntes?: number;
+  audiencia?: string | string[];
+  emisor?: string;
+  claves?: ClavesPrueba;
+  kid?: string | null;
+  claims?: object;
+}
+
+export interface FabricaTokens {
+  claves: ClavesPrueba;
+  firmar(data: object, opciones?: OpcionesToken): string;
+  expirado(data: object, opciones?: OpcionesToken): string;
+  conOtraClave(data: object, opciones?: OpcionesToken): string;
+}
+
+export interface SolicitudRecibida {
+  metodo: string;
+  ruta: string;
+  query: Record<string, unknown>;
+  cuerpo: Record<string, unknown>;
+  authorization?: string;
+}
+
+export interface ProveedorFalso {
+  url: string;
+  readonly claves: ClavesPrueba;
+  tokens: FabricaTokens;
+  solicitudes: SolicitudRecibida[];
+  agregarPersona(persona: Partial<OAuthUserData['persona']> & { documento: string | number }): void;
+  emitirCodigo(data: object, opciones?: { codeChallenge?: string }): string;
+  autorizarComo(data: object | null): void;
+  fallar(ruta: string, opciones?: { status?: number; cuerpo?: object; veces?: number }): void;
+  publicarClaves(claves: ClavesPrueba[]): void;
+  rotarClaves(opciones?: { kid?: string }): ClavesPrueba;
+  opcionesCliente<T extends object = {}>(extra?: T): OpcionesCliente & { url: string; jwksUrl: string; clienteId: string; clienteSecreto: string } & T;
+  cerrar(): Promise<void>;
+}
+
+export function crearClaves(opciones?: { kid?: string }): ClavesPrueba;
+
+export function crearFabricaTokens(opciones?: {
+  claves?: ClavesPrueba;
+  expiraEn?: number;
+  audiencia?: string | string[];
+  emisor?: string;
+}): FabricaTokens;
+
+export function crearProveedorFalso(opciones?: {
+  claves?: ClavesPrueba;
+  clienteId?: string;
+  clienteSecreto?: string;
+  personas?: Array<Partial<OAuthUserData['persona']> & { documento: string | number }>;
+  expiraEn?: number;
+  refresh?: boolean;
+  puerto?: number;
+}): Promise<ProveedorFalso>;
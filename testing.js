@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { huellaClave } = require('./claves');
+const { calcularDesafio } = require('./autorizacion');
+
+/**
+ * Herramientas para probar aplicaciones que usan la librería sin el servicio
+ * OAuth real: claves efímeras, una fábrica de tokens y un proveedor falso.
+ * Se publican como `mbcj-oauth-sv/testing`; no deben usarse en producción.
+ */
+
+/**
+ * @typedef {object} ClavesPrueba
+ * @property {string} kid - Identificador de la clave, incluido en los tokens y en el JWKS.
+ * @property {string} privada - Clave privada ES256 en formato PEM (PKCS#8).
+ * @property {string} publica - Clave pública en formato PEM (SPKI), como la que publica el servicio OAuth.
+ * @property {object} jwk - La clave pública en formato JWK, con `kid`, `use` y `alg`.
+ * @property {string} huella - Huella de la clave pública (ver `huellaClave` en `claves.js`).
+ */
+
+/**
+ * @typedef {object} OpcionesToken
+ * @property {number} [expiraEn] - Segundos de vigencia; un valor negativo genera un token vencido.
+ * @property {number} [noAntes] - Segundos hasta que el token sea válido (`nbf`).
+ * @property {string|string[]} [audiencia] - Claim `aud`.
+ * @property {string} [emisor] - Claim `iss`.
+ * @property {ClavesPrueba} [claves] - Claves con las que firmar, en lugar de las de la fábrica.
+ * @property {string|null} [kid] - `kid` del encabezado; `null` para omitirlo.
+ * @property {object} [claims] - Claims adicionales, fuera de `data`.
+ */
+
+/**
+ * @typedef {object} FabricaTokens
+ * @property {ClavesPrueba} claves - Las claves de la fábrica.
+ * @property {function(object, OpcionesToken=): string} firmar - Firma un token con los `data` indicados.
+ * @property {function(object, OpcionesToken=): string} expirado - Firma un token vencido hace un minuto.
+ * @property {function(object, OpcionesToken=): string} conOtraClave - Firma un token con una clave desconocida, pero
+ *   con el mismo `kid`, para probar firmas inválidas.
+ */
+
+/**
+ * Genera un par de claves ES256 efímero.
+ * @param {object} [opciones={}]
+ * @param {string} [opciones.kid] - Identificador de la clave. Por defecto, uno aleatorio.
+ * @returns {ClavesPrueba} Las claves.
+ */
+function crearClaves(opciones = {}) {
+  const { kid = crypto.randomBytes(8).toString('hex') } = opciones;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    kid,
+    privada: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publica: publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'ES256' },
+    huella: huellaClave(publicKey),
+  };
+}
+
+/**
+ * Crea una fábrica de tokens firmados como los del servicio OAuth (`{ data: {...} }`, ES256).
+ * @param {object} [opciones={}]
+ * @param {ClavesPrueba} [opciones.claves] - Las claves con las que firmar. Por defecto, unas nuevas.
+ * @param {number} [opciones.expiraEn=3600] - Segundos de vigencia por defecto.
+ * @param {string|string[]} [opciones.audiencia] - Claim `aud` por defecto (el `clienteId` de la aplicación).
+ * @param {string} [opciones.emisor] - Claim `iss` por defecto.
+ * @returns {FabricaTokens} La fábrica.
+ */
+function crearFabricaTokens(opciones = {}) {
+  const { claves = crearClaves(), expiraEn = 60 * 60, audiencia, emisor } = opciones;
+
+  function firmar(data, opcionesToken = {}) {
+    const firmante = opcionesToken.claves || claves;
+    const kid = opcionesToken.kid !== undefined ? opcionesToken.kid : firmante.kid;
+    const opcionesJWT = {
+      algorithm: 'ES256',
+      expiresIn: opcionesToken.expiraEn !== undefined ? opcionesToken.expiraEn : expiraEn,
+      notBefore: opcionesToken.noAntes,
+      audience: opcionesToken.audiencia !== undefined ? opcionesToken.audiencia : audiencia,
+      issuer: opcionesToken.emisor !== undefined ? opcionesToken.emisor : emisor,
+      keyid: kid || undefined,
+    };
+    // `jsonwebtoken` rechaza las opciones presentes con valor `undefined`.
+    Object.keys(opcionesJWT).forEach((nombre) => {
+      if (opcionesJWT[nombre] === undefined) delete opcionesJWT[nombre];
+    });
+    return jwt.sign({ ...opcionesToken.claims, data }, firmante.privada, opcionesJWT);
+  }
+
+  return {
+    claves,
+    firmar,
+    expirado(data, opcionesToken = {}) {
+      return firmar(data, { ...opcionesToken, expiraEn: -60 });
+    },
+    conOtraClave(data, opcionesToken = {}) {
+      return firmar(data, { kid: claves.kid, ...opcionesToken, claves: crearClaves({ kid: claves.kid }) });
+    },
+  };
+}
+
+/**
+ * @typedef {object} SolicitudRecibida
+ * @property {string} metodo - El método HTTP.
+ * @property {string} ruta - La ruta, sin la consulta.
+ * @property {object} query - Los parámetros de la consulta.
+ * @property {object} cuerpo - El cuerpo JSON.
+ * @property {string} [authorization] - El encabezado `Authorization`.
+ */
+
+/**
+ * @typedef {object} ProveedorFalso
+ * @property {string} url - URL base del proveedor (para la opción `url`).
+ * @property {ClavesPrueba} claves - Las claves con las que firma los tokens (las últimas, después de `rotarClaves`).
+ * @property {FabricaTokens} tokens - Fábrica de tokens con las claves y la audiencia del proveedor; después de
+ *   `rotarClaves` firma con las nuevas.
+ * @property {SolicitudRecibida[]} solicitudes - Las solicitudes recibidas, en orden.
+ * @property {function(object): void} agregarPersona - Registra (o reemplaza) la persona de un documento.
+ * @property {function(object, {codeChallenge?: string}=): string} emitirCodigo - Emite un código de autorización de
+ *   un solo uso para los `data` indicados, como si el usuario hubiera iniciado sesión.
+ * @property {function(object|null): void} autorizarComo - Define los `data` con los que `GET /autorizar` emite los
+ *   códigos (el usuario "logueado" en el proveedor).
+ * @property {function(string, {status?: number, cuerpo?: object, veces?: number}=): void} fallar - Hace que las
+ *   próximas solicitudes a una ruta respondan el estado y el cuerpo indicados.
+ * @property {function(ClavesPrueba[]): void} publicarClaves - Define las claves que publica `/jwks`, sin cambiar las
+ *   de firma (por ejemplo, para anunciar una clave antes de usarla o retirar una anterior).
+ * @property {function({kid?: string}=): ClavesPrueba} rotarClaves - Genera claves nuevas, firma con ellas desde ese
+ *   momento y las publica junto con las anteriores, que siguen siendo válidas hasta retirarlas con `publicarClaves`.
+ *   Devuelve las claves nuevas.
+ * @property {function(object=): object} opcionesCliente - Opciones para `crearCliente` (o `middleware` y
+ *   `oauthRouter`) apuntadas al proveedor, combinadas con las indicadas.
+ * @property {function(): Promise<void>} cerrar - Detiene el proveedor.
+ */
+
+/**
+ * Persona informada para un documento que no se registró con `personas` o `agregarPersona`.
+ * @param {string} documento - El documento.
+ * @returns {import('./oauthRouter').OAuthUserData['persona']}
+ */
+function personaPorDefecto(documento) {
+  return { documento, nombre: 'Nombre', apellidos: 'Apellido', validado: true };
+}
+
+/**
+ * Inicia un servicio OAuth falso en un puerto local, con las rutas que usa la
+ * librería: `GET /autorizar`, `POST /cliente/obtener/token`,
+ * `GET /cliente/obtener/datos/:permiso_id`, `POST /cliente/obtener/nuevo-token`,
+ * `POST /cliente/obtener/refresh-token` (con `refresh`) y la clave pública en
+ * `GET /clave` (PEM) y `GET /jwks`.
+ * Como el servicio real, informa los rechazos con `{ status: "error", error }`.
+ * @param {object} [opciones={}]
+ * @param {ClavesPrueba} [opciones.claves] - Las claves con las que firmar. Por defecto, unas nuevas.
+ * @param {string} [opciones.clienteId='cliente-prueba'] - ID de cliente aceptado; también es la audiencia de los tokens.
+ * @param {string} [opciones.clienteSecreto='secreto-prueba'] - Secreto de cliente aceptado.
+ * @param {Array<object>} [opciones.personas=[]] - Personas a informar en `/cliente/obtener/datos`, por documento.
+ *   Para los demás documentos se informa una persona validada genérica.
+ * @param {number} [opciones.expiraEn=3600] - Segundos de vigencia de los tokens emitidos.
+ * @param {boolean} [opciones.refresh=false] - Si el canje de código entrega también un `refresh_token`, que se
+ *   canjea (y rota) en `POST /cliente/obtener/refresh-token`.
+ * @param {number} [opciones.puerto=0] - Puerto en el que escuchar. Por defecto, uno libre.
+ * @returns {Promise<ProveedorFalso>} El proveedor, una vez que escucha.
+ */
+function crearProveedorFalso(opciones = {}) {
+  const {
+    claves = crearClaves(),
+    clienteId = 'cliente-prueba',
+    clienteSecreto = 'secreto-prueba',
+    personas = [],
+    expiraEn = 60 * 60,
+    refresh = false,
+    puerto = 0,
+  } = opciones;
+  let firmantes = claves;
+  let fabrica = crearFabricaTokens({ claves, expiraEn, audiencia: clienteId });
+  /** @type {ClavesPrueba[]} */
+  let publicadas = [claves];
+  // Los tokens se firman siempre con la fábrica vigente, aunque quien la usa haya guardado `proveedor.tokens`.
+  /** @type {FabricaTokens} */
+  const tokens = {
+    get claves() {
+      return fabrica.claves;
+    },
+    firmar: (data, opcionesToken) => fabrica.firmar(data, opcionesToken),
+    expirado: (data, opcionesToken) => fabrica.expirado(data, opcionesToken),
+    conOtraClave: (data, opcionesToken) => fabrica.conOtraClave(data, opcionesToken),
+  };
+  const registroPersonas = new Map(personas.map((persona) => [String(persona.documento), persona]));
+  /** @type {Map<string, {data: object, codeChallenge?: string}>} */
+  const codigos = new Map();
+  /** @type {Map<string, object>} */
+  const refreshTokens = new Map();
+  /** @type {Map<string, {status: number, cuerpo: object, veces: number}>} */
+  const fallas = new Map();
+  const solicitudes = [];
+  let sesion = null;
+
+  function emitirCodigo(data, { codeChallenge } = {}) {
+    const codigo = crypto.randomBytes(16).toString('hex');
+    codigos.set(codigo, { data, codeChallenge });
+    return codigo;
+  }
+
+  // Responde un token de acceso para los `data` indicados y, con `refresh`, un refresh token nuevo.
+  function responderTokens(res, data) {
+    const cuerpo = { status: "ok", token: tokens.firmar(data) };
+    if (refresh) {
+      cuerpo.refresh_token = crypto.randomBytes(16).toString('hex');
+      refreshTokens.set(cuerpo.refresh_token, data);
+    }
+    res.json(cuerpo);
+  }
+
+  function rechazar(res, error) {
+    res.json({ status: "error", error });
+  }
+
+  function clienteValido(cuerpo) {
+    return cuerpo.cliente_id === clienteId && cuerpo.cliente_secreto === clienteSecreto;
+  }
+
+  // Acepta los tokens firmados con las claves vigentes o con cualquiera de las publicadas.
+  function verificarToken(token) {
+    const valor = String(token).replace(/^Bearer /, '');
+    for (const { publica } of new Set([firmantes, ...publicadas])) {
+      try {
+        return jwt.verify(valor, publica, { algorithms: ['ES256'] });
+      } catch (error) {
+        // Se prueba con la siguiente clave.
+      }
+    }
+    return null;
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.use(function (req, res, next) {
+    solicitudes.push({
+      metodo: req.method,
+      ruta: req.path,
+      query: { ...req.query },
+      cuerpo: req.body || {},
+      authorization: req.headers.authorization,
+    });
+    const ruta = [...fallas.keys()].find((prefijo) => req.path.startsWith(prefijo));
+    if (!ruta) return next();
+    const falla = fallas.get(ruta);
+    falla.veces -= 1;
+    if (falla.veces <= 0) fallas.delete(ruta);
+    res.status(falla.status).json(falla.cuerpo);
+  });
+
+  app.get('/clave', function (req, res) {
+    res.type('application/x-pem-file').send(firmantes.publica);
+  });
+
+  app.get('/jwks', function (req, res) {
+    res.json({ keys: publicadas.map((publicada) => publicada.jwk) });
+  });
+
+  app.get('/autorizar', function (req, res) {
+    const { cliente_id, redirect_uri, state, code_challenge } = req.query;
+    if (cliente_id !== clienteId || !redirect_uri) return res.status(400).send('Solicitud de autorización inválida');
+    if (!sesion) return res.status(401).send('No hay un usuario autorizado (ver autorizarComo)');
+    const destino = new URL(redirect_uri);
+    destino.searchParams.set('codigo', emitirCodigo(sesion, { codeChallenge: code_challenge }));
+    if (state) destino.searchParams.set('state', state);
+    res.redirect(destino.toString());
+  });
+
+  app.post('/cliente/obtener/token', function (req, res) {
+    const { codigo, code_verifier } = req.body || {};
+    if (!clienteValido(req.body || {})) return rechazar(res, 'Cliente inválido');
+    const emitido = codigos.get(codigo);
+    if (!emitido) return rechazar(res, 'Código inválido o vencido');
+    codigos.delete(codigo);
+    if (emitido.codeChallenge && (!code_verifier || calcularDesafio(code_verifier) !== emitido.codeChallenge)) {
+      return rechazar(res, 'code_verifier inválido');
+    }
+    responderTokens(res, emitido.data);
+  });
+
+  app.post('/cliente/obtener/refresh-token', function (req, res) {
+    const { refresh_token } = req.body || {};
+    if (!clienteValido(req.body || {})) return rechazar(res, 'Cliente inválido');
+    if (!refresh || !refreshTokens.has(refresh_token)) return rechazar(res, 'Refresh token inválido');
+    const data = refreshTokens.get(refresh_token);
+    refreshTokens.delete(refresh_token);
+    responderTokens(res, data);
+  });
+
+  app.get('/cliente/obtener/datos/:permiso_id', function (req, res) {
+    if (req.query.cliente_id !== clienteId) return rechazar(res, 'Cliente inválido');
+    const decodificado = verificarToken(req.headers.authorization);
+    if (!decodificado) return rechazar(res, 'Token inválido');
+    const documento = String(decodificado.data.documento);
+    res.json({ status: "ok", datos: { persona: registroPersonas.get(documento) || personaPorDefecto(documento) } });
+  });
+
+  app.post('/cliente/obtener/nuevo-token', function (req, res) {
+    const { token, datos } = req.body || {};
+    if (!clienteValido(req.body || {})) return rechazar(res, 'Cliente inválido');
+    const decodificado = verificarToken(token);
+    if (!decodificado) return rechazar(res, 'Token inválido');
+    res.json({ status: "ok", token: tokens.firmar({ ...decodificado.data, ...datos }) });
+  });
+
+  const servidor = http.createServer(app);
+
+  return new Promise((resolve, reject) => {
+    servidor.once('error', reject);
+    servidor.listen(puerto, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${servidor.address().port}`;
+      resolve({
+        url,
+        get claves() {
+          return firmantes;
+        },
+        tokens,
+        solicitudes,
+        agregarPersona(persona) {
+          registroPersonas.set(String(persona.documento), persona);
+        },
+        emitirCodigo,
+        autorizarComo(data) {
+          sesion = data;
+        },
+        fallar(ruta, { status = 500, cuerpo = { status: "error", error: 'Falla simulada' }, veces = 1 } = {}) {
+          fallas.set(ruta, { status, cuerpo, veces });
+        },
+        publicarClaves(lista) {
+          publicadas = [...lista];
+        },
+        rotarClaves({ kid } = {}) {
+          const anteriores = publicadas.filter((publicada) => publicada !== firmantes);
+          publicadas = [crearClaves({ kid }), firmantes, ...anteriores];
+          [firmantes] = publicadas;
+          fabrica = crearFabricaTokens({ claves: firmantes, expiraEn, audiencia: clienteId });
+          return firmantes;
+        },
+        opcionesCliente(extra = {}) {
+          return { env: {}, url, jwksUrl: `${url}/jwks`, clienteId, clienteSecreto, ...extra };
+        },
+        cerrar() {
+          return new Promise((resolveCierre) => {
+            servidor.close(() => resolveCierre());
+            servidor.closeAllConnections();
+          });
+        },
+      });
+    });
+  });
+}
+
+module.exports = { crearClaves, crearFabricaTokens, crearProveedorFalso };
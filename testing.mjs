@@ -0,0 +1,6 @@
+// Entrada ESM de `mbcj-oauth-sv/testing` (ver `index.mjs`).
+import lib from './testing.js';
+
+export const { crearClaves, crearFabricaTokens, crearProveedorFalso } = lib;
+
+export default lib;
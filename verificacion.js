@@ -0,0 +1,108 @@
+const { crearError } = require('./errores');
+const { middleware, clienteDelEntorno } = require('./middleware');
+const { crearAutorizador } = require('./politicas');
+
+/**
+ * Repositorio usado cuando no se indica `usuarios`: da por activo a cualquier
+ * usuario, de modo que solo se verifican el token y su revocación.
+ * @type {import('./repositorios').RepositorioUsuarios}
+ */
+const sinUsuarios = {
+  buscarPorDocumento: () => Promise.resolve(null),
+  estaActivo: () => Promise.resolve(true),
+  registrarIngreso: () => Promise.resolve(),
+};
+
+/**
+ * Middlewares creados por `verificarToken` sin la opción `middleware`, por cliente, repositorio y registro de
+ * revocaciones: se reutilizan entre llamadas, como la instancia que usaría una aplicación con Express.
+ * @type {WeakMap<object, WeakMap<object, WeakMap<object, ReturnType<typeof middleware>>>>}
+ */
+const middlewares = new WeakMap();
+
+/**
+ * Clave de los middlewares creados sin registro de revocaciones.
+ * @type {object}
+ */
+const sinRevocaciones = {};
+
+/**
+ * Devuelve el middleware de un cliente, repositorio y registro de revocaciones, y lo crea la primera vez.
+ * @param {import('./cliente').OAuthCliente} cliente - La instancia.
+ * @param {import('./repositorios').RepositorioUsuarios|import('./repositorios').UsuarioModel} usuarios - El repositorio.
+ * @param {import('./revocaciones').Revocaciones} [revocaciones] - El registro de revocaciones.
+ * @returns {ReturnType<typeof middleware>} El middleware.
+ */
+function obtenerMiddleware(cliente, usuarios, revocaciones) {
+  const porCliente = middlewares.get(cliente) || new WeakMap();
+  middlewares.set(cliente, porCliente);
+  const porUsuarios = porCliente.get(usuarios) || new WeakMap();
+  porCliente.set(usuarios, porUsuarios);
+  const clave = revocaciones || sinRevocaciones;
+  if (!porUsuarios.has(clave)) porUsuarios.set(clave, middleware(usuarios, { cliente, revocaciones }));
+  return porUsuarios.get(clave);
+}
+
+/**
+ * @typedef {object} OpcionesVerificarToken
+ * @property {ReturnType<typeof middleware>} [middleware] - Instancia de `middleware` cuya validación se usa, con su
+ *   cliente, su registro de revocaciones y su cache de usuarios. Con esta opción se ignoran `cliente`, `usuarios` y
+ *   `revocaciones`.
+ * @property {import('./cliente').OAuthCliente} [cliente] - Instancia cuya clave y configuración se usan. Por defecto,
+ *   la creada desde el entorno (como en `extraerDatosJWT`).
+ * @property {import('./repositorios').RepositorioUsuarios|import('./repositorios').UsuarioModel} [usuarios] - Si se
+ *   indica, se exige que el usuario exista y esté activo, como en `validarUsuarioMW`.
+ * @property {import('./revocaciones').Revocaciones} [revocaciones] - Registro de tokens revocados a consultar.
+ * @property {import('./politicas').PoliticaDeclarada} [politica] - Política que debe cumplir el usuario.
+ * @property {Object<string, import('./politicas').PoliticaDeclarada>} [politicas] - Políticas con nombre.
+ * @property {function(object): (string[]|Promise<string[]>)} [cargarPermisos] - Obtiene los permisos de un usuario.
+ * @property {string} [claimPermisos='permisos'] - El claim del token con los permisos.
+ * @property {object} [contexto] - Datos adicionales para evaluar la política (por ejemplo, `recurso` y `accion`).
+ */
+
+/**
+ * @typedef {object} TokenVerificado
+ * @property {object} usuario - Los datos (`data`) del token: lo que `validarUsuarioMW` asigna a `req.user`.
+ * @property {number} [exp] - El `exp` del token, en segundos desde epoch.
+ * @property {object} decodificado - El token decodificado completo.
+ */
+
+/**
+ * Verifica un token con las mismas reglas que `validarUsuarioMW`, sin depender
+ * de Express: para websockets, tareas en segundo plano u otros frameworks.
+ * La firma, los claims, la revocación y el usuario local se comprueban con
+ * `validarUsuario` del middleware indicado (o de uno creado con `cliente`,
+ * `usuarios` y `revocaciones`, que se reutiliza en las llamadas siguientes con
+ * las mismas instancias); luego se evalúa la política (con `politica`).
+ * No acepta credenciales de servicio.
+ * @param {string} token - El token JWT. Se acepta con el prefijo `Bearer `.
+ * @param {OpcionesVerificarToken} [opciones={}] - Las opciones.
+ * @returns {Promise<TokenVerificado>} El usuario del token.
+ * @rejects {import('./errores').OAuthError} Con el mismo código que respondería `validarUsuarioMW`.
+ */
+function verificarToken(token, opciones = {}) {
+  const { politica, contexto = {} } = opciones;
+  if (!token) return Promise.reject(crearError('TOKEN_REQUERIDO'));
+  const valor = String(token).startsWith('Bearer ') ? String(token).slice(7) : String(token);
+
+  return Promise.resolve()
+    .then(() => {
+      if (opciones.middleware) return opciones.middleware.validarUsuario(valor);
+      const { usuarios = sinUsuarios, revocaciones } = opciones;
+      const cliente = opciones.cliente || clienteDelEntorno();
+      return obtenerMiddleware(cliente, usuarios, revocaciones).validarUsuario(valor);
+    })
+    .then(({ status, user, exp, decodificado }) => {
+      // Las credenciales de servicio no son tokens: se rechazan como cualquier token inválido.
+      if (status !== 'USUARIO') return Promise.reject(crearError('TOKEN_INVALIDO'));
+      const resultado = { usuario: user, exp, decodificado };
+      if (politica === undefined || politica === null) return resultado;
+      return crearAutorizador(opciones).evaluar(politica, resultado.usuario, contexto)
+        .then((autorizado) => {
+          if (!autorizado) return Promise.reject(crearError('SIN_PERMISO'));
+          return resultado;
+        }, (err) => Promise.reject(crearError('ERROR_PERMISOS', undefined, { causa: err })));
+    });
+}
+
+module.exports = { verificarToken };
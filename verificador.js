@@ -0,0 +1,157 @@
+const jwt = require('jsonwebtoken');
+const { crearError } = require('./errores');
+
+/**
+ * Esquema por defecto de los datos (`data`) requeridos en el token.
+ * @type {EsquemaDatos}
+ */
+const ESQUEMA_DATOS_POR_DEFECTO = { documento: ['string', 'number'] };
+
+/**
+ * @typedef {string|string[]|function(*): boolean|{tipo: (string|string[]), opcional?: boolean}} ReglaDato
+ * Tipo esperado (`string`, `number`, `boolean`, `object`, `array`), lista de
+ * tipos admitidos, función validadora o un objeto con `tipo` y `opcional`.
+ */
+
+/**
+ * @typedef {Object<string, ReglaDato>} EsquemaDatos
+ */
+
+/**
+ * @typedef {object} OpcionesVerificacion
+ * @property {string|string[]} [emisor] - Valor(es) aceptados del claim `iss`.
+ * @property {string|string[]} [audiencia] - Valor(es) aceptados del claim `aud`.
+ * @property {number} [toleranciaReloj=0] - Segundos de tolerancia para `exp` y `nbf`.
+ * @property {EsquemaDatos} [esquemaDatos] - Claims requeridos dentro de `data`.
+ */
+
+/**
+ * Obtiene el tipo de un valor con el vocabulario de los esquemas.
+ * @param {*} valor - El valor a inspeccionar.
+ * @returns {string} El tipo (`array` y `null` se distinguen de `object`).
+ */
+function tipoDe(valor) {
+  if (Array.isArray(valor)) return 'array';
+  if (valor === null) return 'null';
+  return typeof valor;
+}
+
+/**
+ * Valida los datos (`data`) de un token contra un esquema declarativo.
+ * @param {object} datos - El claim `data` del token.
+ * @param {EsquemaDatos} esquema - El esquema a aplicar.
+ * @returns {string|null} La descripción del primer problema encontrado o `null` si son válidos.
+ */
+function validarDatos(datos, esquema) {
+  if (tipoDe(datos) !== 'object') return "falta el claim 'data'";
+  for (const nombre of Object.keys(esquema)) {
+    const regla = esquema[nombre];
+    const valor = datos[nombre];
+    const opcional = typeof regla === 'object' && !Array.isArray(regla) && regla.opcional;
+
+    if (valor === undefined || valor === null) {
+      if (opcional) continue;
+      return `falta '${nombre}'`;
+    }
+    if (typeof regla === 'function') {
+      if (!regla(valor)) return `'${nombre}' no es válido`;
+      continue;
+    }
+    const tipos = [].concat(typeof regla === 'object' && !Array.isArray(regla) ? regla.tipo || [] : regla);
+    if (tipos.length > 0 && !tipos.includes(tipoDe(valor))) return `'${nombre}' debe ser de tipo ${tipos.join(' o ')}`;
+  }
+  return null;
+}
+
+/**
+ * Convierte un error de `jsonwebtoken` en un error estandarizado con su código.
+ * @param {Error} error - El error devuelto por `jwt.verify`.
+ * @returns {import('./errores').OAuthError} El error estandarizado.
+ */
+function traducirErrorJWT(error) {
+  if (error.name === 'TokenExpiredError') return crearError('TOKEN_EXPIRADO', `Token expirado: ${error.expiredAt}`);
+  if (error.name === 'NotBeforeError') return crearError('TOKEN_NO_VIGENTE', `Token todavía no válido: ${error.date}`);
+  if (error.name !== 'JsonWebTokenError') return crearError('TOKEN_INVALIDO', error.message);
+
+  const msj = `Error en token: ${error.message}`;
+  if (error.message.startsWith('jwt audience invalid')) return crearError('AUDIENCIA_INVALIDA', msj);
+  if (error.message.startsWith('jwt issuer invalid')) return crearError('EMISOR_INVALIDO', msj);
+  if (error.message === 'invalid signature') return crearError('FIRMA_INVALIDA', msj);
+  return crearError('TOKEN_INVALIDO', msj);
+}
+
+/**
+ * Crea la función que verifica y decodifica tokens JWT con las claves públicas de una fuente.
+ * @param {function(string=): Promise<Array<import('crypto').KeyObject>>} obtenerClaves - Devuelve las claves
+ *   candidatas para el `kid` del token (ver `FuenteClave` en `claves.js`).
+ * @param {OpcionesVerificacion} [opciones={}] - Validaciones de claims a aplicar.
+ * @returns {function(string): Promise<object>} La función `extraerDatosJWT` ligada a esa fuente.
+ */
+function crearVerificador(obtenerClaves, opciones = {}) {
+  const { esquemaDatos = ESQUEMA_DATOS_POR_DEFECTO } = opciones;
+  const opcionesJWT = {
+    algorithms: ['ES256'],
+    issuer: opciones.emisor,
+    audience: opciones.audiencia,
+    clockTolerance: opciones.toleranciaReloj || 0,
+  };
+
+  /**
+   * Verifica y decodifica un token JWT utilizando la clave pública del servicio OAuth.
+   * @param {string} token - El token JWT a verificar.
+   * @returns {Promise<object>} Una promesa que resuelve con los datos decodificados del token.
+   * @rejects {import('./errores').OAuthError} Si la verificación falla, con estado 503 si la clave pública no está disponible.
+   */
+  return function extraerDatosJWT(token) {
+    const decodificado = jwt.decode(token, { complete: true });
+    if (!decodificado) return Promise.reject(crearError('TOKEN_INVALIDO', 'Error en token: jwt malformed'));
+    const { kid } = decodificado.header;
+
+    return obtenerClaves(kid)
+      .catch((error) => Promise.reject(crearError('CLAVE_NO_DISPONIBLE', undefined, { causa: error })))
+      .then((claves) => {
+        if (claves.length === 0) return Promise.reject(crearError('CLAVE_DESCONOCIDA', `Error en token: clave '${kid}' desconocida`));
+        return verificarConCandidatas(token, claves, opcionesJWT);
+      })
+      .then((decoded) => {
+        const problema = validarDatos(decoded.data, esquemaDatos);
+        if (problema) return Promise.reject(crearError('DATOS_INVALIDOS', `Datos del token inválidos: ${problema}`));
+        return decoded;
+      });
+  };
+}
+
+/**
+ * Verifica un token probando cada clave candidata en orden. Solo se pasa a la
+ * siguiente clave si la firma no coincide; cualquier otro error es definitivo.
+ * @param {string} token - El token JWT a verificar.
+ * @param {Array<import('crypto').KeyObject>} claves - Las claves candidatas.
+ * @param {object} opcionesJWT - Opciones para `jwt.verify`.
+ * @returns {Promise<object>} Una promesa que resuelve con los datos decodificados del token.
+ */
+function verificarConCandidatas(token, claves, opcionesJWT) {
+  const [clave, ...resto] = claves;
+  return verificar(token, clave, opcionesJWT).catch((error) => {
+    if (resto.length === 0 || error.codigo !== 'FIRMA_INVALIDA') return Promise.reject(error);
+    return verificarConCandidatas(token, resto, opcionesJWT);
+  });
+}
+
+/**
+ * Verifica un token JWT con una clave pública concreta.
+ * @param {string} token - El token JWT a verificar.
+ * @param {string|Buffer|import('crypto').KeyObject} clavePublica - La clave pública.
+ * @param {object} opcionesJWT - Opciones para `jwt.verify`.
+ * @returns {Promise<object>} Una promesa que resuelve con los datos decodificados del token.
+ * @rejects {import('./errores').OAuthError} Si la verificación falla.
+ */
+function verificar(token, clavePublica, opcionesJWT) {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, clavePublica, opcionesJWT, (error, decoded) => {
+      if (error) return reject(traducirErrorJWT(error));
+      return resolve(decoded);
+    });
+  });
+}
+
+module.exports = { crearVerificador, validarDatos, ESQUEMA_DATOS_POR_DEFECTO };